@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Orphaned file cleanup for cron jobs and one-off runs
+// @semantql/storage/bin/storage-gc.js
+//
+// Usage: semantq-storage-gc <config module> [--delete] [--grace-period <seconds>] [--json]
+//
+// The config module default-exports a job, a list of jobs, or a (async) function returning them:
+//   export default [{ service: productFileService, findReferenced: async (candidates) => [...] }]
+// Each job is passed to ModelFileService.collectGarbage; nothing is deleted without --delete
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import chalk from 'chalk';
+
+const usage = 'Usage: semantq-storage-gc <config module> [--delete] [--grace-period <seconds>] [--json]';
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} bytes`;
+  if (bytes < 1024 * 1024) return `${+(bytes / 1024).toFixed(2)}KB`;
+  return `${+(bytes / 1024 / 1024).toFixed(2)}MB`;
+}
+
+function printReport(name, report) {
+  console.log(chalk.blue(`\n${name}${report.dryRun ? ' (dry run)' : ''}`));
+  console.log(`  scanned:    ${report.scanned}`);
+  console.log(`  recent:     ${report.recent}`);
+  console.log(`  undated:    ${report.undated}`);
+  console.log(`  referenced: ${report.referenced}`);
+  console.log(`  orphans:    ${report.orphans.length} (${formatBytes(report.bytes)})`);
+
+  for (const orphan of report.orphans) {
+    const status = report.dryRun ? '' : report.deleted.includes(orphan.key) ? chalk.green(' deleted') : chalk.red(' failed');
+    console.log(chalk.gray(`    ${orphan.key}`) + status);
+  }
+  for (const { key, error } of report.failed) {
+    console.log(chalk.red(`  Failed to delete ${key}: ${error}`));
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      delete: { type: 'boolean', default: false },
+      'grace-period': { type: 'string' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(usage);
+    return values.help ? 0 : 1;
+  }
+
+  const gracePeriod = values['grace-period'] !== undefined ? Number(values['grace-period']) : undefined;
+  if (gracePeriod !== undefined && !(gracePeriod >= 0)) {
+    console.error(chalk.red('--grace-period must be a number of seconds'));
+    return 1;
+  }
+
+  const module = await import(pathToFileURL(resolve(positionals[0])).href);
+  const exported = module.default ?? module.jobs;
+  const jobs = [typeof exported === 'function' ? await exported() : exported].flat().filter(Boolean);
+  if (jobs.length === 0) {
+    console.error(chalk.red(`${positionals[0]} exports no garbage collection jobs`));
+    return 1;
+  }
+
+  const reports = [];
+  for (const { service, name, ...options } of jobs) {
+    const report = await service.collectGarbage({
+      ...options,
+      ...(gracePeriod !== undefined ? { gracePeriod } : {}),
+      dryRun: !values.delete
+    });
+    reports.push({ name: name || service.modelName, report });
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    reports.forEach(({ name, report }) => printReport(name, report));
+    if (!values.delete) {
+      console.log(chalk.yellow('\nDry run - nothing was deleted. Pass --delete to remove the orphans.'));
+    }
+  }
+
+  return reports.some(({ report }) => report.failed.length > 0) ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(chalk.red(`Garbage collection failed: ${err.message}`));
+    process.exit(1);
+  });
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Copy every stored file from one provider to another
+// @semantql/storage/bin/storage-migrate.js
+//
+// Usage: semantq-storage-migrate --from <disk|provider> --to <disk|provider> --out <mapping.jsonl>
+//          [--prefix <prefix>] [--concurrency <n>] [--root <project root>]
+//
+// --from and --to name a disk from storage.disks, 'default', or a provider whose section is in
+// semantqQL/server.config.js (e.g. --from uploadthing --to s3). Run it again with the same --out
+// to resume an interrupted migration
+import { parseArgs } from 'util';
+import chalk from 'chalk';
+import StorageConfig from '../lib/config.js';
+import StorageService from '../lib/StorageService.js';
+import { migrateFiles } from '../lib/migrate.js';
+import * as providers from '../providers/index.js';
+
+const usage = 'Usage: semantq-storage-migrate --from <disk|provider> --to <disk|provider> --out <mapping.jsonl> [--prefix <prefix>] [--concurrency <n>] [--root <project root>]';
+
+// Disk of the configured storage, or a storage for one of the configured provider sections
+function resolveStorage(storage, name) {
+  if (name === 'default' || storage.disks[name]) {
+    return storage.disk(name);
+  }
+  if (providers[name]) {
+    const { disks, ...config } = storage.config;
+    return new StorageService({ ...config, provider: name });
+  }
+  throw new Error(`"${name}" is neither a configured disk nor a provider`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      out: { type: 'string' },
+      prefix: { type: 'string', default: '' },
+      concurrency: { type: 'string', default: '4' },
+      root: { type: 'string', default: process.cwd() },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || !values.from || !values.to || !values.out) {
+    console.log(usage);
+    return values.help ? 0 : 1;
+  }
+
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error(chalk.red('--concurrency must be a positive whole number'));
+    return 1;
+  }
+
+  const storage = new StorageService(await StorageConfig.load(values.root));
+  const source = resolveStorage(storage, values.from);
+  const target = resolveStorage(storage, values.to);
+
+  console.log(chalk.blue(`\nMigrating ${values.prefix || 'all files'} from ${values.from} to ${values.to}`));
+  const report = await migrateFiles(source, target, {
+    mappingFile: values.out,
+    prefix: values.prefix,
+    concurrency,
+    onFile: ({ fromKey, toKey }) => console.log(chalk.gray(`  ${fromKey} -> ${toKey}`))
+  });
+
+  console.log(`\n  migrated: ${report.migrated}`);
+  console.log(`  skipped:  ${report.skipped} (already in ${values.out})`);
+  report.failed.forEach(({ key, error }) => console.log(chalk.red(`  Failed ${key}: ${error}`)));
+  if (report.failed.length > 0) {
+    console.log(chalk.yellow('\nRun the same command again to retry the failed files.'));
+  }
+
+  return report.failed.length > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(chalk.red(`Migration failed: ${err.message}`));
+    process.exit(1);
+  });
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Re-sync replicated storage after an outage, from cron or by hand
+// @semantql/storage/bin/storage-reconcile.js
+//
+// Usage: semantq-storage-reconcile [--root <project root>] [--disk <name>] [--dry-run] [--no-scan]
+//
+// Loads storage config from the project's semantqQL/server.config.js and reconciles
+// every disk whose provider is 'replicated' (or only --disk)
+import { parseArgs } from 'util';
+import chalk from 'chalk';
+import StorageConfig from '../lib/config.js';
+import StorageService from '../lib/StorageService.js';
+
+const usage = 'Usage: semantq-storage-reconcile [--root <project root>] [--disk <name>] [--dry-run] [--no-scan]';
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      root: { type: 'string', default: process.cwd() },
+      disk: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'no-scan': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(usage);
+    return 0;
+  }
+
+  const storage = new StorageService(await StorageConfig.load(values.root));
+  const disks = values.disk
+    ? [storage.disk(values.disk)]
+    : [storage, ...Object.values(storage.disks)].filter(disk => disk.config.provider === 'replicated');
+
+  if (disks.length === 0) {
+    console.error(chalk.red('No replicated storage configured'));
+    return 1;
+  }
+
+  let failed = 0;
+  for (const disk of disks) {
+    const report = await disk.reconcile({ dryRun: values['dry-run'], scan: !values['no-scan'] });
+    failed += report.failed.length;
+
+    console.log(chalk.blue(`\n${disk.name}${report.dryRun ? ' (dry run)' : ''}`));
+    console.log(`  ${report.dryRun ? 'to mirror' : 'mirrored'}: ${report.mirrored.length}`);
+    report.mirrored.forEach(key => console.log(chalk.gray(`    ${key}`)));
+    console.log(`  ${report.dryRun ? 'to delete' : 'deleted'}:  ${report.deleted.length}`);
+    report.deleted.forEach(key => console.log(chalk.gray(`    ${key}`)));
+    report.failed.forEach(({ key, error }) => console.log(chalk.red(`  Failed ${key}: ${error}`)));
+  }
+
+  return failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(chalk.red(`Reconcile failed: ${err.message}`));
+    process.exit(1);
+  });
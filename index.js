@@ -1,10 +1,34 @@
 // @semantql/storage/index.js
 import StorageService from './lib/StorageService.js';
+import UploadTransaction from './lib/UploadTransaction.js';
+import { collectGarbage } from './lib/garbageCollector.js';
+import { migrateFiles, readMigrationMapping } from './lib/migrate.js';
+import { renderTemplate, validateTemplate, TEMPLATE_FILTERS } from './lib/templates.js';
 import * as providers from './providers/index.js';
-import { createUploadMiddleware } from './middleware.js';
+import * as scanners from './scanners/index.js';
+import * as registries from './registries/index.js';
+import * as usageStores from './usage/index.js';
+import {
+  StorageError,
+  FileTooLargeError,
+  InvalidFileTypeError,
+  TooManyFilesError,
+  ProviderError,
+  ConfigError,
+  MalwareDetectedError,
+  QuotaExceededError
+} from './lib/errors.js';
+import {
+  createUploadMiddleware,
+  createStreamingUploadMiddleware,
+  createResumableUploadHandler,
+  createLocalStaticHandler,
+  errorHandler
+} from './middleware.js';
 import { 
   defineFileFields, 
   validateFile, 
+  detectMimeType,
   generateFolderPath,
   MIME_CATEGORIES,
   getMimeTypesForCategory,
@@ -23,11 +47,34 @@ export function createStorage(config = {}) {
 // Re-export everything
 export {
   StorageService,
+  UploadTransaction,
+  collectGarbage,
+  migrateFiles,
+  readMigrationMapping,
   providers,
+  scanners,
+  registries,
+  usageStores,
+  StorageError,
+  FileTooLargeError,
+  InvalidFileTypeError,
+  TooManyFilesError,
+  ProviderError,
+  ConfigError,
+  MalwareDetectedError,
+  QuotaExceededError,
   createUploadMiddleware,
+  createStreamingUploadMiddleware,
+  createResumableUploadHandler,
+  createLocalStaticHandler,
+  errorHandler,
   defineFileFields,
   validateFile,
+  detectMimeType,
   generateFolderPath,
+  renderTemplate,
+  validateTemplate,
+  TEMPLATE_FILTERS,
   MIME_CATEGORIES,
   getMimeTypesForCategory,
   expandCategories,
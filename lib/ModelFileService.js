@@ -1,19 +1,36 @@
 // @semantql/storage/lib/ModelFileService.js
-import { createStorage } from '../index.js';
+import chalk from 'chalk';
+import StorageService from './StorageService.js';
 import StorageConfig from './config.js';
+import {
+  createUploadMiddleware,
+  createStreamingUploadMiddleware,
+  createResumableUploadHandler
+} from '../middleware.js';
 import { expandCategories, validateFile } from '../utils.js';
+import { createImageVariants, stripImageMetadata, isProcessableImage } from './images.js';
+import { StorageError, TooManyFilesError } from './errors.js';
+import { collectGarbage } from './garbageCollector.js';
+import { parseTemplate, validateTemplate, renderTemplate } from './templates.js';
+
+// Colors for console
+const info = chalk.blue;
+const warning = chalk.yellow;
+const error = chalk.red;
 
 export class ModelFileService {
   /**
    * Create a ModelFileService for a specific model
    * @param {string} modelName - Name of the model (e.g., 'Product')
    * @param {Object} modelFileConfig - Model-specific file configuration
+   *   (pass `storage` to use an existing StorageService instead of loading server.config.js)
    * @param {string} projectRoot - Project root directory
    */
   constructor(modelName, modelFileConfig = {}, projectRoot = process.cwd()) {
     this.modelName = modelName;
     this.modelFileConfig = this.normalizeModelConfig(modelFileConfig);
     this.projectRoot = projectRoot;
+    this._validateTemplates();
     
     // Initialize storage service with loaded config
     this.storage = null;
@@ -25,17 +42,24 @@ export class ModelFileService {
    * Initialize storage service asynchronously
    */
   async _initializeStorage() {
+    // Use an injected storage instance as-is (e.g. from @semantq/storage/testing)
+    if (this.modelFileConfig.storage) {
+      this.storage = this.modelFileConfig.storage;
+      this.storageConfig = this.storage.config;
+      return;
+    }
+    
     try {
       // Load storage configuration
       this.storageConfig = await StorageConfig.load(this.projectRoot);
       
       // Create storage instance
-      this.storage = createStorage(this.storageConfig);
+      this.storage = new StorageService(this.storageConfig);
       
       console.log(info(`ModelFileService initialized for ${this.modelName}`));
-    } catch (error) {
-      console.error(error(`Failed to initialize storage for ${this.modelName}:`), error.message);
-      throw error;
+    } catch (err) {
+      console.error(error(`Failed to initialize storage for ${this.modelName}:`), err.message);
+      throw err;
     }
   }
   
@@ -59,17 +83,53 @@ export class ModelFileService {
     };
   }
   
+  // Folder and name templates are checked when the service is created, a typo shouldn't wait for an upload
+  _validateTemplates() {
+    const { folderTemplate, nameTemplate, fileFields } = this.modelFileConfig;
+    
+    validateTemplate(folderTemplate, 'folder');
+    for (const template of [nameTemplate, ...Object.values(fileFields).map(fieldConfig => fieldConfig.nameTemplate)]) {
+      if (template) validateTemplate(template, 'name');
+    }
+  }
+  
   /**
    * Get upload middleware for this model
+   * @param {Object} options - { streaming, context }
+   *   streaming: pipe files straight to storage instead of buffering them in memory
+   *   context: (req) => folder context for streamed files (defaults to req.params)
    * @returns {Array} Express middleware array
    */
-  getUploadMiddleware() {
+  getUploadMiddleware(options = {}) {
     const fields = Object.keys(this.modelFileConfig.fileFields || {});
     
     if (fields.length === 0) {
       return [];
     }
     
+    const maxFileSize = this.modelFileConfig.validation?.maxFileSize || this.storageConfig?.maxFileSize || 50 * 1024 * 1024;
+    const fieldLimits = {};
+    for (const [fieldName, fieldConfig] of Object.entries(this.modelFileConfig.fileFields)) {
+      fieldLimits[fieldName] = { maxCount: fieldConfig.maxCount || 1 };
+    }
+    
+    if (options.streaming) {
+      const getContext = options.context || (req => req.params || {});
+      
+      return createStreamingUploadMiddleware({
+        storage: () => this._getStorage(),
+        fields,
+        ...fieldLimits,
+        maxFileSize,
+        prepare: (req, file) => {
+          const fieldConfig = this._getFieldConfig(file.field);
+          // Size is unknown until the file has streamed; maxSize is enforced by uploadStream
+          this._validateFile({ ...file, size: 0 }, fieldConfig, file.field);
+          return { ...this._uploadOptions(file.field, fieldConfig, getContext(req)), uploadedBy: req.user?.id };
+        }
+      });
+    }
+    
     // Get allowed types from model config
     const allowedTypes = [];
     const allowedCategories = [];
@@ -83,32 +143,113 @@ export class ModelFileService {
       }
     });
     
-    const { createUploadMiddleware } = await import('../middleware.js');
-    
     return createUploadMiddleware({
       fields,
+      ...fieldLimits,
       allowedTypes: [...new Set(allowedTypes)],
       allowedCategories: [...new Set(allowedCategories)],
-      maxFileSize: this.modelFileConfig.validation?.maxFileSize || this.storageConfig?.maxFileSize || 50 * 1024 * 1024,
+      maxFileSize,
     });
   }
   
+  /**
+   * Get a resumable (tus) upload handler for this model's file fields
+   * Clients name the field in Upload-Metadata (`field`) and finish with confirmUpload(token),
+   * using the Storage-Upload-Token header of the last response
+   * @param {Object} options - { context, ...createResumableUploadHandler options }
+   *   context: (req) => folder context (defaults to req.params)
+   * @returns {Function} Express middleware
+   */
+  getResumableUploadHandler(options = {}) {
+    const { context, ...handlerOptions } = options;
+    const getContext = context || (req => req.params || {});
+    
+    return createResumableUploadHandler({
+      maxFileSize: this.modelFileConfig.validation?.maxFileSize,
+      ...handlerOptions,
+      storage: () => this._getStorage(),
+      prepare: (req, file) => {
+        const fieldConfig = this._getFieldConfig(file.field);
+        this._validateFile(file, fieldConfig, file.field);
+        return { ...this._uploadOptions(file.field, fieldConfig, getContext(req)), uploadedBy: req.user?.id };
+      }
+    });
+  }
+  
+  /**
+   * Start a transaction on this model's storage (see StorageService.transaction)
+   * Pass it to processFiles, deleteFiles and cleanupReplacedFiles, then commit() once the record is saved
+   * @returns {Promise<UploadTransaction>}
+   */
+  async transaction() {
+    const storage = await this._getStorage();
+    return storage.transaction();
+  }
+  
+  /**
+   * Run a function in a transaction, committing when it resolves and rolling back when it throws
+   * @param {Function} fn - async (transaction) => result
+   * @returns {Promise<*>} Whatever fn resolves to
+   */
+  async withTransaction(fn) {
+    const storage = await this._getStorage();
+    return storage.withTransaction(fn);
+  }
+  
   /**
    * Process files from request for this model
+   * All or nothing: if any field fails, files already stored for the request are removed
    * @param {Object} req - Express request object
    * @param {Object} context - Context for folder path (e.g., {id: 123})
-   * @returns {Promise<Object>} Processed file URLs
+   * @param {Object} options - { transaction } to keep the files removable until that transaction commits,
+   *   { uploadedBy } to record in the file registry (defaults to req.user.id)
+   * @returns {Promise<Object>} Processed file URLs (file IDs when the storage has a registry)
    */
-  async processFiles(req, context = {}) {
+  async processFiles(req, context = {}, options = {}) {
     const storage = await this._getStorage();
+    const transaction = storage.transaction();
+    const uploadedBy = options.uploadedBy ?? req.user?.id;
+    
+    let results;
+    try {
+      results = await this._processFiles(storage, transaction, req, context, uploadedBy);
+      // The caller's transaction takes the files over and decides whether they stay
+      options.transaction?.track(transaction.uploads);
+    } catch (err) {
+      await transaction.rollback().catch(() => {});
+      throw err;
+    }
+    
+    await transaction.commit();
+    return results;
+  }
+  
+  async _processFiles(storage, transaction, req, context, uploadedBy) {
     const results = {};
-    const uploadedFiles = req.uploadedFiles || req.files || {};
     
-    // Build base folder path
-    const baseFolder = StorageConfig.resolveFolderPath(
-      this.modelFileConfig.folderTemplate,
-      { model: this.modelName.toLowerCase(), ...context }
-    );
+    // Streaming middleware already stored the files, just hand back references
+    if (req.storedFiles) {
+      transaction.track(Object.values(req.storedFiles).flat());
+      
+      for (const [fieldName, fieldConfig] of Object.entries(this.modelFileConfig.fileFields || {})) {
+        const stored = req.storedFiles[fieldName];
+        if (!stored?.length) continue;
+        
+        if (fieldConfig.variants) {
+          // Variants need the whole image, so fetch each original back from storage
+          const uploadOptions = { ...this._uploadOptions(fieldName, fieldConfig, context), uploadedBy };
+          results[fieldName] = await Promise.all(stored.map(async r => {
+            const buffer = await storage.get(r.key, { disk: r.disk });
+            return this._uploadVariants(transaction, fieldConfig, { originalname: r.name, mimetype: r.type, buffer }, r, uploadOptions);
+          }));
+        } else {
+          results[fieldName] = stored.map(r => this._reference(fieldConfig, r));
+        }
+      }
+      return results;
+    }
+    
+    const uploadedFiles = req.uploadedFiles || req.files || {};
     
     for (const [fieldName, fieldConfig] of Object.entries(this.modelFileConfig.fileFields || {})) {
       const fieldFiles = uploadedFiles[fieldName];
@@ -120,47 +261,355 @@ export class ModelFileService {
       // Validate max count
       const filesArray = Array.isArray(fieldFiles) ? fieldFiles : [fieldFiles];
       if (fieldConfig.maxCount && filesArray.length > fieldConfig.maxCount) {
-        throw new Error(`Too many files for ${fieldName}. Max: ${fieldConfig.maxCount}`);
+        throw new TooManyFilesError({ field: fieldName, maxCount: fieldConfig.maxCount, count: filesArray.length });
       }
       
       // Validate each file
       for (const file of filesArray) {
-        this._validateFile(file, fieldConfig);
+        this._validateFile(file, fieldConfig, fieldName);
       }
       
-      // Build folder path for this field
-      const folder = `${baseFolder}/${fieldName}`;
+      // Drop EXIF (GPS position, camera details) from originals if asked to
+      const prepared = fieldConfig.stripMetadata
+        ? await Promise.all(filesArray.map(stripImageMetadata))
+        : filesArray;
       
       // Upload files
-      const uploadOptions = {
+      const uploadOptions = { ...this._uploadOptions(fieldName, fieldConfig, context), uploadedBy };
+      const uploadResult = await transaction.upload(prepared, uploadOptions);
+      
+      // Store results (fields with variants get { original, [variant]: url } per file)
+      if (fieldConfig.variants) {
+        results[fieldName] = await Promise.all(uploadResult.map((r, i) =>
+          this._uploadVariants(transaction, fieldConfig, prepared[i], r, uploadOptions)
+        ));
+      } else {
+        results[fieldName] = Array.isArray(uploadResult) 
+          ? uploadResult.map(r => this._reference(fieldConfig, r))
+          : this._reference(fieldConfig, uploadResult);
+      }
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Move a record's files to the folder of another context, e.g. from { id: 'new' } to { id: 42 }
+   * once the record has its ID. Files outside the source folder are left where they are.
+   * If a move fails, the files already moved are put back
+   * @param {Object} record - Record (or processFiles result) with file references
+   * @param {Object} fromContext - Context the files were uploaded with
+   * @param {Object} toContext - Context they belong under now
+   * @param {Object} options - { transaction } to copy now and delete the originals when it commits
+   * @returns {Promise<Object>} Rewritten file fields, to save on the record
+   */
+  async relocateFiles(record, fromContext = {}, toContext = {}, options = {}) {
+    const storage = await this._getStorage();
+    const { transaction } = options;
+    const moved = [];
+    const updates = {};
+    
+    const relocate = async (reference, fieldName, fieldConfig) => {
+      if (!reference) return reference;
+      
+      // File IDs are moved by the key and disk the registry has for them
+      const file = storage.isFileId(reference) ? await storage.getFile(reference) : null;
+      const source = file ? file.key : reference;
+      const disk = file ? file.disk : fieldConfig.disk;
+      const key = storage.keyFromUrl(source, { disk });
+      const folders = this._relocation(storage, key, fieldName, fieldConfig, fromContext, toContext);
+      if (!folders || folders.from === folders.to) return reference;
+      
+      const { from, to } = folders;
+      const newKey = to + key.slice(from.length);
+      let result;
+      if (transaction) {
+        result = await transaction.copy(source, newKey, { disk });
+        transaction.delete(reference, { disk });
+      } else {
+        result = await storage.move(source, newKey, { disk });
+        moved.push({ key, result });
+      }
+      return this._reference(fieldConfig, result);
+    };
+    
+    try {
+      for (const [fieldName, fieldConfig] of Object.entries(this.modelFileConfig.fileFields || {})) {
+        const value = record[fieldName];
+        if (!value) continue;
+        
+        const relocated = [];
+        for (const item of Array.isArray(value) ? value : [value]) {
+          if (item && typeof item === 'object') {
+            // Variant objects: { original, thumb, ... }
+            const variants = {};
+            for (const [name, reference] of Object.entries(item)) {
+              variants[name] = await relocate(reference, fieldName, fieldConfig);
+            }
+            relocated.push(variants);
+          } else {
+            relocated.push(await relocate(item, fieldName, fieldConfig));
+          }
+        }
+        
+        updates[fieldName] = Array.isArray(value) ? relocated : relocated[0];
+      }
+    } catch (err) {
+      // Put back what was moved so the record's existing references stay valid
+      for (const { key, result } of moved.reverse()) {
+        await storage.move(result.key, key, { disk: result.disk }).catch(() => {});
+      }
+      throw err;
+    }
+    
+    return updates;
+  }
+  
+  /**
+   * The folders a relocated file moves between: its field folder for fromContext, and the same for toContext
+   * {date} and {uuid} differ on every upload, so their values are read back from the key and kept
+   * @returns {Object|null} { from, to } key prefixes, or null when the key isn't in the source folder
+   */
+  _relocation(storage, key, fieldName, fieldConfig, fromContext, toContext) {
+    const { folderTemplate } = this.modelFileConfig;
+    // Keys start with the tenant's root when the storage has tenancy
+    const prefix = context => {
+      const root = storage.tenantRoot(context);
+      return `${fieldConfig.visibility === 'private' ? 'private/' : ''}${root === null ? '' : `${root}/`}`;
+    };
+    const parts = typeof folderTemplate === 'function' ? null : parseTemplate(folderTemplate, 'folder');
+    const changing = part => part.name === 'date' || part.name === 'uuid';
+    
+    if (!parts?.some(changing)) {
+      const folderOf = context => `${prefix(context)}${this._uploadOptions(fieldName, fieldConfig, context).folder}/`;
+      const from = folderOf(fromContext);
+      return key.startsWith(from) ? { from, to: folderOf(toContext) } : null;
+    }
+    
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const render = (part, context) => (typeof part === 'string'
+      ? part
+      : renderTemplate(`{${part.source}}`, { model: this.modelName.toLowerCase(), field: fieldName, ...context }, 'folder'));
+    const folder = parts.map(part => {
+      if (part.name === 'date') return `(${escape(part.arg || 'YYYY/MM/DD').replace(/YYYY|MM|DD|HH|mm|ss/g, unit => (unit === 'YYYY' ? '\\d{4}' : '\\d{2}'))})`;
+      if (part.name === 'uuid') return '([0-9a-fA-F-]{36})';
+      return escape(render(part, fromContext));
+    }).join('');
+    
+    const match = key.match(new RegExp(`^${escape(prefix(fromContext))}${folder}/${escape(fieldName)}/`));
+    if (!match) return null;
+    let group = 1;
+    const to = parts.map(part => (changing(part) ? match[group++] : render(part, toContext))).join('');
+    return { from: match[0], to: `${prefix(toContext)}${to}/${fieldName}/` };
+  }
+  
+  /**
+   * Build storage upload options for a field (folder from folderTemplate + field name, file name from nameTemplate)
+   * The context is also what storage quotas are counted against, and names the tenant
+   * whose root the folder goes under when the storage has tenancy
+   */
+  _uploadOptions(fieldName, fieldConfig, context = {}) {
+    const baseFolder = StorageConfig.resolveFolderPath(
+      this.modelFileConfig.folderTemplate,
+      { model: this.modelName.toLowerCase(), field: fieldName, ...context }
+    );
+    
+    return {
+      folder: `${baseFolder}/${fieldName}`,
+      name: fieldConfig.nameTemplate ?? this.modelFileConfig.nameTemplate,
+      disk: fieldConfig.disk,
+      dedupe: fieldConfig.dedupe,
+      quota: context,
+      tenant: context,
+      visibility: fieldConfig.visibility || 'public',
+      allowedTypes: fieldConfig.allowedTypes,
+      allowedCategories: fieldConfig.allowedCategories,
+      maxSize: fieldConfig.maxSize,
+      metadata: {
+        model: this.modelName,
+        field: fieldName,
+        ...context,
+        ...fieldConfig.metadata
+      }
+    };
+  }
+  
+  /**
+   * What a record stores for an upload: its file ID when there is a registry,
+   * otherwise private files by stable key and public ones by URL
+   */
+  _reference(fieldConfig, result) {
+    if (result.id) return result.id;
+    return fieldConfig.visibility === 'private' ? result.key : result.url;
+  }
+  
+  /**
+   * Generate and upload a field's image variants next to an uploaded original
+   * Variants go through the request's transaction, so a failure removes them along with the original
+   * @returns {Promise<Object>} References by name: { original, thumb, ... }
+   */
+  async _uploadVariants(transaction, fieldConfig, file, result, uploadOptions) {
+    const references = { original: this._reference(fieldConfig, result) };
+    
+    // Non-image files (or SVGs) in an image field are kept as they are
+    if (!isProcessableImage(file.mimetype)) {
+      return references;
+    }
+    
+    // Variants have their own format, so the field's type and size rules don't apply to them
+    const { folder, disk, dedupe, quota, tenant, visibility, metadata, uploadedBy } = uploadOptions;
+    const variants = await createImageVariants(file, fieldConfig.variants);
+    
+    for (const [name, variant] of Object.entries(variants)) {
+      const variantResult = await transaction.upload(variant, {
         folder,
-        allowedTypes: fieldConfig.allowedTypes,
-        allowedCategories: fieldConfig.allowedCategories,
-        maxSize: fieldConfig.maxSize,
-        metadata: {
-          model: this.modelName,
-          field: fieldName,
-          ...context,
-          ...fieldConfig.metadata
+        disk,
+        dedupe,
+        quota,
+        tenant,
+        visibility,
+        uploadedBy,
+        metadata: { ...metadata, variant: name }
+      });
+      references[name] = this._reference(fieldConfig, variantResult);
+    }
+    
+    return references;
+  }
+  
+  /**
+   * Flatten a record value into file references (URLs, keys, or variant objects)
+   */
+  _references(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values
+      .flatMap(item => (item && typeof item === 'object' ? Object.values(item) : [item]))
+      .filter(Boolean);
+  }
+  
+  /**
+   * Create a presigned URL for uploading a field's file straight to the provider
+   * @param {Object} request - { field, filename, contentType, size, context, uploadedBy }
+   * @returns {Promise<Object>} { uploadUrl, method, headers, fields, key, expiresAt, token }
+   */
+  async createUploadUrl({ field, filename, contentType, size, context = {}, uploadedBy } = {}) {
+    const storage = await this._getStorage();
+    const fieldConfig = this._getFieldConfig(field);
+    
+    this._validateFile({ field, originalname: filename, mimetype: contentType, size }, fieldConfig, field);
+    
+    // The same folder and name as a buffered upload; there are no contents to deduplicate on
+    const { folder, name, visibility, allowedTypes, metadata, disk, quota, tenant } = this._uploadOptions(field, fieldConfig, context);
+    
+    return storage.createUploadUrl({
+      filename,
+      contentType,
+      size,
+      field,
+      folder,
+      name,
+      visibility,
+      allowedTypes,
+      metadata,
+      disk,
+      uploadedBy,
+      quota,
+      tenant
+    });
+  }
+  
+  /**
+   * Confirm a direct upload and re-check it against the field rules
+   * @param {string} token - Token returned by createUploadUrl()
+   * @returns {Promise<Object>} Upload result with the field name
+   */
+  async confirmUpload(token) {
+    const storage = await this._getStorage();
+    const { field } = storage.readUploadToken(token);
+    const fieldConfig = this._getFieldConfig(field);
+    
+    const result = await storage.confirmUpload(token);
+    
+    try {
+      this._validateFile({ field, originalname: result.name, mimetype: result.type, size: result.size }, fieldConfig, field);
+    } catch (err) {
+      await storage.delete(result.key, { disk: result.disk });
+      throw err;
+    }
+    
+    return { field, ...result };
+  }
+  
+  _getFieldConfig(field) {
+    const fieldConfig = this.modelFileConfig.fileFields?.[field];
+    if (!fieldConfig) {
+      throw new StorageError(`Unknown file field "${field}" for ${this.modelName}`, {
+        code: 'UNEXPECTED_FIELD',
+        status: 400,
+        field
+      });
+    }
+    return fieldConfig;
+  }
+  
+  /**
+   * Resolve a record's file references into URLs clients can open
+   * Private fields get signed, expiring URLs; public URLs are returned as stored
+   * @param {Object} record - Database record with file URLs/keys
+   * @param {Object} options - { expiresIn, disposition } for signed URLs, { tenant } to refuse files outside its root
+   * @returns {Promise<Object>} URLs by field name
+   */
+  async getFileUrls(record, options = {}) {
+    const storage = await this._getStorage();
+    const urls = {};
+    
+    for (const [fieldName, fieldConfig] of Object.entries(this.modelFileConfig.fileFields || {})) {
+      const value = record[fieldName];
+      if (!value) continue;
+      
+      const sign = async ref => {
+        // File IDs carry their own visibility, key and disk
+        if (storage.isFileId(ref)) {
+          const file = await storage.getFile(ref, options);
+          if (!file) return null;
+          return file.visibility === 'private'
+            ? storage.getSignedUrl(file.key, { ...options, disk: file.disk })
+            : file.url;
+        }
+        
+        if (fieldConfig.visibility === 'private') {
+          return storage.getSignedUrl(ref, { ...options, disk: fieldConfig.disk });
         }
+        storage.assertAccessible(ref, { ...options, disk: fieldConfig.disk });
+        return ref;
       };
       
-      const uploadResult = await storage.upload(filesArray, uploadOptions);
+      // Variant objects resolve to objects of URLs
+      const resolve = async ref => {
+        if (!ref || typeof ref !== 'object') return sign(ref);
+        const entries = await Promise.all(
+          Object.entries(ref).map(async ([name, variantRef]) => [name, await sign(variantRef)])
+        );
+        return Object.fromEntries(entries);
+      };
       
-      // Store results
-      results[fieldName] = Array.isArray(uploadResult) 
-        ? uploadResult.map(r => r.url)
-        : uploadResult.url;
+      urls[fieldName] = Array.isArray(value)
+        ? await Promise.all(value.filter(Boolean).map(resolve))
+        : await resolve(value);
     }
     
-    return results;
+    return urls;
   }
   
   /**
    * Validate a single file against field configuration
+   * Contents are sniffed unless the field's disk has `sniff: false`, and errors name the field
    */
-  _validateFile(file, fieldConfig) {
+  _validateFile(file, fieldConfig, field) {
+    const storage = this.storage && fieldConfig.disk ? this.storage.disk(fieldConfig.disk) : this.storage;
     const constraints = {
+      field,
+      sniff: storage?.config.sniff,
       maxSize: fieldConfig.maxSize,
       allowedTypes: fieldConfig.allowedTypes,
       allowedCategories: fieldConfig.allowedCategories,
@@ -174,20 +623,30 @@ export class ModelFileService {
   /**
    * Delete files for a record
    * @param {Object} record - Database record with file URLs
+   * @param {Object} options - { transaction } to hold the deletes until that transaction commits,
+   *   { tenant } to refuse files outside its root
    */
-  async deleteFiles(record) {
+  async deleteFiles(record, options = {}) {
     const storage = await this._getStorage();
     const deletePromises = [];
     
-    for (const [fieldName] of Object.entries(this.modelFileConfig.fileFields || {})) {
+    for (const [fieldName, fieldConfig] of Object.entries(this.modelFileConfig.fileFields || {})) {
       const urls = record[fieldName];
       if (!urls) continue;
       
-      const urlList = Array.isArray(urls) ? urls : [urls];
+      // Variants are removed together with their original
+      const urlList = this._references(urls);
       
-      for (const url of urlList.filter(Boolean)) {
+      // URLs find their own disk, private keys live on the field's disk
+      const { disk } = fieldConfig;
+      const { tenant } = options;
+      for (const url of urlList) {
+        if (options.transaction) {
+          options.transaction.delete(url, { disk, tenant });
+          continue;
+        }
         deletePromises.push(
-          storage.delete(url).catch(error => {
+          storage.delete(url, { disk, tenant }).catch(error => {
             console.warn(warning(`Failed to delete ${url}:`), error.message);
           })
         );
@@ -201,19 +660,20 @@ export class ModelFileService {
    * Clean up files that are being replaced
    * @param {Object} existingRecord - Existing database record
    * @param {Object} newFileUrls - New file URLs
+   * @param {Object} options - { transaction } to hold the deletes until that transaction commits, { tenant }
    */
-  async cleanupReplacedFiles(existingRecord, newFileUrls) {
+  async cleanupReplacedFiles(existingRecord, newFileUrls, options = {}) {
     const storage = await this._getStorage();
     const deletePromises = [];
     
-    for (const [fieldName] of Object.entries(this.modelFileConfig.fileFields || {})) {
+    for (const [fieldName, fieldConfig] of Object.entries(this.modelFileConfig.fileFields || {})) {
       const existingUrls = existingRecord[fieldName];
       const newUrls = newFileUrls[fieldName];
       
       if (!existingUrls || !newUrls) continue;
       
-      const existingList = Array.isArray(existingUrls) ? existingUrls : [existingUrls];
-      const newList = Array.isArray(newUrls) ? newUrls : [newUrls];
+      const existingList = this._references(existingUrls);
+      const newList = this._references(newUrls);
       
       // Find URLs that exist in old but not in new
       const toDelete = existingList.filter(url => 
@@ -221,8 +681,13 @@ export class ModelFileService {
       );
       
       for (const url of toDelete) {
+        const deleteOptions = { disk: fieldConfig.disk, tenant: options.tenant };
+        if (options.transaction) {
+          options.transaction.delete(url, deleteOptions);
+          continue;
+        }
         deletePromises.push(
-          storage.delete(url).catch(error => {
+          storage.delete(url, deleteOptions).catch(error => {
             console.warn(warning(`Failed to delete old file ${url}:`), error.message);
           })
         );
@@ -231,6 +696,79 @@ export class ModelFileService {
     
     await Promise.all(deletePromises);
   }
+  
+  /**
+   * Delete this model's files that no record references any more (see collectGarbage)
+   * Only keys laid out by folderTemplate for one of the model's file fields are considered
+   * @param {Object} options - { findReferenced, gracePeriod, dryRun (default true), batchSize }
+   *   Candidates passed to findReferenced also carry the `field` they were uploaded for
+   * @returns {Promise<Object>} Report: { dryRun, scanned, recent, undated, referenced, orphans, bytes, deleted, failed }
+   */
+  async collectGarbage(options = {}) {
+    const storage = await this._getStorage();
+    
+    // Each disk is listed for the fields stored on it, all into one report
+    const fieldsByDisk = {};
+    for (const [fieldName, fieldConfig] of Object.entries(this.modelFileConfig.fileFields || {})) {
+      (fieldsByDisk[fieldConfig.disk || 'default'] ||= []).push(fieldName);
+    }
+    
+    let report;
+    for (const [disk, fields] of Object.entries(fieldsByDisk)) {
+      const { prefix, pattern } = this._storageLayout(fields);
+      report = await collectGarbage(storage.disk(disk), {
+        ...options,
+        report,
+        prefixes: prefix ? [prefix, `private/${prefix}`] : [''],
+        match: key => {
+          const match = key.match(pattern);
+          return match ? { field: match[1] } : false;
+        }
+      });
+    }
+    
+    return report || collectGarbage(storage, { ...options, prefixes: [], match: () => false });
+  }
+  
+  /**
+   * Where this model's files live: the fixed start of folderTemplate to list under,
+   * and a pattern matching `<folder>/<field>/<file>` keys of the given fields (capturing the field)
+   */
+  _storageLayout(fields = Object.keys(this.modelFileConfig.fileFields || {})) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const model = this.modelName.toLowerCase();
+    const { folderTemplate, nameTemplate, fileFields = {} } = this.modelFileConfig;
+    // With tenancy every tenant's copy of the layout sits under its root
+    const root = this.storage?.tenancy?.root;
+    const templates = root ? [[root, 'root'], [folderTemplate, 'folder']] : [[folderTemplate, 'folder']];
+    // A function template can return any folder
+    const parts = templates.flatMap(([template, scope], i) => [
+      ...(i > 0 ? ['/'] : []),
+      ...(typeof template === 'function' ? [{ name: null }] : parseTemplate(template, scope))
+    ]);
+    
+    let prefix = '';
+    let fixed = true;
+    const folder = parts.map(part => {
+      const literal = typeof part === 'string' ? part : (part.name === 'model' && part.filters.length === 0 ? model : null);
+      fixed = fixed && literal !== null;
+      if (fixed) prefix += literal;
+      if (literal !== null) return escape(literal);
+      if (part.name === null) return '.+';
+      return part.name === 'date' ? '[^/]+(?:/[^/]+)*' : '[^/]+';
+    }).join('');
+    
+    // Provider names are one segment, a name template may add folders of its own
+    const named = nameTemplate || this.storage?.config?.nameTemplate || fields.some(field => fileFields[field]?.nameTemplate);
+    
+    // A prefix that stops mid-segment would also match other folders ('product' vs 'products')
+    prefix = fixed ? `${prefix}/` : prefix.slice(0, prefix.lastIndexOf('/') + 1);
+    
+    return {
+      prefix,
+      pattern: new RegExp(`^(?:private/)?${folder}/(${fields.map(escape).join('|') || '(?!)'})/${named ? '.+' : '[^/]+'}$`)
+    };
+  }
 }
 
 // Helper function to create a ModelFileService
@@ -0,0 +1,381 @@
+// Resumable uploads - chunks are appended to per-upload state until the declared length has arrived
+// lib/ResumableUploads.js
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { join } from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { validateFile, verifyFileType, parseSize, SNIFF_BYTES } from '../utils.js';
+import { StorageError, FileTooLargeError, MalwareDetectedError } from './errors.js';
+
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+export default class ResumableUploads {
+  /**
+   * Track resumable uploads for a storage instance
+   * State lives in `dir` (one JSON file per upload, plus a temp file for bytes not yet in storage),
+   * so uploads survive restarts as long as the directory does
+   * @param {StorageService} storage - Storage finished files are committed to
+   * @param {Object} options - { dir, expiresIn (seconds without activity, default 24h) }
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.dir = options.dir || process.env.STORAGE_RESUMABLE_DIR || join(os.tmpdir(), 'semantq-storage-resumable');
+    this.expiresIn = options.expiresIn || 24 * 60 * 60;
+    this.locks = new Set();
+  }
+
+  /**
+   * Largest file accepted for a set of upload options
+   * @param {Object} options - Upload options (maxSize, disk)
+   * @returns {number} Size in bytes
+   */
+  maxSize(options = {}) {
+    return Math.min(
+      options.maxSize ? parseSize(options.maxSize) : Infinity,
+      this.storage._diskFor(options).config.maxFileSize
+    );
+  }
+
+  /**
+   * Start a resumable upload
+   * @param {Object} file - { originalname, mimetype, size } as declared by the client
+   * @param {Object} options - Upload options (folder, name, visibility, metadata, field, allowedTypes, maxSize, disk, quota, tenant)
+   * @returns {Promise<Object>} Upload state ({ id, file, offset, expiresAt, ... })
+   */
+  async create(file, options = {}) {
+    const { originalname, mimetype, size } = file;
+
+    if (!originalname || !mimetype || !Number.isInteger(size) || size < 0) {
+      throw new StorageError('filename, contentType and size are required for resumable uploads', {
+        code: 'INVALID_REQUEST',
+        status: 400,
+        field: options.field
+      });
+    }
+    if (size > this.maxSize(options)) {
+      throw new FileTooLargeError({ field: options.field, maxSize: this.maxSize(options), size });
+    }
+    validateFile(file, options);
+
+    // Refused before any bytes are sent; counted when the upload is confirmed
+    (await this.storage._diskFor(options)._reserveQuota(options, [{ size, type: mimetype }]))?.release();
+
+    const upload = {
+      id: crypto.randomBytes(16).toString('hex'),
+      file: { originalname, mimetype, size },
+      options,
+      offset: 0,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.expiresIn * 1000
+    };
+
+    // Providers with native multipart uploads receive full parts as they fill up
+    const storage = this._storage(upload);
+    if (size > 0 && typeof storage.provider.createMultipartUpload === 'function') {
+      const { key, uploadId } = await storage._callProvider('createMultipartUpload', upload.file, storage._withName(upload.file, storage._inTenant(options)));
+      upload.multipart = { key, uploadId, parts: [], bytes: 0 };
+    }
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this._dataPath(upload.id), '');
+
+    // Nothing to wait for with an empty file
+    if (size === 0) {
+      await this._complete(upload);
+    }
+
+    await this._save(upload);
+    return upload;
+  }
+
+  /**
+   * Look up an upload
+   * @param {string} id - Upload ID
+   * @returns {Promise<Object|null>} Upload state, null if unknown or expired
+   */
+  async get(id) {
+    if (!ID_PATTERN.test(id)) return null;
+
+    let upload;
+    try {
+      upload = JSON.parse(await fs.promises.readFile(this._statePath(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+
+    if (Date.now() > upload.expiresAt) {
+      await this._discard(upload);
+      return null;
+    }
+
+    // The temp file is the source of truth for bytes received, even if the last save didn't happen
+    if (!upload.result) {
+      const { size: buffered } = await fs.promises.stat(this._dataPath(id)).catch(() => ({ size: 0 }));
+      upload.offset = (upload.multipart?.bytes || 0) + buffered;
+    }
+    return upload;
+  }
+
+  /**
+   * Look up an upload, retrying the commit if every byte arrived but storing the file failed
+   * @param {string} id - Upload ID
+   * @returns {Promise<Object|null>} Upload state, null if unknown or expired
+   */
+  async status(id) {
+    const upload = await this.get(id);
+
+    if (upload && !upload.result && upload.offset === upload.file.size) {
+      return this.append(id, Readable.from([]), upload.offset);
+    }
+    return upload;
+  }
+
+  /**
+   * Append a chunk to an upload, committing the file to storage once it is complete
+   * Bytes that reach disk count even if the stream fails, so an interrupted chunk resumes where it stopped
+   * @param {string} id - Upload ID
+   * @param {Readable} stream - Chunk contents
+   * @param {number} offset - Offset the client believes the chunk starts at
+   * @returns {Promise<Object>} Updated upload state (with `result` and `token` once complete)
+   */
+  async append(id, stream, offset) {
+    if (this.locks.has(id)) {
+      throw new StorageError('Upload is already receiving a chunk', { code: 'UPLOAD_LOCKED', status: 423 });
+    }
+    this.locks.add(id);
+
+    try {
+      const upload = await this.get(id);
+      if (!upload) {
+        throw new StorageError('Upload not found', { code: 'UPLOAD_NOT_FOUND', status: 404 });
+      }
+      if (offset !== upload.offset) {
+        throw new StorageError(`Offset mismatch: upload is at ${upload.offset}`, {
+          code: 'OFFSET_MISMATCH',
+          status: 409,
+          offset: upload.offset
+        });
+      }
+      if (upload.result) {
+        return upload;
+      }
+
+      let received = 0;
+      const remaining = upload.file.size - upload.offset;
+      const lengthError = () => new StorageError('Chunk exceeds declared upload length', {
+        code: 'UPLOAD_LENGTH_EXCEEDED',
+        status: 413,
+        field: upload.options.field,
+        length: upload.file.size
+      });
+      const limit = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          callback(received > remaining ? lengthError() : null, chunk);
+        }
+      });
+
+      let failure = null;
+      try {
+        await pipeline(stream, limit, fs.createWriteStream(this._dataPath(id), { flags: 'a' }));
+      } catch (err) {
+        failure = err;
+      }
+
+      const { size: buffered } = await fs.promises.stat(this._dataPath(id));
+      upload.offset = (upload.multipart?.bytes || 0) + buffered;
+      upload.expiresAt = Date.now() + this.expiresIn * 1000;
+
+      // Check the leading bytes against the declared type as soon as they are in
+      if (upload.detectedType === undefined && (buffered >= SNIFF_BYTES || upload.offset === upload.file.size)) {
+        await this._sniff(upload);
+      }
+
+      if (upload.offset === upload.file.size) {
+        await this._complete(upload);
+      } else if (upload.multipart && buffered >= this._partSize(upload)) {
+        await this._flushPart(upload, buffered);
+      }
+
+      await this._save(upload);
+
+      if (failure) throw failure;
+      return upload;
+    } finally {
+      this.locks.delete(id);
+    }
+  }
+
+  /**
+   * Cancel an upload, dropping anything received so far
+   * Files of completed uploads are already in storage and are left alone
+   * @param {string} id - Upload ID
+   * @returns {Promise<boolean>} Whether the upload existed
+   */
+  async abort(id) {
+    const upload = await this.get(id);
+    if (!upload) return false;
+
+    await this._discard(upload);
+    return true;
+  }
+
+  /**
+   * Remove uploads that saw no activity within expiresIn
+   * Run it on a schedule; the handler also runs it now and then when uploads are created
+   * @returns {Promise<number>} Number of uploads removed
+   */
+  async cleanupExpired() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return 0;
+      throw err;
+    }
+
+    let removed = 0;
+    for (const entry of entries.filter(name => name.endsWith('.json'))) {
+      const upload = await this.get(entry.slice(0, -'.json'.length)).catch(() => undefined);
+      if (upload === null) removed++;
+    }
+    return removed;
+  }
+
+  async _complete(upload) {
+    const file = { ...upload.file, size: upload.offset };
+
+    // Last chance to reject the file before it is committed
+    try {
+      validateFile(file, upload.options);
+    } catch (err) {
+      await this._discard(upload);
+      throw err;
+    }
+
+    const storage = this._storage(upload);
+    let result;
+    try {
+      if (upload.multipart) {
+        const { size: buffered } = await fs.promises.stat(this._dataPath(upload.id));
+        if (buffered > 0) {
+          await this._flushPart(upload, buffered);
+        }
+        result = await storage._callProvider(
+          'completeMultipartUpload',
+          upload.multipart.key,
+          upload.multipart.uploadId,
+          upload.multipart.parts,
+          file
+        );
+        // Parts went straight to the provider, so the assembled file is scanned where it landed
+        await storage.scanStored(result.key, file);
+        result = { ...result, disk: storage.name };
+      } else {
+        result = await storage.uploadStream(fs.createReadStream(this._dataPath(upload.id)), file, upload.options);
+      }
+    } catch (err) {
+      // An infected file is gone for good, anything else can be retried through status()
+      if (err instanceof MalwareDetectedError) {
+        await this._discard(upload);
+      }
+      throw err;
+    }
+
+    await fs.promises.rm(this._dataPath(upload.id), { force: true });
+
+    // Kept until expiry so a client that missed the final response can still pick up the token
+    upload.result = { ...result, detectedType: upload.detectedType ?? null };
+    upload.token = storage.createUploadToken({
+      key: result.key,
+      filename: file.originalname,
+      contentType: file.mimetype,
+      size: file.size,
+      field: upload.options.field,
+      uploadedBy: upload.options.uploadedBy,
+      quota: upload.options.quota,
+      tenantRoot: storage.tenantRoot(upload.options.tenant),
+      // As long as the finished upload is kept for the client to pick the token up
+      expiresIn: this.expiresIn
+    });
+  }
+
+  async _sniff(upload) {
+    if (this.storage.config.sniff === false) {
+      upload.detectedType = null;
+      return;
+    }
+
+    const handle = await fs.promises.open(this._dataPath(upload.id), 'r');
+    let head;
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+      head = buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      upload.detectedType = verifyFileType({ ...upload.file, field: upload.options.field, buffer: head });
+      validateFile({ ...upload.file, buffer: head }, upload.options);
+    } catch (err) {
+      await this._discard(upload);
+      throw err;
+    }
+  }
+
+  async _flushPart(upload, size) {
+    const { key, uploadId, parts } = upload.multipart;
+    const part = await this._storage(upload)._callProvider(
+      'uploadPart',
+      key,
+      uploadId,
+      parts.length + 1,
+      fs.createReadStream(this._dataPath(upload.id)),
+      size
+    );
+
+    parts.push(part);
+    upload.multipart.bytes += size;
+    await fs.promises.truncate(this._dataPath(upload.id), 0);
+  }
+
+  async _discard(upload) {
+    if (upload.multipart && !upload.result) {
+      await this._storage(upload).provider
+        .abortMultipartUpload(upload.multipart.key, upload.multipart.uploadId)
+        .catch(() => {});
+    }
+
+    await fs.promises.rm(this._dataPath(upload.id), { force: true });
+    await fs.promises.rm(this._statePath(upload.id), { force: true });
+  }
+
+  async _save(upload) {
+    // Write through a temp file so a crash never leaves half a state file
+    const statePath = this._statePath(upload.id);
+    await fs.promises.writeFile(`${statePath}.tmp`, JSON.stringify(upload));
+    await fs.promises.rename(`${statePath}.tmp`, statePath);
+  }
+
+  // Every part but the last has to be at least this big (5MB on S3)
+  _partSize(upload) {
+    return this._storage(upload).provider.partSize || 5 * 1024 * 1024;
+  }
+
+  // Disk the upload's file goes to (options.disk)
+  _storage(upload) {
+    return this.storage._diskFor(upload.options);
+  }
+
+  _statePath(id) {
+    return join(this.dir, `${id}.json`);
+  }
+
+  _dataPath(id) {
+    return join(this.dir, `${id}.bin`);
+  }
+}
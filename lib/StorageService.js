@@ -1,6 +1,36 @@
 // Core storage service - lightweight and flexible
 // lib/StorageService.js
+import crypto from 'crypto';
+import { extname } from 'path';
+import { PassThrough, Transform } from 'stream';
 import * as providers from '../providers/index.js';
+import * as scanners from '../scanners/index.js';
+import * as registries from '../registries/index.js';
+import UploadTransaction from './UploadTransaction.js';
+import QuotaManager from './quotas.js';
+import {
+  StorageError,
+  FileTooLargeError,
+  InvalidFileTypeError,
+  TooManyFilesError,
+  ProviderError,
+  ConfigError,
+  MalwareDetectedError
+} from './errors.js';
+import { renderTemplate, validateTemplate } from './templates.js';
+import { parseSize, verifyFileType, effectiveMimeType, SNIFF_BYTES } from '../utils.js';
+
+// Signs upload tokens when no uploadSecret is configured (only valid within this process)
+const processSecret = crypto.randomBytes(32).toString('hex');
+
+// IDs handed out by the file registry, e.g. file_3f2a...
+const FILE_ID = /^file_[0-9a-f]{32}$/;
+
+// Deduplicated files are stored by checksum under this folder
+const CONTENT_FOLDER = 'cas';
+
+// Providers that name stored files themselves and ignore the key they are given
+const SELF_NAMING = ['cloudinary', 'uploadthing'];
 
 export default class StorageService {
   constructor(config = {}) {
@@ -10,49 +40,848 @@ export default class StorageService {
       ...config
     };
     
+    this.tenancy = this._initTenancy();
+    if (this.config.dedupe) this._assertKeyed('Deduplication');
+    // A mistyped name template fails here, not on the first upload
+    if (this.config.nameTemplate) {
+      validateTemplate(this.config.nameTemplate, 'name');
+      this._assertKeyed('A nameTemplate');
+    }
     this.provider = this._initProvider();
+    this.scanner = this._initScanner();
+    this.registry = this._initRegistry();
+    this.quotas = this.config.quotas ? new QuotaManager(this.config.quotas) : null;
+    // Reference count changes and deduplicated uploads in flight, see _exclusive()
+    this.locks = new Map();
+    
+    // Named disks route to providers of their own; this instance is the default disk
+    this.name = 'default';
+    this.root = this;
+    this.disks = this._initDisks();
+  }
+  
+  _initDisks() {
+    const { disks = {}, registry, quotas, ...shared } = this.config;
+    const instances = {};
+    
+    for (const [name, diskConfig] of Object.entries(disks)) {
+      if (name === 'default') {
+        throw new ConfigError('"default" is reserved for the top-level provider, pick another disk name', { disk: name });
+      }
+      
+      // Disks inherit the shared settings (limits, scanner, secrets) and override what they set,
+      // their provider section is merged so credentials can be shared and the bucket changed
+      const provider = diskConfig.provider || shared.provider;
+      const disk = new StorageService({
+        ...shared,
+        ...diskConfig,
+        [provider]: { ...shared[provider], ...diskConfig[provider] }
+      });
+      disk.name = name;
+      disk.root = this;
+      // One registry and one quota count for all disks, records say which disk their file is on
+      disk.registry = this.registry;
+      disk.quotas = this.quotas;
+      instances[name] = disk;
+    }
+    
+    return instances;
+  }
+  
+  /**
+   * Get a named disk from config.disks
+   * Every disk is a StorageService of its own; they all route URLs of the others to them
+   * @param {string} name - Disk name ('default' or nothing for the top-level provider)
+   * @returns {StorageService} Storage for the disk
+   */
+  disk(name) {
+    if (!name || name === 'default') return this.root;
+    
+    const disk = this.root.disks[name];
+    if (!disk) {
+      throw new ConfigError(`Disk "${name}" is not configured. Available: ${['default', ...Object.keys(this.root.disks)].join(', ')}`, {
+        disk: name
+      });
+    }
+    return disk;
+  }
+  
+  _initTenancy() {
+    const { tenancy } = this.config;
+    if (!tenancy) return null;
+    
+    const { root } = tenancy;
+    if (typeof root !== 'function' && (typeof root !== 'string' || !root || root.split('/').some(part => !part || part === '.' || part === '..'))) {
+      throw new ConfigError(`Invalid tenancy root "${root}", expected a relative folder template such as 'tenants/{tenantId}' or a function`);
+    }
+    validateTemplate(root, 'root');
+    // UploadThing keys are flat IDs of its own, there is no folder to keep a tenant in
+    if (this._providerNames().includes('uploadthing')) {
+      throw new ConfigError('Tenant roots need folder-based keys, which UploadThing does not have', { provider: 'uploadthing' });
+    }
+    
+    return { root };
+  }
+  
+  _initScanner() {
+    const { scanner } = this.config;
+    if (!scanner) return null;
+    
+    // Either a ready scanner (anything with scan()) or the name of a bundled one
+    if (typeof scanner.scan === 'function') return scanner;
+    
+    const Scanner = scanners[scanner];
+    if (!Scanner) {
+      throw new ConfigError(`Scanner "${scanner}" not supported. Available: ${Object.keys(scanners).join(', ')}`, { scanner });
+    }
+    return new Scanner(this.config[scanner] || {});
+  }
+  
+  _initRegistry() {
+    const { registry } = this.config;
+    if (!registry) return null;
+    
+    // A ready adapter (get/put/delete/findOne), a bundled one's name, or { adapter, ...settings }
+    if (typeof registry.get === 'function') return registry;
+    
+    const { adapter, ...settings } = typeof registry === 'string' ? { adapter: registry } : registry;
+    const Registry = registries[adapter];
+    if (!Registry) {
+      throw new ConfigError(`Registry "${adapter}" not supported. Available: ${Object.keys(registries).join(', ')}`, { registry: adapter });
+    }
+    return new Registry(settings);
   }
   
   _initProvider() {
     const Provider = providers[this.config.provider];
     if (!Provider) {
-      throw new Error(`Provider "${this.config.provider}" not supported. Available: ${Object.keys(providers).join(', ')}`);
+      throw new ConfigError(`Provider "${this.config.provider}" not supported. Available: ${Object.keys(providers).join(', ')}`, {
+        provider: this.config.provider
+      });
     }
     
-    return new Provider(this.config);
+    // Provider-specific settings live under their own key (e.g. config.s3)
+    return new Provider({
+      ...this.config,
+      ...this.config[this.config.provider]
+    });
   }
   
   /**
    * Upload single or multiple files
    * @param {File|File[]} files - File(s) to upload
-   * @param {Object} options - Upload options
-   * @returns {Promise<Object|Object[]>} Upload results
+   * @param {Object} options - Upload options (`disk` picks a named disk, `uploadedBy` goes into the registry,
+   *   `quota` is the context quotas are counted in, e.g. { tenantId, userId }, `tenant` puts the folder
+   *   under that tenant's root, `name` is a name template overriding the nameTemplate config)
+   * @returns {Promise<Object|Object[]>} Upload results (with an `id` when there is a registry)
    */
   async upload(files, options = {}) {
+    const disk = this._diskFor(options);
+    if (disk !== this) return disk.upload(files, options);
+    options = this._inTenant(options);
+    
     const isArray = Array.isArray(files);
     const fileArray = isArray ? files : [files];
     
-    // Validate files
-    const validations = fileArray.map(file => 
+    // Validate files (contents are sniffed, detected types end up in the results)
+    const detectedTypes = fileArray.map(file => 
       this._validateFile(file, options)
     );
-    await Promise.all(validations);
     
-    // Upload files
-    const uploads = await Promise.all(
-      fileArray.map(file => this.provider.upload(file, options))
+    // Quota is held for the files while they upload, and counted once they are stored
+    const reservation = await this._reserveQuota(options, fileArray.map((file, i) => ({
+      size: file.size ?? file.buffer.length,
+      type: effectiveMimeType(file, detectedTypes[i])
+    })));
+    try {
+      const uploads = await this._uploadFiles(fileArray, detectedTypes, options);
+      await this._chargeQuota(options, uploads);
+      return isArray ? uploads : uploads[0];
+    } finally {
+      reservation?.release();
+    }
+  }
+  
+  // Store validated files: deduplicated, through quarantine or straight to the provider, then registered
+  async _uploadFiles(fileArray, detectedTypes, options) {
+    const checksums = this.registry
+      ? fileArray.map(file => crypto.createHash('sha256').update(file.buffer).digest('hex'))
+      : [];
+    
+    if (this._dedupes(options)) {
+      return this._allOrNothing(fileArray.map((file, i) =>
+        this._uploadDeduplicated(file, checksums[i], detectedTypes[i], options)
+      ));
+    }
+    
+    // Name templates can use the file's own hash, extension and name, so each file gets its options
+    const fileOptions = fileArray.map((file, i) => this._withName(file, options, checksums[i]));
+    
+    let uploads;
+    if (this.scanner && this.config.quarantine) {
+      uploads = await this._uploadQuarantined(fileArray, fileOptions);
+    } else {
+      // Scan everything first so an infected file never reaches the provider
+      if (this.scanner) {
+        await Promise.all(fileArray.map(file => this._scan(file.buffer, file)));
+      }
+      
+      // Upload files (all or nothing: if one fails, the others are removed again)
+      uploads = await this._allOrNothing(
+        fileArray.map((file, i) => this._callProvider('upload', file, fileOptions[i]))
+      );
+    }
+    
+    uploads = uploads.map((result, i) => ({ ...result, detectedType: detectedTypes[i], disk: this.name }));
+    if (this.registry) {
+      uploads = await this._allOrNothing(uploads.map((result, i) => this._register(result, {
+        ...this._fileDetails(fileArray[i], options),
+        size: result.size ?? fileArray[i].size,
+        checksum: checksums[i]
+      })));
+    }
+    return uploads;
+  }
+  
+  /**
+   * Upload a file from a stream without holding it in memory
+   * @param {Readable} stream - File contents
+   * @param {Object} file - { originalname, mimetype } as declared by the client
+   * @param {Object} options - Upload options (folder, name, metadata, visibility, allowedTypes, maxSize, disk, uploadedBy, quota, tenant)
+   * @returns {Promise<Object>} Upload result, `size` is the number of bytes received
+   */
+  async uploadStream(stream, file, options = {}) {
+    const disk = this._diskFor(options);
+    if (disk !== this) return disk.uploadStream(stream, file, options);
+    options = this._inTenant(options);
+    
+    // Only the declared type can be checked up front, size is enforced while streaming
+    this._validateFile(file, options);
+    options = this._withName(file, options);
+    const dedupe = this._dedupes(options);
+    // The checksum is only known once the file is in: it lands under a key of its own and is moved to its content key then
+    if (dedupe) {
+      options = { ...options, key: this._contentKey(`incoming/${crypto.randomUUID()}`, file, options) };
+    }
+    
+    // The size is only known as the file arrives: the reservation grows with every chunk,
+    // and is held until the file is counted
+    const quota = await this._reserveQuota(options, [{ size: 0, type: file.mimetype }]);
+    try {
+      return await this._storeStream(stream, file, options, { quota, dedupe });
+    } finally {
+      quota?.release();
+    }
+  }
+  
+  // Stream a validated file to the provider, checking its size, type and quota as it goes, then register and count it
+  async _storeStream(stream, file, options, { quota, dedupe }) {
+    const maxSize = Math.min(
+      options.maxSize ? parseSize(options.maxSize) : Infinity,
+      this.config.maxFileSize
     );
     
-    return isArray ? uploads : uploads[0];
+    // Hold back the first bytes until their type is checked, so a mismatched file never reaches the provider
+    const storage = this;
+    const hash = this.registry ? crypto.createHash('sha256') : null;
+    let size = 0;
+    let head = [];
+    let detectedType = null;
+    let sniffed = this.config.sniff === false;
+    const sniff = () => {
+      const buffer = Buffer.concat(head);
+      detectedType = storage._validateFile({ ...file, buffer }, options);
+      sniffed = true;
+      head = null;
+      return buffer;
+    };
+    
+    // Without quarantine, streams are scanned while they upload and removed again if infected
+    const quarantine = Boolean(this.scanner && this.config.quarantine);
+    let scanInput = null;
+    let scanning = null;
+    if (this.scanner && !quarantine) {
+      scanInput = new PassThrough();
+      // Keep data flowing if the scanner stops reading early
+      scanning = this._scan(scanInput, file).finally(() => scanInput.resume());
+      scanning.catch(() => {});
+    }
+    
+    const forward = (data, callback) => {
+      if (scanInput && !scanInput.write(data)) {
+        return scanInput.once('drain', () => callback(null, data));
+      }
+      callback(null, data);
+    };
+    
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        hash?.update(chunk);
+        if (size > maxSize) {
+          return callback(new FileTooLargeError({ field: options.field || file.field, maxSize }));
+        }
+        try {
+          quota?.check(size);
+        } catch (err) {
+          return callback(err);
+        }
+        if (sniffed) return forward(chunk, callback);
+        
+        head.push(chunk);
+        if (size < SNIFF_BYTES) return callback();
+        try {
+          forward(sniff(), callback);
+        } catch (err) {
+          callback(err);
+        }
+      },
+      flush(callback) {
+        try {
+          if (!sniffed) {
+            const data = sniff();
+            this.push(data);
+            scanInput?.write(data);
+          }
+          scanInput?.end();
+          callback();
+        } catch (err) {
+          callback(err);
+        }
+      }
+    });
+    stream.on('error', err => counter.destroy(err));
+    // Small files can fail the checks before the provider starts reading; it still sees the error then
+    counter.on('error', () => scanInput?.destroy());
+    const body = stream.pipe(counter);
+    
+    const uploadOptions = quarantine ? this._quarantineOptions(options) : options;
+    
+    let result;
+    if (typeof this.provider.uploadStream === 'function') {
+      result = await this._callProvider('uploadStream', body, file, uploadOptions);
+    } else {
+      // Providers without streaming support get the file buffered, still capped at maxSize
+      const chunks = [];
+      for await (const chunk of body) chunks.push(chunk);
+      const buffer = Buffer.concat(chunks);
+      result = await this._callProvider('upload', { ...file, buffer, size: buffer.length }, uploadOptions);
+    }
+    
+    if (quarantine) {
+      [result] = await this._promote([{ ...result, size }], [{ ...file, size }], [options]);
+    } else if (scanning) {
+      try {
+        await scanning;
+      } catch (err) {
+        await this.provider.delete(result.key).catch(() => {});
+        throw err;
+      }
+    }
+    
+    const checksum = hash?.digest('hex') ?? null;
+    result = { ...result, size, detectedType, disk: this.name };
+    const stored = dedupe
+      ? await this._exclusive(this._contentLock(checksum, options), () => this._keepStreamedOnce(result, file, checksum, options))
+      : await this._register(result, { ...this._fileDetails(file, options), size, checksum });
+    await this._chargeQuota(options, [stored]);
+    return stored;
+  }
+  
+  /**
+   * Create a presigned URL so a client can upload straight to the provider
+   * @param {Object} request - { filename, contentType, size, folder, name, metadata, visibility, field, allowedTypes, expiresIn, disk,
+   *   uploadedBy, quota, tenant }
+   * @returns {Promise<Object>} { uploadUrl, method, headers, fields, key, expiresAt, token }
+   *   Pass `token` to confirmUpload() once the client has finished uploading
+   */
+  async createUploadUrl(request = {}) {
+    const disk = this._diskFor(request);
+    if (disk !== this) return disk.createUploadUrl(request);
+    request = this._inTenant(request);
+    
+    const { filename, contentType, size, folder, metadata, visibility, field, uploadedBy, quota, expiresIn = 900 } = request;
+    
+    if (!filename || !contentType || !size) {
+      throw new StorageError('filename, contentType and size are required for direct uploads', {
+        code: 'INVALID_REQUEST',
+        status: 400,
+        field
+      });
+    }
+    if (typeof this.provider.createUploadUrl !== 'function') {
+      throw new ConfigError(`Provider "${this.config.provider}" does not support direct uploads`, { provider: this.config.provider });
+    }
+    
+    const file = { originalname: filename, mimetype: contentType, size };
+    this._validateFile(file, request);
+    
+    // Counted once the upload is confirmed, but a file that can't fit is refused right away
+    (await this._reserveQuota(request, [{ size, type: contentType }]))?.release();
+    
+    const { key } = this._withName(file, request);
+    const upload = await this._callProvider('createUploadUrl', file, { folder, metadata, visibility, expiresIn, key });
+    
+    return {
+      ...upload,
+      expiresAt: new Date(Date.now() + expiresIn * 1000),
+      token: this.createUploadToken({
+        key: upload.key,
+        filename,
+        contentType,
+        size,
+        field,
+        uploadedBy,
+        quota,
+        tenantRoot: this.tenantRoot(request.tenant),
+        // A transfer started just before the URL expires still has to be confirmed
+        expiresIn: expiresIn + 3600
+      })
+    };
+  }
+  
+  /**
+   * Issue a confirmUpload() token for a file that reaches storage outside upload(),
+   * e.g. through a presigned URL or a resumable upload
+   * @param {Object} upload - { key, filename, contentType, size, field, uploadedBy, quota, tenantRoot,
+   *   expiresIn (seconds the token can be confirmed for, default 3600) }
+   * @returns {string} Upload token
+   */
+  createUploadToken({ key, filename, contentType, size, field, uploadedBy, quota, tenantRoot = null, expiresIn = 3600 }) {
+    return this._signToken({
+      provider: this.config.provider,
+      disk: this.name,
+      key,
+      filename,
+      contentType,
+      size,
+      field,
+      uploadedBy,
+      quota,
+      tenantRoot,
+      expiresAt: Date.now() + expiresIn * 1000
+    });
+  }
+  
+  /**
+   * Verify a direct upload landed and matches what was declared
+   * @param {string} token - Token returned by createUploadUrl()
+   * @returns {Promise<Object>} Same result shape as upload()
+   */
+  async confirmUpload(token) {
+    const { key, filename, contentType, size, field, uploadedBy, quota, tenantRoot, disk: diskName } = this.readUploadToken(token);
+    
+    // Tokens remember the disk the URL was created on
+    const disk = this.disk(diskName);
+    if (disk !== this) return disk.confirmUpload(token);
+    
+    // Providers throw if nothing was uploaded under the key
+    const result = await this._callProvider('confirmUpload', key, {
+      originalname: filename,
+      mimetype: contentType,
+      size
+    });
+    
+    if (result.size !== size || (result.type && result.type !== contentType)) {
+      await this.provider.delete(key);
+      throw new StorageError(`Uploaded file does not match declaration (expected ${contentType}, ${size} bytes)`, {
+        code: 'UPLOAD_MISMATCH',
+        status: 400,
+        field,
+        size: result.size,
+        expectedSize: size
+      });
+    }
+    
+    // The client only declared the type, check what it actually sent
+    let detectedType = null;
+    if (this.config.sniff !== false) {
+      try {
+        detectedType = verifyFileType({ originalname: filename, mimetype: contentType, field, buffer: await this._readHead(key) });
+      } catch (err) {
+        await this.provider.delete(key);
+        throw err;
+      }
+    }
+    
+    await this.scanStored(key, { originalname: filename, mimetype: contentType, size, field });
+    
+    // Checked again now that the file is here, other uploads may have used up the quota meanwhile
+    // (resumable uploads that were streamed to storage are counted already)
+    let reservation = null;
+    if (this.quotas && quota && !await this.quotas.charged(this.name, key)) {
+      try {
+        reservation = await this._reserveQuota({ quota, field }, [{ size, type: effectiveMimeType({ mimetype: contentType }, detectedType) }]);
+      } catch (err) {
+        await this.provider.delete(key).catch(() => {});
+        throw err;
+      }
+    }
+    
+    try {
+      // The contents never passed through here, so there is no checksum
+      const stored = await this._register({ ...result, detectedType, disk: this.name }, {
+        name: filename,
+        type: contentType,
+        size,
+        visibility: key.startsWith('private/') ? 'private' : 'public',
+        field,
+        uploadedBy,
+        tenant: tenantRoot
+      });
+      await this._chargeQuota({ quota }, [stored]);
+      return stored;
+    } finally {
+      reservation?.release();
+    }
+  }
+  
+  /**
+   * Scan a stored file with the configured scanner, deleting it if it is infected
+   * For files that reach storage without going through upload(), e.g. direct and resumable uploads
+   * @param {string} urlOrKey - File URL or storage key
+   * @param {Object} file - { originalname, field } for the error
+   * @returns {Promise<void>} Rejects with MalwareDetectedError for infected files
+   */
+  async scanStored(urlOrKey, file = {}) {
+    if (!this.scanner) return;
+    
+    try {
+      await this._scan(await this._callProvider('getStream', urlOrKey), file);
+    } catch (err) {
+      await this.provider.delete(urlOrKey).catch(() => {});
+      throw err;
+    }
+  }
+  
+  /**
+   * Decode and verify an upload token from createUploadUrl()
+   * @param {string} token - Upload token
+   * @returns {Object} { provider, disk, key, filename, contentType, size, field, uploadedBy, quota, tenantRoot, expiresAt }
+   */
+  readUploadToken(token = '') {
+    const [payload, signature = ''] = token.split('.');
+    const expected = this._tokenSignature(payload);
+    
+    if (!payload || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new StorageError('Invalid upload token', { code: 'INVALID_UPLOAD_TOKEN', status: 400 });
+    }
+    
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!(data.expiresAt > Date.now())) {
+      throw new StorageError('Upload token has expired', { code: 'UPLOAD_TOKEN_EXPIRED', status: 400 });
+    }
+    const { provider } = this.disk(data.disk).config;
+    if (data.provider !== provider) {
+      throw new StorageError(`Upload token belongs to provider "${data.provider}", not "${provider}"`, {
+        code: 'INVALID_UPLOAD_TOKEN',
+        status: 400
+      });
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Create an expiring download URL, e.g. for private files
+   * @param {string} urlOrKey - File URL or storage key
+   * @param {Object} options - { expiresIn (seconds, default 3600), disposition ('inline' | 'attachment; filename="x.pdf"'), disk }
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(urlOrKey, options = {}) {
+    const disk = this._route(urlOrKey, options);
+    disk._assertTenant(urlOrKey, options);
+    if (typeof disk.provider.getSignedUrl !== 'function') {
+      throw new ConfigError(`Provider "${disk.config.provider}" does not support signed URLs`, { provider: disk.config.provider });
+    }
+    
+    return disk._callProvider('getSignedUrl', urlOrKey, options);
   }
   
   /**
    * Delete file by URL
-   * @param {string} url - File URL to delete
+   * URLs go to whichever disk stored them; bare keys to options.disk (this disk by default).
+   * Registered files (by ID, URL or key) lose one reference instead, see releaseFile()
+   * @param {string} url - File URL, storage key or file ID to delete
+   * @param {Object} options - { disk, tenant } (files outside the tenant's root are refused)
    * @returns {Promise<void>}
    */
-  async delete(url) {
-    return this.provider.delete(url);
+  async delete(url, options = {}) {
+    if (this.isFileId(url)) {
+      await this.releaseFile(url, options);
+      return;
+    }
+    
+    const disk = this._route(url, options);
+    disk._assertTenant(url, options);
+    const record = await this._registered(disk, url);
+    if (record) {
+      await this.releaseFile(record.id);
+      return;
+    }
+    await disk._callProvider('delete', url);
+    await this.quotas?.refund(disk.name, disk.keyFromUrl(url));
+  }
+  
+  /**
+   * Copy a stored file to another key
+   * Providers without a native copy (UploadThing) get the file streamed through this process,
+   * and store it under a key of their own derived from `to`: use the key and URL returned
+   * @param {string} from - File URL or storage key
+   * @param {string} to - Destination key; under private/ the copy is private. A file already there is replaced
+   * @param {Object} options - { disk } the destination (and a bare `from` key) is on; URLs on other disks are copied across.
+   *   { tenant } keeps both files inside that tenant's root
+   * @returns {Promise<Object>} Result for the copy, same shape as upload()
+   */
+  async copy(from, to, options = {}) {
+    this._assertKey(to);
+    
+    const disk = this._diskFor(options);
+    const source = this._route(from, options);
+    source._assertTenant(from, options);
+    disk._assertTenant(to, options);
+    const result = source === disk && typeof disk.provider.copy === 'function'
+      ? { ...await disk._callProvider('copy', from, to), disk: disk.name }
+      : await disk._copyThrough(source, from, to);
+    
+    // A copy is a file of its own, with the original's details, and counts against the same quotas
+    await this.quotas?.transfer({ disk: source.name, key: source.keyFromUrl(from) }, result, { copy: true });
+    const original = await this._registered(source, from);
+    return original ? this._register(result, original) : result;
+  }
+  
+  /**
+   * Copy a file from another storage onto this one, streamed through this process
+   * Nothing is registered or counted: this is the raw copy migrations are made of
+   * @param {StorageService} source - Storage (or disk) the file is on
+   * @param {string} from - File URL or key on the source
+   * @param {string} to - Destination key; under private/ the copy is private. Providers that pick their own keys derive one from it
+   * @returns {Promise<Object>} Result for the copy, with the key and URL it was stored under
+   */
+  async copyFrom(source, from, to) {
+    this._assertKey(to);
+    return this._copyThrough(source, from, to);
+  }
+  
+  /**
+   * Move a stored file to another key (see copy() for the destination rules)
+   * @param {string} from - File URL or storage key
+   * @param {string} to - Destination key
+   * @param {Object} options - { disk, tenant } as for copy()
+   * @returns {Promise<Object>} Result for the moved file, same shape as upload()
+   */
+  async move(from, to, options = {}) {
+    this._assertKey(to);
+    
+    const disk = this._diskFor(options);
+    const source = this._route(from, options);
+    source._assertTenant(from, options);
+    disk._assertTenant(to, options);
+    const original = await this._registered(source, from);
+    
+    let result;
+    const fromKey = source.keyFromUrl(from);
+    if (source === disk && typeof disk.provider.move === 'function') {
+      result = { ...await disk._callProvider('move', from, to), disk: disk.name };
+    } else {
+      result = await disk._copyThrough(source, from, to);
+      await source._callProvider('delete', from);
+    }
+    await this.quotas?.transfer({ disk: source.name, key: fromKey }, result);
+    
+    // The file keeps its ID, only where it lives changes
+    if (!original) return result;
+    await this.registry.put({ ...original, key: result.key, url: result.url ?? null, disk: result.disk });
+    return { ...result, id: original.id };
+  }
+  
+  /**
+   * Storage key of a file URL, as used by copy(), move() and list()
+   * @param {string} urlOrKey - File URL or storage key
+   * @param {Object} options - { disk }
+   * @returns {string} Storage key
+   */
+  keyFromUrl(urlOrKey, options = {}) {
+    const { provider } = this._route(urlOrKey, options);
+    return typeof provider.keyFromUrl === 'function'
+      ? provider.keyFromUrl(urlOrKey)
+      : urlOrKey;
+  }
+  
+  /**
+   * Whether a reference is a registry file ID rather than a URL or key
+   * @param {string} reference - What a record stores for a file
+   * @returns {boolean}
+   */
+  isFileId(reference) {
+    return Boolean(this.registry) && typeof reference === 'string' && FILE_ID.test(reference);
+  }
+  
+  /**
+   * Look up a file in the registry
+   * @param {string} id - File ID from an upload result
+   * @param {Object} options - { tenant } to refuse files outside that tenant's root
+   * @returns {Promise<Object|null>} { id, key, url, disk, provider, name, size, type, detectedType, visibility,
+   *   checksum, field, uploadedBy, tenant (root), metadata, references, createdAt }, null if there is no such file
+   */
+  async getFile(id, options = {}) {
+    const record = await this._requireRegistry().get(id);
+    if (record && options.tenant) this.disk(record.disk)._assertTenant(record.key, options);
+    return record;
+  }
+  
+  /**
+   * Add a reference to a registered file, e.g. when a second record starts pointing at it
+   * @param {string} id - File ID
+   * @param {Object} options - { tenant }
+   * @returns {Promise<number>} References the file has now
+   */
+  async retainFile(id, options = {}) {
+    return this._exclusive(id, async () => {
+      const record = await this._requireFile(id, options);
+      await this.registry.put({ ...record, references: record.references + 1 });
+      return record.references + 1;
+    });
+  }
+  
+  /**
+   * Drop a reference to a registered file; the file is deleted with its last reference
+   * @param {string} id - File ID
+   * @param {Object} options - { tenant }
+   * @returns {Promise<number>} References left (0 once the file is deleted)
+   */
+  async releaseFile(id, options = {}) {
+    return this._exclusive(id, async () => {
+      const record = await this._requireFile(id, options);
+      if (record.references <= 1) {
+        await this.deleteFile(id);
+        return 0;
+      }
+      
+      await this.registry.put({ ...record, references: record.references - 1 });
+      return record.references - 1;
+    });
+  }
+  
+  /**
+   * Delete a registered file and its record, whatever still references it
+   * @param {string} id - File ID
+   * @param {Object} options - { tenant }
+   * @returns {Promise<void>}
+   */
+  async deleteFile(id, options = {}) {
+    const record = await this._requireFile(id, options);
+    await this.disk(record.disk)._callProvider('delete', record.key);
+    await this.registry.delete(id);
+    await this.quotas?.refund(record.disk, record.key);
+  }
+  
+  /**
+   * Storage used by everyone an upload context is counted against, with their limits
+   * @param {Object} context - Same values as the `quota` upload option, e.g. { tenantId, userId }
+   * @returns {Promise<Object>} { [context field]: { value, used: { bytes, files, categories }, limits, remaining: { bytes, files } } }
+   */
+  async getQuotaUsage(context) {
+    if (!this.quotas) {
+      throw new ConfigError('No quotas configured, set storage.quotas in the config');
+    }
+    return this.quotas.usage(context);
+  }
+  
+  /**
+   * Download a stored file
+   * @param {string} urlOrKey - File URL or storage key
+   * @param {Object} options - { disk } for bare keys on a named disk
+   * @returns {Promise<Buffer>} File contents
+   */
+  async get(urlOrKey, options = {}) {
+    const disk = this._route(urlOrKey, options);
+    disk._assertTenant(urlOrKey, options);
+    return disk._callProvider('get', urlOrKey);
+  }
+  
+  /**
+   * Open a read stream for a stored file
+   * @param {string} urlOrKey - File URL or storage key
+   * @param {Object} options - { disk } for bare keys on a named disk
+   * @returns {Promise<Readable>} Node.js readable stream
+   */
+  async getStream(urlOrKey, options = {}) {
+    const disk = this._route(urlOrKey, options);
+    disk._assertTenant(urlOrKey, options);
+    return disk._callProvider('getStream', urlOrKey);
+  }
+  
+  /**
+   * Check whether a stored file exists
+   * @param {string} urlOrKey - File URL or storage key
+   * @param {Object} options - { disk } for bare keys on a named disk
+   * @returns {Promise<boolean>}
+   */
+  async exists(urlOrKey, options = {}) {
+    const disk = this._route(urlOrKey, options);
+    disk._assertTenant(urlOrKey, options);
+    return disk._callProvider('exists', urlOrKey);
+  }
+  
+  /**
+   * Get stored file details without downloading it
+   * @param {string} urlOrKey - File URL or storage key
+   * @param {Object} options - { disk } for bare keys on a named disk
+   * @returns {Promise<Object>} { key, size, type, lastModified, metadata }
+   */
+  async head(urlOrKey, options = {}) {
+    const disk = this._route(urlOrKey, options);
+    disk._assertTenant(urlOrKey, options);
+    return disk._callProvider('head', urlOrKey);
+  }
+  
+  /**
+   * List stored files under a folder prefix, one page at a time
+   * @param {string} prefix - Key prefix (e.g. 'products/42/galleryImages')
+   * @param {Object} options - { cursor, limit, disk, tenant }; with a tenant the prefix must lie inside
+   *   its root, and defaults to it
+   * @returns {Promise<Object>} { items: [{ key, size, lastModified, url }], cursor }
+   *   `cursor` is null on the last page, otherwise pass it back to get the next page
+   */
+  async list(prefix = '', options = {}) {
+    const disk = this._diskFor(options);
+    if (disk !== this) return disk.list(prefix, options);
+    
+    const root = this.tenantRoot(options.tenant);
+    if (root !== null) {
+      prefix ||= `${root}/`;
+      if (!withinRoot(prefix, root)) throw outsideTenant(prefix);
+    }
+    
+    const { cursor, limit = 100 } = options;
+    
+    const page = await this._callProvider('list', prefix, {
+      limit,
+      token: cursor ? this._decodeCursor(cursor) : undefined
+    });
+    
+    return {
+      items: page.items,
+      cursor: page.token != null ? this._encodeCursor(page.token) : null
+    };
+  }
+  
+  /**
+   * Re-sync the two sides of a replicated provider (see providers/replicated.js)
+   * @param {Object} options - { dryRun, scan, prefix, disk }
+   * @returns {Promise<Object>} { mirrored, deleted, failed, dryRun }
+   */
+  async reconcile(options = {}) {
+    const disk = this._diskFor(options);
+    if (typeof disk.provider.reconcile !== 'function') {
+      throw new ConfigError(`Provider "${disk.config.provider}" is not replicated, there is nothing to reconcile`, {
+        provider: disk.config.provider
+      });
+    }
+    
+    return disk._callProvider('reconcile', options);
   }
   
   /**
@@ -62,27 +891,49 @@ export default class StorageService {
    * @returns {Promise<Object>} Results by field name
    */
   async process(fileFields, options = {}) {
-    const results = {};
-    const uploadPromises = [];
+    const fields = Object.entries(fileFields).filter(([, files]) => files && files.length > 0);
     
-    for (const [fieldName, files] of Object.entries(fileFields)) {
-      if (!files || files.length === 0) continue;
-      
+    // A field that fails takes the other fields' uploads down with it
+    const uploads = await this._allOrNothing(fields.map(([fieldName, files]) => {
       const fieldOptions = {
         ...options,
         folder: options.folder ? `${options.folder}/${fieldName}` : fieldName
       };
       
-      uploadPromises.push(
-        this.upload(files, fieldOptions)
-          .then(uploadResults => {
-            results[fieldName] = uploadResults;
-          })
-      );
+      return this.upload(files, fieldOptions);
+    }));
+    
+    return Object.fromEntries(fields.map(([fieldName], i) => [fieldName, uploads[i]]));
+  }
+  
+  /**
+   * Start a transaction: uploads made through it can be undone together with rollback(),
+   * e.g. when the database write that should reference them fails
+   * @returns {UploadTransaction} Transaction with upload/uploadStream/process/delete, commit() and rollback()
+   */
+  transaction() {
+    return new UploadTransaction(this);
+  }
+  
+  /**
+   * Run a function in a transaction, committing when it resolves and rolling back when it throws
+   * @param {Function} fn - async (transaction) => result
+   * @returns {Promise<*>} Whatever fn resolves to
+   */
+  async withTransaction(fn) {
+    const transaction = this.transaction();
+    
+    let result;
+    try {
+      result = await fn(transaction);
+    } catch (err) {
+      // The original error matters more than files a failed rollback left behind
+      await transaction.rollback().catch(() => {});
+      throw err;
     }
     
-    await Promise.all(uploadPromises);
-    return results;
+    await transaction.commit();
+    return result;
   }
   
   /**
@@ -108,7 +959,7 @@ export default class StorageService {
         
         // Validate against config
         if (config.maxCount && files[fieldName].length > config.maxCount) {
-          throw new Error(`Too many files for ${fieldName}. Max: ${config.maxCount}`);
+          throw new TooManyFilesError({ field: fieldName, maxCount: config.maxCount, count: files[fieldName].length });
         }
       }
     }
@@ -116,26 +967,545 @@ export default class StorageService {
     return files;
   }
   
+  async _scan(input, file) {
+    const { infected, viruses = [] } = await this.scanner.scan(input, file);
+    if (infected) {
+      throw new MalwareDetectedError(file.originalname, viruses, file.fieldname || file.field);
+    }
+  }
+  
+  /**
+   * Call a provider method, reporting its failures as ProviderError
+   * Our own errors (size, type, malware) raised inside upload streams pass through unchanged
+   */
+  async _callProvider(operation, ...args) {
+    try {
+      return await this.provider[operation](...args);
+    } catch (err) {
+      throw err instanceof StorageError ? err : new ProviderError(this.config.provider, operation, err);
+    }
+  }
+  
+  // Quarantined files are private, so nothing can link to them before they are promoted
+  _quarantineOptions(options) {
+    const quarantineFolder = this.config.quarantine.folder || 'quarantine';
+    // A key picked for the final file (deduplication) is only used once the file is promoted
+    const { key, ...held } = options;
+    
+    return {
+      ...held,
+      folder: `${quarantineFolder}/${options.folder || 'uploads'}`,
+      visibility: 'private'
+    };
+  }
+  
+  // `options` are each file's upload options
+  async _uploadQuarantined(files, options) {
+    const held = await this._allOrNothing(
+      files.map((file, i) => this._callProvider('upload', file, this._quarantineOptions(options[i])))
+    );
+    
+    return this._promote(held, files, options);
+  }
+  
+  /**
+   * Scan quarantined files as stored, then move them to their real location
+   * Nothing is promoted unless every file is clean; quarantined copies are always removed
+   */
+  async _promote(held, files, options) {
+    try {
+      for (const [i, result] of held.entries()) {
+        await this._scan(await this._callProvider('getStream', result.key), files[i]);
+      }
+      
+      return await this._allOrNothing(held.map(async (result, i) => {
+        const stream = await this._callProvider('getStream', result.key);
+        
+        if (typeof this.provider.uploadStream === 'function') {
+          return { ...await this._callProvider('uploadStream', stream, files[i], options[i]), size: result.size };
+        }
+        
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        const buffer = Buffer.concat(chunks);
+        return this._callProvider('upload', { ...files[i], buffer, size: buffer.length }, options[i]);
+      }));
+    } finally {
+      await Promise.all(held.map(result => this.provider.delete(result.key).catch(() => {})));
+    }
+  }
+  
+  // Copy by reading the file back (from the source disk) and uploading it again to the destination key;
+  // providers that pick their own keys get its folder and name instead
+  async _copyThrough(source, from, to) {
+    const { type, metadata } = await source._callProvider('head', from);
+    const visibility = to.startsWith('private/') ? 'private' : 'public';
+    const path = visibility === 'private' ? to.slice('private/'.length) : to;
+    const slash = path.lastIndexOf('/');
+    
+    const file = { originalname: path.slice(slash + 1), mimetype: type };
+    const options = { key: to, folder: slash > 0 ? path.slice(0, slash) : undefined, visibility, metadata };
+    const stream = await source._callProvider('getStream', from);
+    
+    let result;
+    if (typeof this.provider.uploadStream === 'function') {
+      result = await this._callProvider('uploadStream', stream, file, options);
+    } else {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      const buffer = Buffer.concat(chunks);
+      result = await this._callProvider('upload', { ...file, buffer, size: buffer.length }, options);
+    }
+    return { ...result, disk: this.name };
+  }
+  
+  // Registry record for a newly stored file; a file stored twice under one key (a resumable upload
+  // that is confirmed afterwards) keeps its first record
+  async _register(result, details = {}) {
+    if (!this.registry) return result;
+    
+    const disk = result.disk || this.name;
+    const existing = await this.registry.findOne({ key: result.key, disk });
+    if (existing) return { ...result, id: existing.id };
+    
+    const record = {
+      id: `file_${crypto.randomBytes(16).toString('hex')}`,
+      key: result.key,
+      url: result.url ?? null,
+      disk,
+      provider: this.disk(disk).config.provider,
+      name: details.name ?? null,
+      size: details.size ?? result.size ?? null,
+      type: details.type ?? result.type ?? null,
+      detectedType: result.detectedType ?? details.detectedType ?? null,
+      visibility: details.visibility || 'public',
+      checksum: details.checksum ?? null,
+      field: details.field ?? null,
+      uploadedBy: details.uploadedBy ?? null,
+      tenant: details.tenant ?? null,
+      metadata: details.metadata || {},
+      references: 1,
+      createdAt: new Date().toISOString()
+    };
+    
+    try {
+      await this.registry.put(record);
+    } catch (err) {
+      // A file nobody can find by ID is an orphan
+      await this.disk(disk).provider.delete(result.key).catch(() => {});
+      throw new StorageError(`Failed to register ${result.key}: ${err.message}`, { code: 'REGISTRY_ERROR', status: 500, cause: err });
+    }
+    return { ...result, id: record.id };
+  }
+  
+  // Store a file once per checksum; uploading the same contents again adds a reference to the stored file
+  async _uploadDeduplicated(file, checksum, detectedType, options) {
+    return this._exclusive(this._contentLock(checksum, options), () =>
+      this._storeOnce(file, checksum, detectedType, options)
+    );
+  }
+  
+  // Uploads of the same contents take turns, so the second one finds the first one's record
+  _contentLock(checksum, options) {
+    return `${this.name}:${this.tenantRoot(options.tenant)}:${options.visibility || 'public'}:${checksum}`;
+  }
+  
+  // Key for deduplicated contents, under cas/ (in the tenant's root) and private/ for private files
+  _contentKey(name, file, options) {
+    const visibility = options.visibility || 'public';
+    const ext = extname(file.originalname || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+    const root = this.tenantRoot(options.tenant);
+    const folder = root === null ? CONTENT_FOLDER : `${root}/${CONTENT_FOLDER}`;
+    return `${visibility === 'private' ? 'private/' : ''}${folder}/${name}${ext}`;
+  }
+  
+  async _storeOnce(file, checksum, detectedType, options) {
+    const existing = await this._findDuplicate(checksum, options);
+    if (existing) {
+      return this._duplicateResult(existing, file, detectedType);
+    }
+    
+    const key = this._contentKey(`${checksum.slice(0, 2)}/${checksum}`, file, options);
+    const uploadOptions = { ...options, key };
+    
+    let result;
+    if (this.scanner && this.config.quarantine) {
+      [result] = await this._uploadQuarantined([file], [uploadOptions]);
+    } else {
+      if (this.scanner) await this._scan(file.buffer, file);
+      result = await this._callProvider('upload', file, uploadOptions);
+    }
+    return this._registerContent({ ...result, detectedType, disk: this.name }, file, checksum, options);
+  }
+  
+  // A streamed upload that is already stored under an incoming/ key: dropped for an earlier copy, or moved to its content key
+  async _keepStreamedOnce(result, file, checksum, options) {
+    const existing = await this._findDuplicate(checksum, options);
+    if (existing) {
+      await this.provider.delete(result.key).catch(() => {});
+      return this._duplicateResult(existing, file, result.detectedType);
+    }
+    
+    const key = this._contentKey(`${checksum.slice(0, 2)}/${checksum}`, file, options);
+    let moved;
+    try {
+      moved = await this._callProvider('move', result.key, key);
+    } catch (err) {
+      await this.provider.delete(result.key).catch(() => {});
+      throw err;
+    }
+    return this._registerContent({ ...result, ...moved, size: result.size }, file, checksum, options);
+  }
+  
+  // Register deduplicated contents, unless another process stored the same contents meanwhile
+  async _registerContent(result, file, checksum, options) {
+    const stored = await this.registry.findOne({ key: result.key, disk: this.name });
+    if (stored) {
+      await this.retainFile(stored.id);
+      return { ...result, id: stored.id, deduplicated: true };
+    }
+    return this._register(result, { ...this._fileDetails(file, options), size: result.size ?? file.size, checksum });
+  }
+  
+  // Tenants only share contents with themselves
+  async _findDuplicate(checksum, options) {
+    return this.registry.findOne({
+      checksum,
+      disk: this.name,
+      visibility: options.visibility || 'public',
+      tenant: this.tenantRoot(options.tenant)
+    });
+  }
+  
+  // Upload result for contents that were already stored: the stored file, with one more reference
+  async _duplicateResult(record, file, detectedType) {
+    await this.retainFile(record.id);
+    return {
+      url: record.url,
+      key: record.key,
+      name: file.originalname,
+      size: record.size,
+      type: record.type,
+      visibility: record.visibility,
+      provider: record.provider,
+      detectedType,
+      disk: record.disk,
+      id: record.id,
+      deduplicated: true
+    };
+  }
+  
+  // Whether an upload is deduplicated (options.dedupe, or config.dedupe for every upload)
+  _dedupes(options) {
+    if (!(options.dedupe ?? this.config.dedupe)) return false;
+    if (!this.registry) {
+      throw new ConfigError('Deduplication needs a registry to count references, set storage.registry in the config');
+    }
+    this._assertKeyed('Deduplication');
+    return true;
+  }
+  
+  // Refuse a feature that picks storage keys on a provider that would silently drop them
+  _assertKeyed(feature) {
+    const provider = this._providerNames().find(name => SELF_NAMING.includes(name));
+    if (provider) {
+      throw new ConfigError(`${feature} chooses storage keys, which ${provider} ignores. Turn it off where ${provider} is the provider`, { provider });
+    }
+  }
+  
+  // Providers the files end up on: for replicated storage, both of its sides
+  _providerNames() {
+    const { provider, replicated = {} } = this.config;
+    if (provider !== 'replicated') return [provider];
+    return [replicated.primary, replicated.secondary].map(side => (typeof side === 'string' ? side : side?.provider));
+  }
+  
+  /**
+   * Run fn once earlier calls under the same name have finished
+   * Reference counts are read and written back, so changes to one file must not overlap
+   */
+  async _exclusive(name, fn) {
+    const { locks } = this.root;
+    const turn = (locks.get(name) || Promise.resolve()).catch(() => {}).then(fn);
+    locks.set(name, turn);
+    
+    try {
+      return await turn;
+    } finally {
+      if (locks.get(name) === turn) locks.delete(name);
+    }
+  }
+  
+  // Registry details of a file about to be stored
+  _fileDetails(file, options) {
+    return {
+      name: file.originalname,
+      type: file.mimetype,
+      visibility: options.visibility,
+      field: options.field || file.fieldname || file.field,
+      uploadedBy: options.uploadedBy,
+      tenant: this.tenantRoot(options.tenant),
+      metadata: options.metadata
+    };
+  }
+  
+  // Record of a stored file (by URL or key on the disk it was routed to), null without a registry
+  async _registered(disk, urlOrKey) {
+    if (!this.registry) return null;
+    return this.registry.findOne({ key: disk.keyFromUrl(urlOrKey), disk: disk.name });
+  }
+  
+  _requireRegistry() {
+    if (!this.registry) {
+      throw new ConfigError('File IDs need a registry, set storage.registry in the config');
+    }
+    return this.registry;
+  }
+  
+  async _requireFile(id, options = {}) {
+    const record = await this.getFile(id, options);
+    if (!record) {
+      throw new StorageError(`File ${id} is not registered`, { code: 'FILE_NOT_FOUND', status: 404 });
+    }
+    return record;
+  }
+  
+  /**
+   * Folder a tenant's files live under: tenancy.root resolved against the tenant context
+   * @param {Object} context - Values for the root template, e.g. { tenantId: 't1' }
+   * @returns {string|null} e.g. 'tenants/t1', null without tenancy or context
+   */
+  tenantRoot(context) {
+    if (!this.tenancy || !context) return null;
+    return renderTemplate(this.tenancy.root, context, 'root');
+  }
+  
+  /**
+   * Refuse a file outside the tenant's root (options.tenant), e.g. before handing out its public URL
+   * @param {string} urlOrKey - File URL or storage key
+   * @param {Object} options - { tenant, disk } for bare keys on a named disk
+   * @throws {StorageError} OUTSIDE_TENANT (403)
+   */
+  assertAccessible(urlOrKey, options = {}) {
+    this._route(urlOrKey, options)._assertTenant(urlOrKey, options);
+  }
+  
+  // Upload options with the folder moved under the tenant's root (options.tenant)
+  _inTenant(options) {
+    const root = this.tenantRoot(options.tenant);
+    if (root === null) return options;
+    
+    // The folder comes from the caller: '../t2/docs' would otherwise land in another tenant's root
+    const folder = options.folder || 'uploads';
+    if (folder.startsWith('/') || folder.split('/').some(part => !part || part === '.' || part === '..')) {
+      throw new StorageError(`Invalid folder "${folder}": must be a relative path inside the tenant's storage`, {
+        code: 'INVALID_PATH',
+        status: 400
+      });
+    }
+    return { ...options, folder: `${root}/${folder}` };
+  }
+  
+  /**
+   * Upload options with the key named by a name template: options.name, otherwise the nameTemplate config
+   * Without either (or with an explicit key) the provider names the file `<timestamp>-<originalname>`
+   * @param {Object} file - { originalname, mimetype, size, buffer }
+   * @param {Object} options - Upload options, after _inTenant()
+   * @param {string} hash - The file's sha256 when it is already known
+   */
+  _withName(file, options, hash) {
+    const template = options.name ?? this.config.nameTemplate;
+    if (!template || options.key) return options;
+    this._assertKeyed('A name template');
+    
+    const name = renderTemplate(template, {
+      ...options.metadata,
+      field: options.field ?? options.metadata?.field ?? file.fieldname,
+      file: { originalname: file.originalname, mimetype: file.mimetype, size: file.size, buffer: file.buffer, hash }
+    }, 'name');
+    const key = `${options.visibility === 'private' ? 'private/' : ''}${options.folder || 'uploads'}/${name}`;
+    this._assertKey(key);
+    return { ...options, key };
+  }
+  
+  // Refuse a file on this disk that lies outside the tenant's root (options.tenant)
+  _assertTenant(urlOrKey, options = {}) {
+    const root = this.tenantRoot(options.tenant);
+    if (root === null) return;
+    
+    const key = this.keyFromUrl(urlOrKey);
+    if (!withinRoot(key, root)) throw outsideTenant(key);
+  }
+  
+  // Disk an operation's options name (options.disk), this one if they don't
+  _diskFor(options = {}) {
+    return options.disk ? this.disk(options.disk) : this;
+  }
+  
+  /**
+   * Disk a file lives on: the one whose provider issued the URL,
+   * otherwise (bare keys, unknown URLs) the disk the options name
+   */
+  _route(urlOrKey, options = {}) {
+    const disk = this._diskFor(options);
+    if (typeof urlOrKey !== 'string' || disk._ownsUrl(urlOrKey)) return disk;
+    
+    const disks = [this.root, ...Object.values(this.root.disks)];
+    return disks.find(candidate => candidate._ownsUrl(urlOrKey)) || disk;
+  }
+  
+  _ownsUrl(url) {
+    return typeof this.provider.ownsUrl === 'function' && this.provider.ownsUrl(url);
+  }
+  
+  _assertKey(key) {
+    if (typeof key !== 'string' || !key || key.startsWith('/') || key.endsWith('/') || key.split('/').includes('..')) {
+      throw new StorageError(`Invalid storage key: ${key}`, { code: 'INVALID_KEY', status: 400 });
+    }
+  }
+  
+  /**
+   * Wait for a batch of uploads; if any of them fails, delete the ones that made it and rethrow
+   * Each upload resolves to a result or an array of results
+   */
+  async _allOrNothing(uploads) {
+    const settled = await Promise.allSettled(uploads);
+    const failure = settled.find(outcome => outcome.status === 'rejected');
+    if (!failure) {
+      return settled.map(outcome => outcome.value);
+    }
+    
+    const stored = settled
+      .filter(outcome => outcome.status === 'fulfilled')
+      .flatMap(outcome => [outcome.value].flat());
+    await Promise.all(stored.map(result => this._discard(result).catch(() => {})));
+    throw failure.reason;
+  }
+  
+  /**
+   * Undo a stored upload. Results can come from other disks (process() with per-field disks)
+   * Registered files give their reference back, a deduplicated file may be shared with earlier uploads
+   */
+  async _discard(result) {
+    if (result.id) {
+      await this.releaseFile(result.id);
+      return;
+    }
+    await this._diskFor(result).provider.delete(result.key);
+    await this.quotas?.refund(result.disk, result.key);
+  }
+  
+  // Check files against the quotas of options.quota (the upload context), null when none apply
+  async _reserveQuota(options, files) {
+    if (!this.quotas || !options.quota) return null;
+    return this.quotas.reserve(options.quota, files, options.field);
+  }
+  
+  // Count stored files against options.quota; files that can't be counted are not kept
+  async _chargeQuota(options, results) {
+    if (!this.quotas || !options.quota) return;
+    try {
+      await this.quotas.charge(options.quota, results);
+    } catch (err) {
+      await Promise.all(results.map(result => this._discard(result).catch(() => {})));
+      throw err;
+    }
+  }
+  
+  // First SNIFF_BYTES of a stored file, without downloading the rest
+  async _readHead(urlOrKey) {
+    const stream = await this._callProvider('getStream', urlOrKey);
+    const chunks = [];
+    let length = 0;
+    
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= SNIFF_BYTES) break;
+    }
+    
+    return Buffer.concat(chunks).subarray(0, SNIFF_BYTES);
+  }
+  
+  _signToken(data) {
+    const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+    return `${payload}.${this._tokenSignature(payload)}`;
+  }
+  
+  _tokenSignature(payload = '') {
+    const secret = this.config.uploadSecret || process.env.STORAGE_UPLOAD_SECRET || processSecret;
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+  
+  // Cursors are opaque to callers; they wrap the provider's own continuation token
+  _encodeCursor(token) {
+    return Buffer.from(JSON.stringify({ p: this.config.provider, t: token })).toString('base64url');
+  }
+  
+  _decodeCursor(cursor) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch {
+      throw new StorageError('Invalid list cursor', { code: 'INVALID_CURSOR', status: 400 });
+    }
+    
+    if (decoded.p !== this.config.provider) {
+      throw new StorageError(`List cursor belongs to provider "${decoded.p}", not "${this.config.provider}"`, {
+        code: 'INVALID_CURSOR',
+        status: 400
+      });
+    }
+    return decoded.t;
+  }
+  
+  /**
+   * Validate size, content and type of a file
+   * @returns {string|null} Type detected from the file's contents (null without a buffer)
+   */
   _validateFile(file, options) {
+    const field = options.field || file.fieldname || file.field;
+    
     // File size validation
     if (file.size > this.config.maxFileSize) {
-      throw new Error(`File too large. Max size: ${this.config.maxFileSize / 1024 / 1024}MB`);
+      throw new FileTooLargeError({ field, maxSize: this.config.maxFileSize, size: file.size });
     }
     
+    // Content sniffing: the declared type comes from the client and can't be trusted on its own
+    const detectedType = this.config.sniff === false ? null : verifyFileType(file);
+    const mimetype = effectiveMimeType(file, detectedType);
+    
     // MIME type validation if specified
     if (options.allowedTypes?.length > 0) {
       const isValid = options.allowedTypes.some(type => {
         if (type.endsWith('/*')) {
-          return file.mimetype.startsWith(type.split('/')[0] + '/');
+          return mimetype.startsWith(type.split('/')[0] + '/');
         }
-        return file.mimetype === type;
+        return mimetype === type;
       });
       
       if (!isValid) {
-        throw new Error(`Invalid file type. Allowed: ${options.allowedTypes.join(', ')}`);
+        throw new InvalidFileTypeError({
+          field,
+          type: mimetype,
+          allowedTypes: options.allowedTypes,
+          detectedType,
+          message: `Invalid file type. Allowed: ${options.allowedTypes.join(', ')}`
+        });
       }
     }
     
-    return true;
+    return detectedType;
   }
-}
\ No newline at end of file
+}
+
+// Whether a key (or list prefix) lies under a tenant root, public or private/, with no '..' climbing back out
+function withinRoot(key, root) {
+  if (typeof key !== 'string') return false;
+  const path = key.startsWith('private/') ? key.slice('private/'.length) : key;
+  return path.startsWith(`${root}/`) && !key.split(/[\\/]/).includes('..');
+}
+
+function outsideTenant(key) {
+  return new StorageError(`${key} is outside the tenant's storage`, { code: 'OUTSIDE_TENANT', status: 403 });
+}
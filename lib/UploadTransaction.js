@@ -0,0 +1,171 @@
+// Upload transactions - uploads that can be undone together, e.g. when the database write after them fails
+// lib/UploadTransaction.js
+import { StorageError } from './errors.js';
+
+export default class UploadTransaction {
+  /**
+   * Track the files uploaded through a storage instance until commit() or rollback()
+   * Deletes requested through the transaction wait for commit(), so replaced files survive a rollback
+   * @param {StorageService} storage - Storage the files go to
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.uploads = [];
+    this.deletes = [];
+    this.state = 'open';
+  }
+
+  /**
+   * Keys of the files uploaded in the transaction so far
+   * @returns {string[]} Storage keys
+   */
+  get keys() {
+    return this.uploads.map(upload => upload.key);
+  }
+
+  /**
+   * Upload files as part of the transaction (see StorageService.upload)
+   * @returns {Promise<Object|Object[]>} Upload results
+   */
+  async upload(files, options = {}) {
+    this._assertOpen();
+    return this.track(await this.storage.upload(files, options));
+  }
+
+  /**
+   * Stream a file to storage as part of the transaction (see StorageService.uploadStream)
+   * @returns {Promise<Object>} Upload result
+   */
+  async uploadStream(stream, file, options = {}) {
+    this._assertOpen();
+    return this.track(await this.storage.uploadStream(stream, file, options));
+  }
+
+  /**
+   * Upload several file fields as part of the transaction (see StorageService.process)
+   * @returns {Promise<Object>} Results by field name
+   */
+  async process(fileFields, options = {}) {
+    this._assertOpen();
+    const results = await this.storage.process(fileFields, options);
+    this.track(Object.values(results).flat());
+    return results;
+  }
+
+  /**
+   * Confirm a direct upload and make it part of the transaction (see StorageService.confirmUpload)
+   * @returns {Promise<Object>} Upload result
+   */
+  async confirmUpload(token) {
+    this._assertOpen();
+    return this.track(await this.storage.confirmUpload(token));
+  }
+
+  /**
+   * Copy a stored file as part of the transaction (see StorageService.copy)
+   * Pair it with delete(from) for a move that a rollback can undo
+   * @returns {Promise<Object>} Result for the copy
+   */
+  async copy(from, to, options = {}) {
+    this._assertOpen();
+    return this.track(await this.storage.copy(from, to, options));
+  }
+
+  /**
+   * Add files stored some other way (streaming middleware, resumable uploads...) to the transaction
+   * Upload results carry the disk they are on; for bare keys on a named disk pass { disk }
+   * @param {Object|Object[]|string|string[]} uploads - Upload results or storage keys
+   * @param {Object} options - { disk }
+   * @returns {Object|Object[]|string|string[]} The uploads passed in
+   */
+  track(uploads, options = {}) {
+    const tracked = [uploads].flat()
+      .map(upload => (typeof upload === 'string'
+        ? { key: upload, disk: options.disk }
+        : { key: upload?.key, disk: upload?.disk || options.disk }))
+      .filter(upload => upload.key);
+
+    // An upload still in flight when the transaction was rolled back is removed as soon as it lands
+    if (this.state === 'rolledBack') {
+      tracked.forEach(({ key, disk }) => this.storage.delete(key, { disk }).catch(() => {}));
+    }
+    this._assertOpen();
+
+    this.uploads.push(...tracked);
+    return uploads;
+  }
+
+  /**
+   * Delete a file once the transaction commits
+   * @param {string} urlOrKey - File URL or storage key
+   * @param {Object} options - { disk } for bare keys on a named disk, { tenant } as for StorageService.delete()
+   */
+  delete(urlOrKey, options = {}) {
+    this._assertOpen();
+    this.deletes.push({ urlOrKey, disk: options.disk, tenant: options.tenant });
+  }
+
+  /**
+   * Keep the uploaded files and carry out the deferred deletes
+   * A delete that fails only leaves an orphan behind, so it is reported instead of thrown
+   * @returns {Promise<Object>} { uploaded: keys kept, deleted, failed: deletes that didn't go through }
+   */
+  async commit() {
+    this._assertOpen();
+    this.state = 'committed';
+
+    const deleted = [];
+    const failed = [];
+    await Promise.all(this.deletes.map(async ({ urlOrKey, disk, tenant }) => {
+      try {
+        await this.storage.delete(urlOrKey, { disk, tenant });
+        deleted.push(urlOrKey);
+      } catch {
+        failed.push(urlOrKey);
+      }
+    }));
+
+    return { uploaded: this.keys, deleted, failed };
+  }
+
+  /**
+   * Remove every file uploaded in the transaction; deferred deletes are dropped
+   * Rolling back twice is a no-op
+   * @returns {Promise<Object>} { removed: keys }
+   *   Rejects with a ROLLBACK_INCOMPLETE StorageError (its `keys` are the files left behind) if some couldn't be removed
+   */
+  async rollback() {
+    if (this.state === 'rolledBack') return { removed: [] };
+    this._assertOpen();
+    this.state = 'rolledBack';
+
+    const removed = [];
+    const remaining = [];
+    await Promise.all(this.uploads.map(async ({ key, disk }) => {
+      try {
+        await this.storage.delete(key, { disk });
+        removed.push(key);
+      } catch {
+        remaining.push(key);
+      }
+    }));
+
+    if (remaining.length > 0) {
+      throw new StorageError(`Rollback left ${remaining.length} file(s) in storage`, {
+        code: 'ROLLBACK_INCOMPLETE',
+        status: 500,
+        keys: remaining
+      });
+    }
+    return { removed };
+  }
+
+  _assertOpen() {
+    if (this.state !== 'open') {
+      throw new StorageError(`Transaction already ${this.state === 'committed' ? 'committed' : 'rolled back'}`, {
+        code: 'TRANSACTION_CLOSED',
+        status: 500
+      });
+    }
+  }
+}
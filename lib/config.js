@@ -3,6 +3,8 @@ import { pathToFileURL } from 'url';
 import { join } from 'path';
 import fs from 'fs';
 import chalk from 'chalk';
+import { generateFolderPath } from '../utils.js';
+import { validateTemplate } from './templates.js';
 
 // Colors for console
 const success = chalk.green;
@@ -17,23 +19,39 @@ export class StorageConfig {
    * @returns {Promise<Object>} Storage provider configuration
    */
   static async load(projectRoot) {
+    let config;
     try {
       console.log(info(`Loading storage config from project root: ${projectRoot}`));
       
-      // Try to use the existing semantqQL config loader
-      const config = await this.trySemantqConfig(projectRoot);
-      if (config) {
-        return this.normalizeConfig(config);
-      }
-      
-      // Fallback: load directly from server.config.js
-      const directConfig = await this.loadDirectConfig(projectRoot);
-      return this.normalizeConfig(directConfig);
-      
+      // Try to use the existing semantqQL config loader, fallback: load directly from server.config.js
+      const rawConfig = await this.trySemantqConfig(projectRoot) || await this.loadDirectConfig(projectRoot);
+      config = this.normalizeConfig(rawConfig);
     } catch (err) {
       console.warn(warning('Storage config loading failed:'), err.message);
       return this.getDefaultConfig();
     }
+    
+    // A config that loaded but has a bad template is an error, not a reason to fall back to the defaults
+    this.validateTemplates(config);
+    return config;
+  }
+  
+  /**
+   * Check the path templates of a storage config: nameTemplate, tenancy.root and each disk's nameTemplate
+   * Model folderTemplates live in model configs, ModelFileService checks those when it is constructed
+   * @param {Object} config - Storage config
+   * @throws {ConfigError} On an unknown token or filter, unbalanced braces, or a token used where it can't be
+   */
+  static validateTemplates(config) {
+    const templates = [
+      [config.nameTemplate, 'name'],
+      [config.tenancy?.root, 'root'],
+      ...Object.values(config.disks || {}).map(disk => [disk.nameTemplate, 'name'])
+    ];
+    
+    for (const [template, scope] of templates) {
+      if (template) validateTemplate(template, scope);
+    }
   }
   
   /**
@@ -95,7 +113,7 @@ export class StorageConfig {
       
       console.log(success(`Loaded storage config from: ${configPath}`));
       return config.storage;
-      
+    
     } catch (err) {
       throw new Error(`Failed to load server.config.js: ${err.message}`);
     }
@@ -106,10 +124,11 @@ export class StorageConfig {
    */
   static normalizeConfig(rawConfig) {
     const config = {
-      provider: rawConfig.provider || process.env.STORAGE_PROVIDER || 'uploadthing',
+      provider: rawConfig.provider || process.env.STORAGE_PROVIDER || this.detectProvider(rawConfig),
       maxFileSize: rawConfig.maxFileSize || process.env.STORAGE_MAX_FILE_SIZE || 50 * 1024 * 1024,
       maxFiles: rawConfig.maxFiles || process.env.STORAGE_MAX_FILES || 20,
       defaultFolder: rawConfig.defaultFolder || process.env.STORAGE_DEFAULT_FOLDER || 'uploads',
+      scanner: rawConfig.scanner || process.env.STORAGE_SCANNER,
       // Copy provider-specific configs
       ...rawConfig
     };
@@ -120,6 +139,36 @@ export class StorageConfig {
     return config;
   }
   
+  /**
+   * Pick a cloud provider whose credentials are present, otherwise fall back to local disk
+   */
+  static detectProvider(rawConfig = {}) {
+    const env = process.env;
+    
+    if (rawConfig.uploadthing?.token || env.UPLOADTHING_TOKEN) {
+      return 'uploadthing';
+    }
+    if ((rawConfig.s3?.bucket || env.AWS_S3_BUCKET) && (rawConfig.s3?.accessKeyId || env.AWS_ACCESS_KEY_ID)) {
+      return 's3';
+    }
+    if ((rawConfig.cloudinary?.cloudName || env.CLOUDINARY_CLOUD_NAME) && (rawConfig.cloudinary?.apiKey || env.CLOUDINARY_API_KEY)) {
+      return 'cloudinary';
+    }
+    
+    console.log(info('No cloud storage credentials found, using local filesystem'));
+    return 'local';
+  }
+  
+  /**
+   * Resolve a folder template such as '{model}/{date:YYYY/MM}/{id}' against a context object
+   * @param {string|Function} template - Folder template (see lib/templates.js)
+   * @param {Object} context - Values for the template placeholders
+   * @returns {string} Folder path
+   */
+  static resolveFolderPath(template, context = {}) {
+    return generateFolderPath(template, context);
+  }
+  
   /**
    * Get default configuration
    */
@@ -127,7 +176,7 @@ export class StorageConfig {
     console.warn(warning('Using default storage configuration'));
     
     return {
-      provider: 'uploadthing',
+      provider: process.env.STORAGE_PROVIDER || this.detectProvider(),
       maxFileSize: 50 * 1024 * 1024,
       maxFiles: 20,
       defaultFolder: 'uploads',
@@ -141,6 +190,10 @@ export class StorageConfig {
         accessKeyId: process.env.AWS_ACCESS_KEY_ID || '',
         secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || '',
         cdnUrl: process.env.AWS_CDN_URL || '',
+      },
+      local: {
+        root: process.env.STORAGE_LOCAL_ROOT || join(process.cwd(), 'storage'),
+        baseUrl: process.env.STORAGE_LOCAL_BASE_URL || '/uploads',
       }
     };
   }
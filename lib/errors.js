@@ -0,0 +1,226 @@
+// Error types callers may want to tell apart
+// lib/errors.js
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} bytes`;
+  if (bytes < 1024 * 1024) return `${+(bytes / 1024).toFixed(2)}KB`;
+  return `${+(bytes / 1024 / 1024).toFixed(2)}MB`;
+}
+
+/**
+ * Base class for errors raised by the storage layer
+ * Every error carries a machine-readable `code`, the HTTP `status` it maps to,
+ * the form `field` involved (when known) and the limits that were hit
+ */
+export class StorageError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} options - { code, status, field, cause, ...details (limits and other context) }
+   */
+  constructor(message, { code = 'STORAGE_ERROR', status = 500, field, cause, ...details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.code = code;
+    this.status = status;
+    this.field = field;
+    this.details = details;
+    Object.assign(this, details);
+  }
+
+  /**
+   * Response body for the error, as sent by errorHandler()
+   * @returns {Object} { error, code, field, ...details }
+   */
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      ...(this.field ? { field: this.field } : {}),
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Thrown when a file is bigger than the size limit that applies to it
+ */
+export class FileTooLargeError extends StorageError {
+  /**
+   * @param {Object} options - { field, maxSize (bytes), size (bytes, if known), message }
+   */
+  constructor({ field, maxSize, size, message } = {}) {
+    super(message || `File too large. Max size: ${formatSize(maxSize)}`, {
+      code: 'FILE_TOO_LARGE',
+      status: 413,
+      field,
+      maxSize,
+      ...(size !== undefined ? { size } : {})
+    });
+  }
+}
+
+/**
+ * Thrown when a file's type is not accepted, or its contents contradict the declared type
+ */
+export class InvalidFileTypeError extends StorageError {
+  /**
+   * @param {Object} options - { field, type, allowedTypes, detectedType, message }
+   */
+  constructor({ field, type, allowedTypes, detectedType, message } = {}) {
+    super(message || `File type ${type} is not allowed`, {
+      code: 'INVALID_FILE_TYPE',
+      status: 415,
+      field,
+      type,
+      ...(allowedTypes ? { allowedTypes } : {}),
+      ...(detectedType ? { detectedType } : {})
+    });
+  }
+}
+
+/**
+ * Thrown when a request carries more files than a field (or the whole request) allows
+ */
+export class TooManyFilesError extends StorageError {
+  /**
+   * @param {Object} options - { field (omitted for the per-request limit), maxCount, count, message }
+   */
+  constructor({ field, maxCount, count, message } = {}) {
+    super(message || (field ? `Too many files for ${field}. Max: ${maxCount}` : `Too many files. Max: ${maxCount}`), {
+      code: 'TOO_MANY_FILES',
+      status: 400,
+      field,
+      maxCount,
+      ...(count !== undefined ? { count } : {})
+    });
+  }
+}
+
+/**
+ * Thrown when a storage provider call fails
+ * The provider's own error is kept as `cause`; missing files map to 404, anything else to 502
+ */
+export class ProviderError extends StorageError {
+  /**
+   * @param {string} provider - Provider name
+   * @param {string} operation - Provider method that failed (upload, get, delete...)
+   * @param {Error} cause - Error thrown by the provider
+   */
+  constructor(provider, operation, cause) {
+    const notFound = isNotFound(cause);
+    super(`${provider} ${operation} failed: ${cause?.message || cause}`, {
+      code: notFound ? 'FILE_NOT_FOUND' : 'PROVIDER_ERROR',
+      status: notFound ? 404 : 502,
+      cause,
+      provider,
+      operation
+    });
+  }
+}
+
+/**
+ * Thrown when storage is set up wrong: unknown provider or scanner, missing credentials...
+ */
+export class ConfigError extends StorageError {
+  /**
+   * @param {string} message - What is misconfigured
+   * @param {Object} details - Extra context (e.g. { provider })
+   */
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'CONFIG_ERROR', status: 500 });
+  }
+}
+
+/**
+ * Thrown when a malware scanner flags an uploaded file
+ */
+export class MalwareDetectedError extends StorageError {
+  /**
+   * @param {string} filename - Name of the rejected file
+   * @param {string[]} viruses - Signatures reported by the scanner
+   * @param {string} field - Form field the file came from
+   */
+  constructor(filename, viruses = [], field) {
+    super(`Malware detected in ${filename}: ${viruses.join(', ') || 'unknown threat'}`, {
+      code: 'MALWARE_DETECTED',
+      status: 422,
+      field,
+      filename,
+      viruses
+    });
+  }
+}
+
+/**
+ * Thrown when an upload would take a user or tenant past their storage quota
+ * `remaining` is what the subject can still upload: { bytes, files } (null where there is no limit)
+ */
+export class QuotaExceededError extends StorageError {
+  /**
+   * @param {Object} options - { field, subject (context field, e.g. 'tenantId'), value, limit ('maxBytes' | 'maxFiles'),
+   *   category (for per-category limits), allowed, used, requested, remaining }
+   */
+  constructor({ field, subject, value, limit, category, allowed, used, requested, remaining } = {}) {
+    const scope = category ? ` (${category} files)` : '';
+    const amount = limit === 'maxBytes'
+      ? `${formatSize(used)} of ${formatSize(allowed)} used, ${formatSize(Math.max(allowed - used, 0))} left`
+      : `${used} of ${allowed} files used`;
+
+    super(`Storage quota exceeded for ${subject} ${value}${scope}: ${amount}`, {
+      code: 'QUOTA_EXCEEDED',
+      status: 413,
+      field,
+      subject,
+      value,
+      limit,
+      ...(category ? { category } : {}),
+      allowed,
+      used,
+      requested,
+      remaining
+    });
+  }
+}
+
+// SDKs report missing objects in different ways
+function isNotFound(err) {
+  if (!err) return false;
+  return err.status === 404 ||
+    err.statusCode === 404 ||
+    err.$metadata?.httpStatusCode === 404 ||
+    err.code === 'ENOENT' ||
+    err.name === 'NoSuchKey' ||
+    err.name === 'NotFound';
+}
+
+/**
+ * Turn a multer error into the matching storage error
+ * @param {Error} err - Error passed on by multer
+ * @param {Object} limits - { maxFileSize, maxFiles, fields: { [name]: maxCount } } the middleware was built with
+ * @returns {Error} StorageError for multer errors, anything else unchanged
+ */
+export function fromMulterError(err, limits = {}) {
+  if (err?.name !== 'MulterError') return err;
+
+  const { maxFileSize, maxFiles, fields = {} } = limits;
+  const field = err.field;
+
+  switch (err.code) {
+    case 'LIMIT_FILE_SIZE':
+      return new FileTooLargeError({
+        field,
+        maxSize: maxFileSize,
+        message: maxFileSize ? undefined : 'File too large'
+      });
+    case 'LIMIT_FILE_COUNT':
+      return new TooManyFilesError({ maxCount: maxFiles, message: maxFiles ? undefined : 'Too many files' });
+    case 'LIMIT_UNEXPECTED_FILE':
+      // multer reports both unknown fields and fields past their maxCount this way
+      if (fields[field] !== undefined) {
+        return new TooManyFilesError({ field, maxCount: fields[field] });
+      }
+      return new StorageError(`Unexpected file field: ${field}`, { code: 'UNEXPECTED_FIELD', status: 400, field });
+    default:
+      return new StorageError(err.message, { code: err.code, status: 400, field });
+  }
+}
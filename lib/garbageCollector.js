@@ -0,0 +1,121 @@
+// Garbage collection - finds stored files no record points to any more and removes them
+// lib/garbageCollector.js
+import { ConfigError } from './errors.js';
+
+/**
+ * Delete stored files that nothing references
+ * Files are listed page by page, each page's candidates are checked with findReferenced,
+ * and what is left once the whole listing is done gets deleted (unless dryRun)
+ * @param {StorageService} storage - Storage to collect in
+ * @param {Object} options - Collection options
+ *   findReferenced: async (candidates) => references still in use, as strings (reference, key or url) or candidates
+ *     Each candidate is { key, url, id, reference, disk, size, lastModified, ...whatever match() returned };
+ *     `reference` is what a record stores: the file ID with a registry, else the key for private files and the URL otherwise
+ *   prefixes: key prefixes to list (default: everything)
+ *   match: (key) => false to skip a file, true or an object of details to consider it
+ *   gracePeriod: seconds a file is left alone after it was written (default 24h), so uploads whose record is still being saved survive
+ *   dryRun: only report what would be deleted (default true)
+ *   batchSize: files listed (and deleted) per request (default 100)
+ *   report: report of an earlier run to add to, e.g. when collecting on several disks
+ * @returns {Promise<Object>} Report: { dryRun, scanned, recent, undated, referenced, orphans, bytes, deleted, failed }
+ */
+export async function collectGarbage(storage, options = {}) {
+  const {
+    findReferenced,
+    prefixes = [''],
+    match = () => true,
+    gracePeriod = 24 * 60 * 60,
+    dryRun = true,
+    batchSize = 100,
+    report = {
+      dryRun,
+      scanned: 0,
+      recent: 0,
+      undated: 0,
+      referenced: 0,
+      orphans: [],
+      bytes: 0,
+      deleted: [],
+      failed: []
+    }
+  } = options;
+
+  if (typeof findReferenced !== 'function') {
+    throw new ConfigError('collectGarbage requires a findReferenced callback');
+  }
+
+  const cutoff = Date.now() - gracePeriod * 1000;
+  const orphans = [];
+
+  for (const prefix of prefixes) {
+    let cursor;
+    do {
+      const page = await storage.list(prefix, { cursor, limit: batchSize });
+      cursor = page.cursor;
+
+      const candidates = [];
+      for (const item of page.items) {
+        const details = match(item.key);
+        if (!details) continue;
+        report.scanned++;
+
+        // Without a timestamp there is no telling whether the file is still being saved
+        if (!item.lastModified) {
+          report.undated++;
+          continue;
+        }
+        if (new Date(item.lastModified).getTime() > cutoff) {
+          report.recent++;
+          continue;
+        }
+
+        // With a registry, records hold the file's ID
+        const record = storage.registry ? await storage.registry.findOne({ key: item.key, disk: storage.name }) : null;
+        candidates.push({
+          ...item,
+          ...(typeof details === 'object' ? details : {}),
+          disk: storage.name,
+          id: record?.id ?? null,
+          reference: record?.id ?? (item.key.startsWith('private/') || !item.url ? item.key : item.url)
+        });
+      }
+      if (candidates.length === 0) continue;
+
+      const inUse = new Set(
+        [...(await findReferenced(candidates) || [])].map(entry => (typeof entry === 'string' ? entry : entry?.key))
+      );
+
+      for (const candidate of candidates) {
+        if (inUse.has(candidate.reference) || inUse.has(candidate.key) || inUse.has(candidate.url)) {
+          report.referenced++;
+        } else {
+          orphans.push(candidate);
+          report.bytes += candidate.size || 0;
+        }
+      }
+    } while (cursor);
+  }
+
+  report.orphans.push(...orphans);
+  if (dryRun) return report;
+
+  // Deleting only after the listing is done keeps pagination stable on every provider
+  for (let i = 0; i < orphans.length; i += batchSize) {
+    await Promise.all(orphans.slice(i, i + batchSize).map(async orphan => {
+      try {
+        // Nothing references the ID, so the file goes whatever its reference count says;
+        // storage.delete() would only give back one reference of a shared file
+        if (orphan.id) {
+          await storage.deleteFile(orphan.id);
+        } else {
+          await storage.delete(orphan.key);
+        }
+        report.deleted.push(orphan.key);
+      } catch (err) {
+        report.failed.push({ key: orphan.key, error: err.message });
+      }
+    }));
+  }
+
+  return report;
+}
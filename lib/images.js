@@ -0,0 +1,108 @@
+// Image processing - derived variants and metadata stripping, powered by sharp
+// lib/images.js
+import { ConfigError } from './errors.js';
+
+// Raster formats sharp can read and write; SVG stays vector and is never processed
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff', 'image/avif'];
+
+const FORMAT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  tiff: 'image/tiff',
+  avif: 'image/avif'
+};
+
+const FORMAT_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif', tiff: 'tif', avif: 'avif' };
+
+let sharp = null;
+
+// sharp is an optional dependency, only needed once a field asks for image processing
+async function loadSharp() {
+  if (!sharp) {
+    try {
+      sharp = (await import('sharp')).default;
+    } catch {
+      throw new ConfigError('Image variants require the "sharp" package. Install it with: npm install sharp');
+    }
+  }
+  return sharp;
+}
+
+function formatFor(mimetype) {
+  return Object.keys(FORMAT_TYPES).find(format => FORMAT_TYPES[format] === mimetype);
+}
+
+/**
+ * Check whether a file can be resized and converted
+ * @param {string} mimetype - File MIME type
+ * @returns {boolean}
+ */
+export function isProcessableImage(mimetype) {
+  return PROCESSABLE_TYPES.includes(mimetype);
+}
+
+/**
+ * Generate derived images from an uploaded image
+ * Variants are auto-rotated from EXIF and come out without any metadata
+ * @param {Object} file - Multer-style file ({ originalname, mimetype, buffer })
+ * @param {Object} variants - Variant specs by name, e.g. { thumb: { width: 200, format: 'webp' } }
+ *   Each spec takes width, height, fit ('cover', 'contain', 'inside'...), format, quality
+ *   and withoutEnlargement (default true)
+ * @returns {Promise<Object>} Multer-style files by variant name
+ */
+export async function createImageVariants(file, variants = {}) {
+  const sharpLib = await loadSharp();
+  const baseName = file.originalname.replace(/\.[^.]*$/, '');
+  const results = {};
+
+  for (const [name, spec] of Object.entries(variants)) {
+    const format = spec.format === 'jpg' ? 'jpeg' : spec.format || formatFor(file.mimetype);
+    if (!FORMAT_TYPES[format]) {
+      throw new ConfigError(`Unsupported format "${spec.format}" for image variant "${name}"`, { variant: name });
+    }
+
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    let image = sharpLib(file.buffer).rotate();
+    if (spec.width || spec.height) {
+      image = image.resize({
+        width: spec.width,
+        height: spec.height,
+        fit: spec.fit || 'cover',
+        withoutEnlargement: spec.withoutEnlargement !== false
+      });
+    }
+
+    const buffer = await image
+      .toFormat(format, spec.quality ? { quality: spec.quality } : {})
+      .toBuffer();
+
+    results[name] = {
+      fieldname: file.fieldname,
+      originalname: `${baseName}-${name}.${FORMAT_EXTENSIONS[format]}`,
+      mimetype: FORMAT_TYPES[format],
+      buffer,
+      size: buffer.length
+    };
+  }
+
+  return results;
+}
+
+/**
+ * Re-encode an image without its EXIF/XMP metadata (GPS position, camera details...)
+ * GIFs are returned as-is: they carry no EXIF and re-encoding would drop the animation
+ * @param {Object} file - Multer-style file
+ * @returns {Promise<Object>} File with the stripped buffer and size
+ */
+export async function stripImageMetadata(file) {
+  if (!isProcessableImage(file.mimetype) || file.mimetype === 'image/gif') {
+    return file;
+  }
+
+  const sharpLib = await loadSharp();
+  const buffer = await sharpLib(file.buffer).rotate().toBuffer();
+
+  return { ...file, buffer, size: buffer.length };
+}
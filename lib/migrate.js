@@ -0,0 +1,130 @@
+// Migration - copies every stored file from one storage to another, e.g. from UploadThing to S3
+// lib/migrate.js
+import fs from 'fs';
+import { dirname } from 'path';
+import { ConfigError } from './errors.js';
+
+// Providers store files as `${Date.now()}-${name}`; the copy gets a timestamp of its own
+const STORED_NAME = /^\d{13}-/;
+
+/**
+ * Copy every file under a prefix from one storage to another, keeping folders, visibility and metadata
+ * Each copied file is appended to `mappingFile` as a JSON line: { from, to, fromKey, toKey }
+ * (`from`/`to` are URLs, null for private files). Running again with the same mapping file skips
+ * the files already in it, so an interrupted migration picks up where it stopped
+ * @param {StorageService} source - Storage to copy from
+ * @param {StorageService} target - Storage to copy to
+ * @param {Object} options - Migration options
+ *   mappingFile: JSONL file for the old -> new mapping (required)
+ *   prefix: only migrate keys under this prefix
+ *   concurrency: files copied at the same time (default 4)
+ *   visibility: (item) => 'public' | 'private', for providers whose keys don't say (default: private/ prefix)
+ *   onFile: (mapping) => called after each copied file, e.g. for progress output
+ * @returns {Promise<Object>} { migrated, skipped, failed: [{ key, error }] }
+ */
+export async function migrateFiles(source, target, options = {}) {
+  const {
+    mappingFile,
+    prefix = '',
+    concurrency = 4,
+    visibility = item => ((item.path || item.key).startsWith('private/') ? 'private' : 'public'),
+    onFile
+  } = options;
+
+  if (!mappingFile) {
+    throw new ConfigError('migrateFiles requires a mappingFile to record progress in');
+  }
+
+  const done = new Set((await readMigrationMapping(mappingFile)).map(mapping => mapping.fromKey));
+  await fs.promises.mkdir(dirname(mappingFile), { recursive: true });
+  // A line cut short by a crash is ended first, or the next mapping would be appended to it and lost
+  if (!(await endsWithNewline(mappingFile))) {
+    await fs.promises.appendFile(mappingFile, '\n');
+  }
+
+  const report = { migrated: 0, skipped: 0, failed: [] };
+  let cursor;
+  do {
+    const page = await source.list(prefix, { cursor, limit: 100 });
+    cursor = page.cursor;
+
+    const pending = page.items.filter(item => !done.has(item.key));
+    report.skipped += page.items.length - pending.length;
+
+    for (let i = 0; i < pending.length; i += concurrency) {
+      const copied = await Promise.all(pending.slice(i, i + concurrency).map(async item => {
+        try {
+          const result = await target.copyFrom(source, item.url || item.key, destination(item, visibility(item)));
+          return { from: item.url || null, to: result.url || null, fromKey: item.key, toKey: result.key };
+        } catch (err) {
+          report.failed.push({ key: item.key, error: err.message });
+          return null;
+        }
+      }));
+
+      // Written after every batch, so at most one batch is copied again after a crash
+      const mappings = copied.filter(Boolean);
+      if (mappings.length > 0) {
+        await fs.promises.appendFile(mappingFile, mappings.map(mapping => `${JSON.stringify(mapping)}\n`).join(''));
+      }
+      report.migrated += mappings.length;
+      mappings.forEach(mapping => onFile?.(mapping));
+    }
+  } while (cursor);
+
+  return report;
+}
+
+/**
+ * Read the mapping written by migrateFiles()
+ * @param {string} mappingFile - JSONL mapping file
+ * @returns {Promise<Object[]>} [{ from, to, fromKey, toKey }], empty if the file doesn't exist yet
+ */
+export async function readMigrationMapping(mappingFile) {
+  let content;
+  try {
+    content = await fs.promises.readFile(mappingFile, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  // A line cut short by a crash is dropped, its file gets copied again
+  return content.split('\n').flatMap(line => {
+    try {
+      return line ? [JSON.parse(line)] : [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+// Whether a file is missing, empty or ends with a complete line
+async function endsWithNewline(path) {
+  let handle;
+  try {
+    handle = await fs.promises.open(path, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') return true;
+    throw err;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) return true;
+    const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+    return buffer[0] === 0x0a;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Destination key for a listed file: same folder, original file name with a new timestamp
+function destination(item, visibility) {
+  const path = (item.path || item.key).replace(/^private\//, '');
+  const slash = path.lastIndexOf('/');
+  const name = path.slice(slash + 1).replace(STORED_NAME, '');
+  const folder = slash > 0 ? `${path.slice(0, slash)}/` : '';
+
+  return `${visibility === 'private' ? 'private/' : ''}${folder}${Date.now()}-${name}`;
+}
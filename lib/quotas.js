@@ -0,0 +1,235 @@
+// Storage quotas - how much each user or tenant may store, keyed by values of the upload context
+// lib/quotas.js
+import * as usageStores from '../usage/index.js';
+import { ConfigError, QuotaExceededError } from './errors.js';
+import { parseSize, getCategoryForMimeType, effectiveMimeType, MIME_CATEGORIES } from '../utils.js';
+
+export default class QuotaManager {
+  /**
+   * @param {Object} config - The storage config's `quotas` section:
+   *   policies: { [context field]: limits, or async (value, context) => limits (null for no limit) }
+   *     limits: { maxBytes, maxFiles, categories: { [category]: { maxBytes, maxFiles } } }
+   *   store: usage store name ('memory' by default, or 'json' with a path), { adapter, ...settings },
+   *     or an object with async get(subject), charge(charge), refund(disk, key) and find(disk, key)
+   */
+  constructor(config = {}) {
+    this.policies = config.policies || {};
+    this.store = createStore(config.store || 'memory');
+    // Size held for uploads that were checked but aren't stored yet, by subject
+    this.pending = new Map();
+    this.checking = Promise.resolve();
+  }
+
+  /**
+   * Check files against every quota the context falls under, and hold their size until release()
+   * @param {Object} context - Upload context, e.g. { tenantId, userId }
+   * @param {Object[]} files - [{ size, type }], size 0 when it isn't known yet (streams)
+   * @param {string} field - Form field, for the error
+   * @returns {Promise<Object|null>} { check(size), release() }, null when no quota applies.
+   *   check() throws once a file of that size (still streaming) would no longer fit, and holds that size otherwise
+   */
+  async reserve(context, files, field) {
+    const subjects = (await this._subjects(context)).filter(subject => subject.limits);
+    if (subjects.length === 0) return null;
+
+    // Checks take turns, so two uploads can't both fit into the same remaining space
+    const turn = this.checking.catch(() => {}).then(() => this._reserve(subjects, files, field));
+    this.checking = turn;
+    return turn;
+  }
+
+  async _reserve(subjects, files, field) {
+    const requested = tally(files);
+    const checked = [];
+    for (const subject of subjects) {
+      const stored = await this.store.get(subject.id);
+      assertWithin(subject, combine(stored, this.pending.get(subject.id)), requested, field);
+      checked.push({ subject, stored });
+    }
+
+    // Swap what this reservation adds to the pending usage
+    let held = tally([]);
+    const hold = usage => {
+      checked.forEach(({ subject }) => this.pending.set(subject.id, combine(combine(this.pending.get(subject.id), held, -1), usage)));
+      held = usage;
+    };
+    hold(requested);
+
+    let released = false;
+    return {
+      // Streams grow their reservation as they go, so uploads running alongside count the bytes already sent
+      check: size => {
+        const streamed = tally([{ size, type: files[0]?.type }]);
+        checked.forEach(({ subject, stored }) => {
+          const others = combine(this.pending.get(subject.id), held, -1);
+          assertWithin(subject, combine(stored, others), streamed, field);
+        });
+        if (!released) hold(streamed);
+      },
+      release: () => {
+        if (released) return;
+        released = true;
+        hold(tally([]));
+      }
+    };
+  }
+
+  /**
+   * Count stored files against the context's subjects (deduplicated uploads take no new space)
+   * @param {Object} context - Upload context
+   * @param {Object[]} results - Upload results
+   */
+  async charge(context, results) {
+    const subjects = (await this._subjects(context)).map(subject => subject.id);
+    if (subjects.length === 0) return;
+
+    for (const result of results.filter(result => !result.deduplicated)) {
+      await this.store.charge({
+        disk: result.disk,
+        key: result.key,
+        subjects,
+        size: result.size ?? 0,
+        category: getCategoryForMimeType(effectiveMimeType({ mimetype: result.type }, result.detectedType))
+      });
+    }
+  }
+
+  async refund(disk, key) {
+    return this.store.refund(disk, key);
+  }
+
+  async charged(disk, key) {
+    return Boolean(await this.store.find(disk, key));
+  }
+
+  /**
+   * Carry a file's charge over to its new location (move), or charge a copy to the same subjects
+   */
+  async transfer(from, to, { copy = false } = {}) {
+    const charge = copy ? await this.store.find(from.disk, from.key) : await this.store.refund(from.disk, from.key);
+    if (charge) {
+      await this.store.charge({ ...charge, disk: to.disk, key: to.key });
+    }
+  }
+
+  /**
+   * Usage and limits of every subject the context falls under
+   * @param {Object} context - e.g. { tenantId, userId }
+   * @returns {Promise<Object>} { [context field]: { value, used, limits, remaining: { bytes, files } } }
+   */
+  async usage(context) {
+    const report = {};
+    for (const subject of await this._subjects(context)) {
+      const used = await this.store.get(subject.id);
+      report[subject.field] = {
+        value: subject.value,
+        used,
+        limits: subject.limits,
+        remaining: remaining(subject.limits, used)
+      };
+    }
+    return report;
+  }
+
+  // Context fields with a policy, and the limits their policy gives the value (null for none)
+  async _subjects(context = {}) {
+    const subjects = [];
+    for (const [field, policy] of Object.entries(this.policies)) {
+      const value = context[field];
+      if (value === undefined || value === null || value === '') continue;
+
+      const limits = typeof policy === 'function' ? await policy(value, context) : policy;
+      subjects.push({ id: `${field}:${value}`, field, value, limits: limits ? parseLimits(limits) : null });
+    }
+    return subjects;
+  }
+}
+
+function createStore(store) {
+  // A ready store, a bundled one's name, or { adapter, ...settings }
+  if (typeof store.charge === 'function') return store;
+
+  const { adapter, ...settings } = typeof store === 'string' ? { adapter: store } : store;
+  const Store = usageStores[adapter];
+  if (!Store) {
+    throw new ConfigError(`Usage store "${adapter}" not supported. Available: ${Object.keys(usageStores).join(', ')}`, { store: adapter });
+  }
+  return new Store(settings);
+}
+
+function parseLimits({ maxBytes, maxFiles, categories = {} }) {
+  // A misspelled category would never be counted against
+  const unknown = Object.keys(categories).filter(category => category !== 'other' && !MIME_CATEGORIES[category]);
+  if (unknown.length > 0) {
+    throw new ConfigError(`Unknown quota categories: ${unknown.join(', ')}. Available: ${[...Object.keys(MIME_CATEGORIES), 'other'].join(', ')}`);
+  }
+
+  return {
+    maxBytes: maxBytes != null ? parseSize(maxBytes) : null,
+    maxFiles: maxFiles ?? null,
+    categories: Object.fromEntries(Object.entries(categories).map(([category, limits]) => [category, {
+      maxBytes: limits.maxBytes != null ? parseSize(limits.maxBytes) : null,
+      maxFiles: limits.maxFiles ?? null
+    }]))
+  };
+}
+
+// Usage a set of files adds: { bytes, files, categories: { [category]: { bytes, files } } }
+function tally(files) {
+  return files.reduce((total, { size = 0, type }) => combine(total, {
+    bytes: size,
+    files: 1,
+    categories: { [getCategoryForMimeType(type)]: { bytes: size, files: 1 } }
+  }), { bytes: 0, files: 0, categories: {} });
+}
+
+function combine(usage = { bytes: 0, files: 0, categories: {} }, change = { bytes: 0, files: 0, categories: {} }, sign = 1) {
+  const categories = structuredClone(usage.categories || {});
+  for (const [category, counted] of Object.entries(change.categories || {})) {
+    const total = (categories[category] ||= { bytes: 0, files: 0 });
+    total.bytes += sign * counted.bytes;
+    total.files += sign * counted.files;
+  }
+  return { bytes: usage.bytes + sign * change.bytes, files: usage.files + sign * change.files, categories };
+}
+
+function remaining(limits, used) {
+  return {
+    bytes: limits?.maxBytes != null ? Math.max(limits.maxBytes - used.bytes, 0) : null,
+    files: limits?.maxFiles != null ? Math.max(limits.maxFiles - used.files, 0) : null
+  };
+}
+
+// Throw QuotaExceededError for the first limit the requested files would go past
+function assertWithin(subject, used, requested, field) {
+  const scopes = [
+    { limits: subject.limits, used, requested },
+    ...Object.entries(requested.categories)
+      .filter(([category]) => subject.limits.categories[category])
+      .map(([category, counted]) => ({
+        category,
+        limits: subject.limits.categories[category],
+        used: used.categories[category] || { bytes: 0, files: 0 },
+        requested: counted
+      }))
+  ];
+
+  for (const scope of scopes) {
+    for (const [limit, unit] of [['maxFiles', 'files'], ['maxBytes', 'bytes']]) {
+      const allowed = scope.limits[limit];
+      if (allowed == null || scope.used[unit] + scope.requested[unit] <= allowed) continue;
+
+      throw new QuotaExceededError({
+        field,
+        subject: subject.field,
+        value: subject.value,
+        limit,
+        category: scope.category,
+        allowed,
+        used: scope.used[unit],
+        requested: scope.requested[unit],
+        remaining: remaining(scope.limits, scope.used)
+      });
+    }
+  }
+}
@@ -0,0 +1,229 @@
+// Path templates - folders and object names built from the upload context and the file,
+// e.g. '{model}/{date:YYYY/MM}/{id}' or '{hash:8}-{originalname|slug}{ext}'
+// lib/templates.js
+import crypto from 'crypto';
+import { extname } from 'path';
+import { StorageError, ConfigError } from './errors.js';
+
+// Tokens with a meaning of their own, and where they can be used; any other {name} is a context value.
+// Folders are shared by every file of an upload, so tokens describing one file only go into names
+const BUILTINS = {
+  date: { arg: assertDateFormat, scopes: ['folder', 'name'] },
+  uuid: { scopes: ['folder', 'name'] },
+  field: { scopes: ['folder', 'name'] },
+  hash: { arg: assertHashLength, scopes: ['name'] },
+  ext: { scopes: ['name'] },
+  originalname: { scopes: ['name'] }
+};
+
+export const TEMPLATE_FILTERS = {
+  slug: value => value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, ''),
+  lower: value => value.toLowerCase(),
+  upper: value => value.toUpperCase()
+};
+
+const SCOPES = {
+  root: 'a tenant root, which only takes context values such as {tenantId}',
+  folder: 'a folder template, it describes a single file: use it in a nameTemplate',
+  name: 'a name template'
+};
+
+const DATE_PARTS = /YYYY|MM|DD|HH|mm|ss/g;
+
+/**
+ * Split a template into literal text and tokens, rejecting tokens, arguments and filters it doesn't know
+ * @param {string} template - e.g. '{model}/{date:YYYY/MM}/{id}'
+ * @param {string} scope - 'root' (tenant root), 'folder' or 'name'
+ * @returns {Array} Literal strings and { name, arg, filters, source } tokens
+ */
+export function parseTemplate(template, scope = 'name') {
+  if (typeof template !== 'string' || !template) {
+    throw new ConfigError(`Path templates must be non-empty strings or functions, got ${JSON.stringify(template)}`);
+  }
+
+  const parts = [];
+  let last = 0;
+  for (const match of template.matchAll(/\{([^{}]*)\}/g)) {
+    parts.push(template.slice(last, match.index), parseToken(match[1], template, scope));
+    last = match.index + match[0].length;
+  }
+  parts.push(template.slice(last));
+
+  // A brace left over is a token typed wrong, e.g. '{id' or 'date:YYYY}'
+  if (parts.some(part => typeof part === 'string' && /[{}]/.test(part))) {
+    throw new ConfigError(`Unbalanced braces in path template "${template}"`, { template });
+  }
+  return parts.filter(part => part !== '');
+}
+
+/**
+ * Check a template (string or function) once, e.g. at startup
+ * @param {string|Function} template - Path template
+ * @param {string} scope - 'root', 'folder' or 'name'
+ */
+export function validateTemplate(template, scope = 'name') {
+  if (typeof template !== 'function') parseTemplate(template, scope);
+}
+
+/**
+ * Resolve a template into a relative path
+ * Function templates are called with the values and get the same safety checks on what they return
+ * @param {string|Function} template - Path template
+ * @param {Object} values - Context values, plus `field`, `date` (default now) and `file` ({ originalname, buffer, hash })
+ * @param {string} scope - 'root', 'folder' or 'name'
+ * @returns {string} Path
+ */
+export function renderTemplate(template, values = {}, scope = 'name') {
+  const path = typeof template === 'function'
+    ? template(values)
+    : parseTemplate(template, scope).map(part => (typeof part === 'string' ? part : renderToken(part, values, template))).join('');
+
+  return assertPath(path, template);
+}
+
+/**
+ * Check that a value is safe as one segment of a storage key: not empty, '.' or '..',
+ * and without slashes or control characters
+ * @returns {string} The value
+ */
+export function assertPathSegment(value, name = 'value') {
+  if (!value || value === '.' || value === '..' || /[/\\\x00-\x1f\x7f]/.test(value) || value.length > 255) {
+    throw new StorageError(`Invalid ${name} "${value}": must be a single folder name`, {
+      code: 'INVALID_PATH',
+      status: 400,
+      variable: name
+    });
+  }
+  return value;
+}
+
+function parseToken(source, template, scope) {
+  const [head, ...filters] = source.split('|').map(part => part.trim());
+  const colon = head.indexOf(':');
+  const name = colon === -1 ? head : head.slice(0, colon);
+  const arg = colon === -1 ? undefined : head.slice(colon + 1);
+  const builtin = BUILTINS[name];
+
+  if (!/^\w+$/.test(name) || (arg !== undefined && !builtin?.arg)) {
+    throw new ConfigError(`Unknown token "{${source}}" in path template "${template}"`, { template });
+  }
+  if (builtin && !builtin.scopes.includes(scope)) {
+    throw new ConfigError(`{${name}} can't be used in ${SCOPES[scope]} ("${template}")`, { template });
+  }
+  if (arg !== undefined) {
+    builtin.arg(arg, template);
+  }
+
+  const unknown = filters.find(filter => !TEMPLATE_FILTERS[filter]);
+  if (unknown !== undefined) {
+    throw new ConfigError(`Unknown filter "|${unknown}" in path template "${template}". Available: ${Object.keys(TEMPLATE_FILTERS).join(', ')}`, {
+      template
+    });
+  }
+
+  return { name, arg, filters, source };
+}
+
+function renderToken(token, values, template) {
+  let value;
+  switch (token.name) {
+    case 'date':
+      value = formatDate(values.date ?? new Date(), token.arg || 'YYYY/MM/DD');
+      break;
+    case 'uuid':
+      value = crypto.randomUUID();
+      break;
+    case 'hash':
+      value = fileHash(values.file, template).slice(0, token.arg ? Number(token.arg) : undefined);
+      break;
+    case 'ext':
+      value = extname(requireFile(values.file, 'ext', template).originalname || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+      break;
+    case 'originalname': {
+      const name = requireFile(values.file, 'originalname', template).originalname || '';
+      value = name.slice(0, name.length - extname(name).length);
+      break;
+    }
+    default:
+      value = values[token.name];
+      if (value === undefined || value === null) {
+        throw new StorageError(`Missing value for "${token.name}" in path template "${template}"`, {
+          code: 'MISSING_TEMPLATE_VALUE',
+          status: 400,
+          variable: token.name
+        });
+      }
+      value = String(value);
+  }
+
+  value = token.filters.reduce((filtered, filter) => TEMPLATE_FILTERS[filter](filtered), value);
+
+  // A date format may span folders and an extension may be empty, everything else is one folder name
+  if (token.name === 'date' || token.name === 'ext') return value;
+  return assertPathSegment(value, token.name);
+}
+
+function requireFile(file, name, template) {
+  if (!file) {
+    throw new ConfigError(`{${name}} needs a file, but "${template}" was resolved without one`, { template });
+  }
+  return file;
+}
+
+function fileHash(file, template) {
+  const { hash, buffer } = requireFile(file, 'hash', template);
+  if (hash) return hash;
+  if (!buffer) {
+    throw new ConfigError(`{hash} needs the file contents, which streamed and direct uploads don't have up front ("${template}")`, {
+      template
+    });
+  }
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Dates are formatted in UTC, so every server files an upload under the same day
+function formatDate(date, format) {
+  const pad = number => String(number).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+  return format.replace(DATE_PARTS, part => parts[part]);
+}
+
+function assertDateFormat(format, template) {
+  const separators = format.replace(DATE_PARTS, '');
+  if (!format || separators.length === format.length || !/^[-_./]*$/.test(separators) || /^\/|\/$|\/\//.test(format)) {
+    throw new ConfigError(`Invalid date format "${format}" in path template "${template}": use YYYY, MM, DD, HH, mm and ss with / - _ . between them`, {
+      template
+    });
+  }
+}
+
+function assertHashLength(length, template) {
+  if (!/^\d+$/.test(length) || Number(length) < 1 || Number(length) > 64) {
+    throw new ConfigError(`Invalid hash length "${length}" in path template "${template}": use 1 to 64 characters`, { template });
+  }
+}
+
+// The whole path: relative, no empty, '.' or '..' segments (function templates return anything)
+function assertPath(path, template) {
+  const segments = typeof path === 'string' ? path.split('/') : [];
+  if (segments.length === 0 || segments.some(segment => !segment || segment === '.' || segment === '..' || /[\\\x00-\x1f\x7f]/.test(segment))) {
+    const source = typeof template === 'function' ? 'The path template function' : `Path template "${template}"`;
+    throw new StorageError(`${source} gave an invalid path: ${JSON.stringify(path)}`, {
+      code: 'INVALID_PATH',
+      status: 400
+    });
+  }
+  return path;
+}
@@ -1,4 +1,13 @@
+import fs from 'fs';
+import { relative, sep } from 'path';
 import multer from 'multer';
+import Busboy from 'busboy';
+import mime from 'mime-types';
+import LocalProvider from './providers/local.js';
+import ResumableUploads from './lib/ResumableUploads.js';
+import { StorageError, TooManyFilesError, ConfigError, fromMulterError } from './lib/errors.js';
+
+const TUS_VERSION = '1.0.0';
 
 /**
  * Create Express middleware for file uploads
@@ -21,15 +30,21 @@ export function createUploadMiddleware(options = {}) {
     }
   });
   
+  // multer's own errors are passed on as FileTooLargeError / TooManyFilesError with the limits involved
+  const limits = { maxFileSize, maxFiles, fields: {} };
+  const withStorageErrors = middleware => (req, res, next) =>
+    middleware(req, res, err => next(err && fromMulterError(err, limits)));
+  
   // If specific fields are provided, use .fields()
   if (Array.isArray(fields) && fields.length > 0) {
     const multerFields = fields.map(field => ({
       name: field,
       maxCount: options[field]?.maxCount || 1
     }));
+    multerFields.forEach(({ name, maxCount }) => { limits.fields[name] = maxCount; });
     
     return [
-      upload.fields(multerFields),
+      withStorageErrors(upload.fields(multerFields)),
       (req, res, next) => {
         // Attach files to request in consistent format
         if (req.files) {
@@ -42,7 +57,7 @@ export function createUploadMiddleware(options = {}) {
   
   // Otherwise use single file upload
   return [
-    upload.single('file'),
+    withStorageErrors(upload.single('file')),
     (req, res, next) => {
       if (req.file) {
         req.uploadedFiles = { file: [req.file] };
@@ -52,5 +67,398 @@ export function createUploadMiddleware(options = {}) {
   ];
 }
 
+/**
+ * Create Express middleware that streams uploads straight to storage
+ * File parts are piped to storage.uploadStream as they arrive, so memory stays bounded
+ * Stored results end up in req.storedFiles, keyed by field name
+ * @param {Object} options - Middleware options
+ *   storage: StorageService (or async function returning one)
+ *   prepare: (req, file) => upload options for a file part ({ field, originalname, mimetype }); throw to reject it
+ * @returns {Array} Express middleware array
+ */
+export function createStreamingUploadMiddleware(options = {}) {
+  const {
+    storage,
+    fields = [],
+    folder = 'uploads',
+    maxFileSize = 50 * 1024 * 1024,
+    maxFiles = 10,
+    prepare = (req, file) => ({ folder: `${folder}/${file.field}` })
+  } = options;
+  
+  if (!storage) {
+    throw new ConfigError('createStreamingUploadMiddleware requires a storage instance');
+  }
+  const getStorage = typeof storage === 'function' ? storage : () => storage;
+  
+  return [
+    (req, res, next) => {
+      if (!String(req.headers['content-type']).startsWith('multipart/form-data')) {
+        return next();
+      }
+      
+      let busboy;
+      try {
+        busboy = Busboy({ headers: req.headers, limits: { files: maxFiles } });
+      } catch (err) {
+        return next(err);
+      }
+      
+      const uploads = [];
+      const counts = {};
+      const storedFiles = {};
+      let failure = null;
+      const fail = err => { failure = failure || err; };
+      
+      req.body = req.body || {};
+      
+      busboy.on('field', (name, value) => {
+        req.body[name] = value;
+      });
+      
+      busboy.on('file', (field, stream, info) => {
+        const file = { field, originalname: info.filename, mimetype: info.mimeType };
+        const maxCount = options[field]?.maxCount || (fields.length > 0 ? 1 : maxFiles);
+        counts[field] = (counts[field] || 0) + 1;
+        
+        if (fields.length > 0 && !fields.includes(field)) {
+          fail(new StorageError(`Unexpected file field: ${field}`, { code: 'UNEXPECTED_FIELD', status: 400, field }));
+        } else if (counts[field] > maxCount) {
+          fail(new TooManyFilesError({ field, maxCount, count: counts[field] }));
+        }
+        
+        // Drain anything we won't store so busboy can move on to the next part
+        if (failure) {
+          stream.resume();
+          return;
+        }
+        
+        uploads.push((async () => {
+          const storageService = await getStorage();
+          let uploadOptions;
+          try {
+            uploadOptions = await prepare(req, file);
+          } catch (err) {
+            err.status = err.status || 400;
+            throw err;
+          }
+          const result = await storageService.uploadStream(stream, file, { maxSize: maxFileSize, ...uploadOptions });
+          (storedFiles[field] = storedFiles[field] || []).push(result);
+        })().catch(err => {
+          stream.resume();
+          fail(err);
+        }));
+      });
+      
+      busboy.on('filesLimit', () => fail(new TooManyFilesError({ maxCount: maxFiles })));
+      busboy.on('error', fail);
+      
+      busboy.on('close', async () => {
+        await Promise.all(uploads);
+        
+        if (failure) {
+          // Don't leave the files that did make it orphaned in storage
+          const storageService = await getStorage();
+          await Promise.all(
+            Object.values(storedFiles).flat().map(result =>
+              storageService.delete(result.key, { disk: result.disk }).catch(() => {})
+            )
+          );
+          return next(failure);
+        }
+        
+        req.storedFiles = storedFiles;
+        next();
+      });
+      
+      req.pipe(busboy);
+    }
+  ];
+}
+
+/**
+ * Create Express handler for resumable uploads over the tus 1.0.0 protocol
+ * (core plus the creation, expiration and termination extensions)
+ * Mount it at a path, e.g. app.use('/uploads/resumable', createResumableUploadHandler({ storage }))
+ * The response that completes an upload carries a Storage-Upload-Token header for storage.confirmUpload()
+ * @param {Object} options - Handler options
+ *   storage: StorageService (or async function returning one)
+ *   prepare: (req, file) => upload options for a new upload ({ field, originalname, mimetype, size }); throw to reject it
+ *   onComplete: (result, req) => called once a file has been committed to storage
+ *   dir, expiresIn: where upload state is kept and how long idle uploads live (see ResumableUploads)
+ * @returns {Function} Express middleware, with cleanupExpired() for scheduled cleanup
+ */
+export function createResumableUploadHandler(options = {}) {
+  const {
+    storage,
+    folder = 'uploads',
+    maxFileSize,
+    cleanupInterval = 60 * 60 * 1000,
+    prepare = (req, file) => ({ folder: file.field ? `${folder}/${file.field}` : folder }),
+    onComplete
+  } = options;
+  
+  if (!storage) {
+    throw new ConfigError('createResumableUploadHandler requires a storage instance');
+  }
+  const getStorage = typeof storage === 'function' ? storage : () => storage;
+  
+  let uploads = null;
+  const getUploads = async () => {
+    uploads = uploads || new ResumableUploads(await getStorage(), options);
+    return uploads;
+  };
+  
+  let lastCleanup = Date.now();
+  
+  const handler = async (req, res, next) => {
+    const method = req.headers['x-http-method-override'] || req.method;
+    const id = (req.path || '/').replace(/^\/+|\/+$/g, '');
+    
+    res.setHeader('Tus-Resumable', TUS_VERSION);
+    
+    try {
+      const resumable = await getUploads();
+      
+      if (method === 'OPTIONS') {
+        res.setHeader('Tus-Version', TUS_VERSION);
+        res.setHeader('Tus-Extension', 'creation,expiration,termination');
+        res.setHeader('Tus-Max-Size', resumable.maxSize({ maxSize: maxFileSize }));
+        return res.status(204).end();
+      }
+      
+      if (req.headers['tus-resumable'] !== TUS_VERSION) {
+        res.setHeader('Tus-Version', TUS_VERSION);
+        return res.status(412).end();
+      }
+      
+      if (method === 'POST' && !id) {
+        const length = req.headers['upload-length'];
+        if (!/^\d+$/.test(length || '')) {
+          return res.status(400).json({ error: 'Upload-Length header is required' });
+        }
+        
+        const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+        const filename = metadata.filename || metadata.name;
+        const file = {
+          field: metadata.field,
+          originalname: filename,
+          mimetype: metadata.filetype || metadata.type || mime.lookup(filename || '') || 'application/octet-stream',
+          size: Number(length)
+        };
+        
+        let uploadOptions;
+        try {
+          uploadOptions = await prepare(req, file);
+        } catch (err) {
+          err.status = err.status || 400;
+          throw err;
+        }
+        const upload = await resumable.create(file, {
+          ...(maxFileSize ? { maxSize: maxFileSize } : {}),
+          ...uploadOptions,
+          field: file.field
+        });
+        
+        // Abandoned uploads are swept now and then without holding up the request
+        if (Date.now() - lastCleanup > cleanupInterval) {
+          lastCleanup = Date.now();
+          resumable.cleanupExpired().catch(() => {});
+        }
+        
+        if (upload.result) {
+          await onComplete?.(upload.result, req);
+        }
+        setUploadHeaders(res, upload);
+        res.setHeader('Location', `${options.baseUrl || req.baseUrl || ''}/${upload.id}`);
+        return res.status(201).end();
+      }
+      
+      if (!id) {
+        return next();
+      }
+      
+      if (method === 'HEAD') {
+        const upload = await resumable.status(id);
+        if (!upload) return res.status(404).end();
+        
+        setUploadHeaders(res, upload);
+        res.setHeader('Upload-Length', upload.file.size);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).end();
+      }
+      
+      if (method === 'PATCH') {
+        if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+          return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+        }
+        if (!/^\d+$/.test(req.headers['upload-offset'] || '')) {
+          return res.status(400).json({ error: 'Upload-Offset header is required' });
+        }
+        
+        const upload = await resumable.append(id, req, Number(req.headers['upload-offset']));
+        
+        if (upload.result) {
+          await onComplete?.(upload.result, req);
+        }
+        setUploadHeaders(res, upload);
+        return res.status(204).end();
+      }
+      
+      if (method === 'DELETE') {
+        return res.status(await resumable.abort(id) ? 204 : 404).end();
+      }
+      
+      next();
+    } catch (err) {
+      // Provider and config failures go to the app's error handling, like any other server error
+      if (!err.status || err.status >= 500) return next(err);
+      res.status(err.status).json(err instanceof StorageError ? err.toJSON() : { error: err.message });
+    }
+  };
+  
+  handler.cleanupExpired = async () => (await getUploads()).cleanupExpired();
+  
+  return handler;
+}
+
+// Upload-Metadata is a comma separated list of "key base64value" pairs
+function parseUploadMetadata(header = '') {
+  const metadata = {};
+  
+  for (const pair of header.split(',')) {
+    const [key, value = ''] = pair.trim().split(' ');
+    if (key) metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+  }
+  
+  return metadata;
+}
+
+function setUploadHeaders(res, upload) {
+  res.setHeader('Upload-Offset', upload.offset);
+  res.setHeader('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+  if (upload.token) {
+    res.setHeader('Storage-Upload-Token', upload.token);
+  }
+}
+
+/**
+ * Create Express handler that serves files stored by the local provider
+ * Mount it at the provider's baseUrl, e.g. app.use('/uploads', createLocalStaticHandler(config))
+ * Also accepts PUTs to signed URLs from StorageService.createUploadUrl
+ * @param {Object} options - Local provider options (root, baseUrl, secret)
+ * @returns {Function} Express middleware
+ */
+export function createLocalStaticHandler(options = {}) {
+  const provider = new LocalProvider(options);
+  const { maxAge = 0 } = options;
+
+  return async (req, res, next) => {
+    if (req.method === 'PUT') {
+      return receiveLocalUpload(provider, req, res);
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    const params = new URL(req.originalUrl || req.url, 'http://localhost').searchParams;
+
+    let filePath;
+    try {
+      filePath = provider.resolveKey(decodeURIComponent(req.path).replace(/^\/+/, ''));
+    } catch {
+      return res.status(403).end();
+    }
+    // Check the key the file really lives at: /x/../private/f and /%2e/private/f both resolve into private/
+    const key = relative(provider.root, filePath).split(sep).join('/');
+
+    // Private files are only served through signed URLs
+    const signed = params.has('signature') && provider.verifySignedUrl(key, params);
+    if (key.startsWith('private/') && !signed) {
+      return res.status(403).end();
+    }
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch {
+      return next();
+    }
+    if (!stats.isFile()) return next();
+
+    res.setHeader('Content-Type', mime.lookup(filePath) || 'application/octet-stream');
+    res.setHeader('Content-Length', stats.size);
+    res.setHeader('Last-Modified', stats.mtime.toUTCString());
+    res.setHeader('Cache-Control', signed ? 'private, no-store' : `public, max-age=${maxAge}`);
+    if (signed && params.get('disposition')) {
+      res.setHeader('Content-Disposition', params.get('disposition'));
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    fs.createReadStream(filePath)
+      .on('error', next)
+      .pipe(res);
+  };
+}
+
+async function receiveLocalUpload(provider, req, res) {
+  const key = decodeURIComponent(req.path).replace(/^\/+/, '');
+  const params = new URL(req.originalUrl || req.url, 'http://localhost').searchParams;
+
+  let size;
+  try {
+    provider.resolveKey(key);
+    size = provider.verifyUploadUrl(key, params, req.headers['content-type']);
+  } catch (err) {
+    return res.status(403).json({ error: err.message });
+  }
+
+  try {
+    await provider.receiveUpload(key, req, size);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  res.status(200).end();
+}
+
+/**
+ * Create Express error middleware that answers storage errors with consistent JSON
+ * Register it after your routes: app.use(errorHandler())
+ * Storage errors (and multer's LIMIT_* errors) get their status and { error, code, field, ...limits };
+ * anything else is passed on to the next error handler
+ * @param {Object} options - Handler options
+ *   exposeServerErrors: send the messages of 5xx errors (provider and config failures) to clients, off by default
+ *   onError: (err, req) => called with every error handled, e.g. for logging
+ * @returns {Function} Express error middleware
+ */
+export function errorHandler(options = {}) {
+  const { exposeServerErrors = false, onError } = options;
+  
+  return (err, req, res, next) => {
+    const error = fromMulterError(err);
+    if (!(error instanceof StorageError) || res.headersSent) {
+      return next(err);
+    }
+    
+    onError?.(error, req);
+    
+    // Provider messages can name buckets and hosts, so server errors only get their code by default
+    const body = error.status >= 500 && !exposeServerErrors
+      ? { error: 'Storage error', code: error.code }
+      : error.toJSON();
+    res.status(error.status).json(body);
+  };
+}
+
 // For backward compatibility
-export default { createUploadMiddleware };
\ No newline at end of file
+export default {
+  createUploadMiddleware,
+  createStreamingUploadMiddleware,
+  createResumableUploadHandler,
+  createLocalStaticHandler,
+  errorHandler
+};
\ No newline at end of file
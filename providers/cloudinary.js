@@ -1,47 +1,427 @@
-// Simple Cloudinary provider
+// Cloudinary provider - signed uploads through the Upload API
 // providers/cloudinary.js
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import mime from 'mime-types';
+import { ConfigError } from '../lib/errors.js';
+
+const RESOURCE_TYPES = ['image', 'video', 'raw'];
+
 export default class CloudinaryProvider {
   constructor(config = {}) {
-    this.cloudName = config.cloudName || process.env.CLOUDINARY_CLOUD_NAME;
-    this.apiKey = config.apiKey || process.env.CLOUDINARY_API_KEY;
-    this.apiSecret = config.apiSecret || process.env.CLOUDINARY_API_SECRET;
-    
+    this.cloudName = config.cloudName || config.cloud_name || process.env.CLOUDINARY_CLOUD_NAME;
+    this.apiKey = config.apiKey || config.api_key || process.env.CLOUDINARY_API_KEY;
+    this.apiSecret = config.apiSecret || config.api_secret || process.env.CLOUDINARY_API_SECRET;
+    this.apiUrl = (config.apiUrl || 'https://api.cloudinary.com/v1_1').replace(/\/+$/, '');
+
     if (!this.cloudName || !this.apiKey || !this.apiSecret) {
-      throw new Error('Cloudinary credentials not configured');
+      throw new ConfigError('Cloudinary credentials not configured', { provider: 'cloudinary' });
     }
   }
-  
+
   async upload(file, options = {}) {
     const { originalname, buffer, mimetype, size } = file;
     const folder = options.folder || 'uploads';
-    
-    // Convert buffer to base64
-    const base64Data = buffer.toString('base64');
-    const dataUri = `data:${mimetype};base64,${base64Data}`;
-    
-    // Cloudinary upload logic would go here
-    // This is a simplified version
-    const publicId = `${folder}/${Date.now()}-${originalname}`;
-    
-    // In real implementation, you would use cloudinary.v2.uploader.upload
-    // For now, return mock structure
+    const visibility = options.visibility || 'public';
+    const resourceType = this.resourceTypeFor(mimetype);
+
+    // Image/video public IDs get the format appended by Cloudinary, raw files keep their extension
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const baseName = resourceType === 'raw' ? safeName : safeName.replace(/\.[^.]*$/, '');
+
+    // Private files are 'authenticated' assets under private/, only reachable through signed URLs
+    const params = {
+      folder: visibility === 'private' ? `private/${folder}` : folder,
+      public_id: `${Date.now()}-${baseName}`,
+      ...(visibility === 'private' ? { type: 'authenticated' } : {})
+    };
+
+    if (options.metadata && Object.keys(options.metadata).length > 0) {
+      params.context = Object.entries(options.metadata)
+        .map(([key, value]) => `${key}=${String(value).replace(/[|=]/g, '\\$&')}`)
+        .join('|');
+    }
+
+    const form = new FormData();
+    for (const [key, value] of Object.entries(this._sign(params))) {
+      form.append(key, value);
+    }
+    form.append('file', new Blob([buffer], { type: mimetype }), originalname);
+
+    const result = await this._request(`${resourceType}/upload`, form);
+
     return {
-      url: `https://res.cloudinary.com/${this.cloudName}/image/upload/${publicId}`,
-      publicId,
+      url: visibility === 'private' ? null : result.secure_url,
+      key: result.public_id,
+      publicId: result.public_id,
       name: originalname,
-      size,
+      size: result.bytes ?? size,
       type: mimetype,
+      width: result.width,
+      height: result.height,
+      format: result.format,
+      resourceType: result.resource_type,
+      visibility,
+      provider: 'cloudinary'
+    };
+  }
+
+  /**
+   * Create signed form fields so the browser can POST straight to Cloudinary
+   * @param {Object} file - { originalname, mimetype }
+   * @param {Object} options - { folder, visibility }
+   * @returns {Promise<Object>} { uploadUrl, method, fields, key }
+   */
+  async createUploadUrl(file, options = {}) {
+    const { originalname, mimetype } = file;
+    const isPrivate = options.visibility === 'private';
+    const folder = `${isPrivate ? 'private/' : ''}${options.folder || 'uploads'}`;
+    const resourceType = this.resourceTypeFor(mimetype);
+
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const baseName = resourceType === 'raw' ? safeName : safeName.replace(/\.[^.]*$/, '');
+    const publicId = `${Date.now()}-${baseName}`;
+
+    return {
+      uploadUrl: `${this.apiUrl}/${this.cloudName}/${resourceType}/upload`,
+      method: 'POST',
+      // Send these as multipart fields, with the file itself as 'file'
+      fields: this._sign({
+        folder,
+        public_id: publicId,
+        ...(isPrivate ? { type: 'authenticated' } : {})
+      }),
+      key: `${folder}/${publicId}`
+    };
+  }
+
+  async confirmUpload(key, file = {}) {
+    const resourceType = this.resourceTypeFor(file.mimetype);
+    const isPrivate = key.startsWith('private/');
+    const resource = await this._adminRequest(
+      `resources/${resourceType}/${isPrivate ? 'authenticated' : 'upload'}/${key}`
+    );
+
+    return {
+      url: isPrivate ? null : resource.secure_url,
+      key: resource.public_id,
+      publicId: resource.public_id,
+      name: file.originalname,
+      size: resource.bytes,
+      type: file.mimetype,
+      width: resource.width,
+      height: resource.height,
+      format: resource.format,
+      resourceType: resource.resource_type,
+      visibility: isPrivate ? 'private' : 'public',
       provider: 'cloudinary'
     };
   }
-  
+
   async delete(url) {
-    // Extract public_id from Cloudinary URL
-    const parts = url.split('/upload/');
-    if (parts.length < 2) throw new Error('Invalid Cloudinary URL');
-    
-    const publicId = parts[1].split('.')[0];
-    // Call cloudinary.v2.uploader.destroy(publicId)
-    console.log(`Would delete Cloudinary asset: ${publicId}`);
-  }
-}
\ No newline at end of file
+    const { publicId, resourceType, type } = this._parseUrl(url);
+    let result = { result: 'not found' };
+
+    // Bare public IDs don't say which resource type they are, so try each
+    for (const candidate of resourceType ? [resourceType] : RESOURCE_TYPES) {
+      const form = new FormData();
+      for (const [key, value] of Object.entries(this._sign({ public_id: publicId, type }))) {
+        form.append(key, value);
+      }
+
+      result = await this._request(`${candidate}/destroy`, form);
+      if (result.result === 'ok') return result;
+
+      // Deleting a missing asset is a no-op, same as S3
+      if (result.result !== 'not found') {
+        throw new Error(`Cloudinary delete failed for ${publicId}: ${result.result}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Copy an asset to a new public ID
+   * Cloudinary has no copy operation, so the copy is uploaded from the original's URL (fetched by Cloudinary)
+   * @param {string} from - File URL or public ID
+   * @param {string} to - Destination public ID; under private/ the copy is an authenticated asset
+   * @returns {Promise<Object>} Result for the copy, same shape as upload()
+   */
+  async copy(from, to) {
+    const resource = await this._findResource(from);
+    const source = resource.type === 'authenticated'
+      ? await this.getSignedUrl(from, { expiresIn: 300 })
+      : resource.secure_url;
+
+    const form = new FormData();
+    const params = { public_id: to, ...(to.startsWith('private/') ? { type: 'authenticated' } : {}) };
+    for (const [key, value] of Object.entries(this._sign(params))) {
+      form.append(key, value);
+    }
+    form.append('file', source);
+
+    return this._stored(await this._request(`${resource.resource_type}/upload`, form));
+  }
+
+  /**
+   * Rename an asset to a new public ID
+   * @param {string} from - File URL or public ID
+   * @param {string} to - Destination public ID; moving in or out of private/ switches the delivery type
+   * @returns {Promise<Object>} Result for the moved asset, same shape as upload()
+   */
+  async move(from, to) {
+    const resource = await this._findResource(from);
+    const toType = to.startsWith('private/') ? 'authenticated' : 'upload';
+
+    const form = new FormData();
+    const params = {
+      from_public_id: resource.public_id,
+      to_public_id: to,
+      type: resource.type,
+      ...(toType !== resource.type ? { to_type: toType } : {})
+    };
+    for (const [key, value] of Object.entries(this._sign(params))) {
+      form.append(key, value);
+    }
+
+    return this._stored(await this._request(`${resource.resource_type}/rename`, form));
+  }
+
+  async get(url) {
+    const response = await this._download(url);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async getStream(url) {
+    const response = await this._download(url);
+    return Readable.fromWeb(response.body);
+  }
+
+  async exists(url) {
+    try {
+      await this.head(url);
+      return true;
+    } catch (err) {
+      if (err.status === 404) return false;
+      throw err;
+    }
+  }
+
+  async head(url) {
+    const resource = await this._findResource(url);
+
+    return {
+      key: resource.public_id,
+      size: resource.bytes,
+      type: mime.lookup(resource.format || resource.public_id) || 'application/octet-stream',
+      lastModified: new Date(resource.created_at),
+      metadata: resource.context?.custom || {}
+    };
+  }
+
+  async list(prefix = '', options = {}) {
+    const { limit = 100, token } = options;
+
+    // The Search API covers images, videos and raw files in one listing
+    const result = await this._adminRequest('resources/search', {
+      expression: `public_id:${prefix.replace(/([\s:"'()])/g, '\\$1')}*`,
+      sort_by: [{ public_id: 'asc' }],
+      max_results: limit,
+      ...(token ? { next_cursor: token } : {})
+    });
+
+    return {
+      items: (result.resources || []).map(resource => ({
+        key: resource.public_id,
+        size: resource.bytes,
+        lastModified: new Date(resource.created_at),
+        url: resource.type === 'authenticated' ? null : resource.secure_url
+      })),
+      token: result.next_cursor || null
+    };
+  }
+
+  /**
+   * Create an expiring private download URL
+   * @param {string} url - File URL or public ID
+   * @param {Object} options - { expiresIn (seconds), disposition }
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(url, options = {}) {
+    const { expiresIn = 3600, disposition = '' } = options;
+    const resource = await this._findResource(url);
+
+    const params = this._sign({
+      public_id: resource.public_id,
+      type: resource.type,
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+      attachment: disposition.startsWith('attachment'),
+      ...(resource.resource_type !== 'raw' ? { format: resource.format } : {})
+    });
+
+    return `${this.apiUrl}/${this.cloudName}/${resource.resource_type}/download?${new URLSearchParams(params)}`;
+  }
+
+  /**
+   * Map a MIME type to a Cloudinary resource type
+   * @param {string} mimetype - File MIME type
+   * @returns {string} 'image', 'video' (also used for audio) or 'raw'
+   */
+  resourceTypeFor(mimetype = '') {
+    if (mimetype.startsWith('image/')) return 'image';
+    if (mimetype.startsWith('video/') || mimetype.startsWith('audio/')) return 'video';
+    return 'raw';
+  }
+
+  /**
+   * Whether a URL is a delivery URL of this cloud
+   * @param {string} url - File URL
+   * @returns {boolean}
+   */
+  ownsUrl(url) {
+    return /^https?:\/\/res\.cloudinary\.com\//.test(url) && url.split('/')[3] === this.cloudName;
+  }
+
+  /**
+   * Extract the public ID from a URL produced by upload()
+   * @param {string} url - File URL (or bare public ID)
+   * @returns {string} Public ID
+   */
+  keyFromUrl(url) {
+    return this._parseUrl(url).publicId;
+  }
+
+  _stored(resource) {
+    const isPrivate = resource.type === 'authenticated';
+
+    return {
+      url: isPrivate ? null : resource.secure_url,
+      key: resource.public_id,
+      publicId: resource.public_id,
+      name: resource.public_id.split('/').pop(),
+      size: resource.bytes,
+      type: mime.lookup(resource.format || resource.public_id) || 'application/octet-stream',
+      width: resource.width,
+      height: resource.height,
+      format: resource.format,
+      resourceType: resource.resource_type,
+      visibility: isPrivate ? 'private' : 'public',
+      provider: 'cloudinary'
+    };
+  }
+
+  /**
+   * Extract public ID, resource type and delivery type from a Cloudinary URL
+   * Bare public IDs come back with resourceType null
+   */
+  _parseUrl(url) {
+    const match = url.match(/\/(image|video|raw)\/(upload|authenticated)\/(?:s--[^/]+--\/)?(?:v\d+\/)?([^?#]+)/);
+
+    if (!match) {
+      if (!url.includes('://')) {
+        return {
+          publicId: url,
+          resourceType: null,
+          type: url.startsWith('private/') ? 'authenticated' : 'upload'
+        };
+      }
+      throw new Error('Invalid Cloudinary URL');
+    }
+
+    const [, resourceType, type, path] = match;
+    const publicId = decodeURIComponent(resourceType === 'raw' ? path : path.replace(/\.[^./]*$/, ''));
+
+    return { publicId, resourceType, type };
+  }
+
+  /**
+   * Look up an asset through the Admin API, trying each resource type for bare public IDs
+   */
+  async _findResource(url) {
+    const { publicId, resourceType, type } = this._parseUrl(url);
+    const candidates = resourceType ? [resourceType] : RESOURCE_TYPES;
+
+    for (const [index, candidate] of candidates.entries()) {
+      try {
+        return await this._adminRequest(`resources/${candidate}/${type}/${publicId}`);
+      } catch (err) {
+        if (err.status !== 404 || index === candidates.length - 1) throw err;
+      }
+    }
+  }
+
+  async _download(url) {
+    // Bare public IDs and private assets are fetched through a short-lived signed URL
+    if (!url.includes('://') || this._parseUrl(url).type === 'authenticated') {
+      url = await this.getSignedUrl(url, { expiresIn: 60 });
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      const err = new Error(`Cloudinary download of ${url} failed (${response.status}): ${response.statusText}`);
+      err.status = response.status;
+      throw err;
+    }
+    return response;
+  }
+
+  async _adminRequest(path, json) {
+    const auth = Buffer.from(`${this.apiKey}:${this.apiSecret}`).toString('base64');
+    const response = await fetch(`${this.apiUrl}/${this.cloudName}/${path}`, {
+      method: json ? 'POST' : 'GET',
+      headers: {
+        Authorization: `Basic ${auth}`,
+        ...(json ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: json ? JSON.stringify(json) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const err = new Error(`Cloudinary ${path} failed (${response.status}): ${data.error?.message || response.statusText}`);
+      err.status = response.status;
+      throw err;
+    }
+
+    return data;
+  }
+
+  /**
+   * Add timestamp, api_key and SHA-1 signature to request params
+   */
+  _sign(params) {
+    const signed = { ...params, timestamp: Math.floor(Date.now() / 1000) };
+
+    const toSign = Object.keys(signed)
+      .sort()
+      .map(key => `${key}=${signed[key]}`)
+      .join('&');
+
+    signed.signature = crypto
+      .createHash('sha1')
+      .update(toSign + this.apiSecret)
+      .digest('hex');
+    signed.api_key = this.apiKey;
+
+    return signed;
+  }
+
+  async _request(path, form) {
+    const response = await fetch(`${this.apiUrl}/${this.cloudName}/${path}`, {
+      method: 'POST',
+      body: form
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || data.error) {
+      const err = new Error(`Cloudinary ${path} failed (${response.status}): ${data.error?.message || response.statusText}`);
+      err.status = response.status;
+      throw err;
+    }
+
+    return data;
+  }
+}
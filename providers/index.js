@@ -2,4 +2,7 @@
 export { default as uploadthing } from './uploadthing.js';
 export { default as s3 } from './s3.js';
 export { default as cloudinary } from './cloudinary.js';
-export { default as supabase } from './supabase.js';
\ No newline at end of file
+export { default as supabase } from './supabase.js';
+export { default as local } from './local.js';
+export { default as memory } from './memory.js';
+export { default as replicated } from './replicated.js';
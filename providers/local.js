@@ -0,0 +1,404 @@
+// Local filesystem provider - for development and self-hosted deployments
+// providers/local.js
+import fs from 'fs';
+import crypto from 'crypto';
+import { join, resolve, dirname, sep } from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import mime from 'mime-types';
+
+// Shared by every instance in this process, so upload URLs verify without a configured secret
+const processSecret = crypto.randomBytes(32).toString('hex');
+
+// Temp files of streams still being written, see _writeStream()
+const PART_FILE = /\.[0-9a-f]{12}\.part$/;
+
+export default class LocalProvider {
+  constructor(config = {}) {
+    this.root = resolve(config.root || process.env.STORAGE_LOCAL_ROOT || join(process.cwd(), 'storage'));
+    this.baseUrl = (config.baseUrl || process.env.STORAGE_LOCAL_BASE_URL || '/uploads').replace(/\/+$/, '');
+    this.secret = config.secret || process.env.STORAGE_LOCAL_SECRET || processSecret;
+  }
+
+  async upload(file, options = {}) {
+    const { originalname, buffer, mimetype, size } = file;
+    const folder = options.folder || 'uploads';
+    const visibility = options.visibility || 'public';
+
+    // Generate unique filename (the static handler only serves private/ through signed URLs),
+    // or use the key the caller asked for
+    const timestamp = Date.now();
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const key = options.key || `${visibility === 'private' ? 'private/' : ''}${folder}/${timestamp}-${safeName}`;
+
+    const filePath = this.resolveKey(key);
+    await fs.promises.mkdir(dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return {
+      url: this.urlFor(key),
+      key,
+      name: originalname,
+      size,
+      type: mimetype,
+      visibility,
+      provider: 'local'
+    };
+  }
+
+  /**
+   * Stream a file straight to disk
+   * @param {Readable} stream - File contents
+   * @param {Object} file - { originalname, mimetype }
+   * @param {Object} options - Upload options
+   * @returns {Promise<Object>} Upload result
+   */
+  async uploadStream(stream, file, options = {}) {
+    const { originalname, mimetype } = file;
+    const folder = options.folder || 'uploads';
+    const visibility = options.visibility || 'public';
+
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const key = options.key || `${visibility === 'private' ? 'private/' : ''}${folder}/${Date.now()}-${safeName}`;
+
+    await this._writeStream(key, stream);
+
+    return {
+      url: this.urlFor(key),
+      key,
+      name: originalname,
+      type: mimetype,
+      visibility,
+      provider: 'local'
+    };
+  }
+
+  /**
+   * Create a signed PUT URL served by createLocalStaticHandler
+   * @param {Object} file - { originalname, mimetype, size }
+   * @param {Object} options - { folder, visibility, expiresIn (seconds) }
+   * @returns {Promise<Object>} { uploadUrl, method, headers, key }
+   */
+  async createUploadUrl(file, options = {}) {
+    const { originalname, mimetype, size } = file;
+    const folder = options.folder || 'uploads';
+
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const key = options.key || `${options.visibility === 'private' ? 'private/' : ''}${folder}/${Date.now()}-${safeName}`;
+    this.resolveKey(key);
+
+    const expires = Date.now() + (options.expiresIn || 900) * 1000;
+    const params = new URLSearchParams({
+      expires: String(expires),
+      size: String(size),
+      signature: this._sign(`PUT\n${key}\n${expires}\n${mimetype}\n${size}`)
+    });
+
+    return {
+      uploadUrl: `${this.baseUrl}/${key}?${params}`,
+      method: 'PUT',
+      headers: { 'Content-Type': mimetype },
+      key
+    };
+  }
+
+  /**
+   * Check the query parameters of a PUT to an upload URL
+   * @param {string} key - Storage key being written
+   * @param {URLSearchParams} params - Query parameters of the request
+   * @param {string} contentType - Content-Type header of the request
+   * @returns {number} Declared size in bytes
+   */
+  verifyUploadUrl(key, params, contentType) {
+    const expires = Number(params.get('expires'));
+    const size = Number(params.get('size'));
+    const signature = params.get('signature') || '';
+
+    if (!this._verify(signature, `PUT\n${key}\n${expires}\n${contentType}\n${size}`)) {
+      throw new Error('Invalid upload signature');
+    }
+    if (Date.now() > expires) {
+      throw new Error('Upload URL expired');
+    }
+
+    return size;
+  }
+
+  /**
+   * Write an incoming stream to a key, refusing more than maxSize bytes
+   * @param {string} key - Storage key
+   * @param {Readable} stream - Request body
+   * @param {number} maxSize - Maximum number of bytes accepted
+   */
+  async receiveUpload(key, stream, maxSize) {
+    let received = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        callback(received > maxSize ? new Error('Upload exceeds declared size') : null, chunk);
+      }
+    });
+
+    stream.on('error', err => limit.destroy(err));
+    await this._writeStream(key, stream.pipe(limit));
+  }
+
+  async confirmUpload(key, file = {}) {
+    const { size, type } = await this.head(key);
+
+    return {
+      url: this.urlFor(key),
+      key,
+      name: file.originalname,
+      size,
+      type: file.mimetype || type,
+      visibility: key.startsWith('private/') ? 'private' : 'public',
+      provider: 'local'
+    };
+  }
+
+  /**
+   * Create an expiring URL served by createLocalStaticHandler
+   * @param {string} url - File URL or key
+   * @param {Object} options - { expiresIn (seconds), disposition }
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(url, options = {}) {
+    const { expiresIn = 3600, disposition = '' } = options;
+    const key = this.keyFromUrl(url);
+    const expires = Date.now() + expiresIn * 1000;
+
+    const params = new URLSearchParams({ expires: String(expires) });
+    if (disposition) params.set('disposition', disposition);
+    params.set('signature', this._sign(`GET\n${key}\n${expires}\n${disposition}`));
+
+    return `${this.baseUrl}/${key}?${params}`;
+  }
+
+  /**
+   * Check the query parameters of a GET to a signed URL
+   * @param {string} key - Storage key being read
+   * @param {URLSearchParams} params - Query parameters of the request
+   * @returns {boolean} Whether the URL is validly signed and unexpired
+   */
+  verifySignedUrl(key, params) {
+    const expires = Number(params.get('expires'));
+    const disposition = params.get('disposition') || '';
+
+    return this._verify(params.get('signature') || '', `GET\n${key}\n${expires}\n${disposition}`) &&
+      Date.now() <= expires;
+  }
+
+  /**
+   * Copy a file to another key (an existing file there is replaced)
+   * @param {string} from - File URL or key
+   * @param {string} to - Destination key
+   * @returns {Promise<Object>} Result for the copy, same shape as upload()
+   */
+  async copy(from, to) {
+    const target = this.resolveKey(to);
+    await fs.promises.mkdir(dirname(target), { recursive: true });
+    await fs.promises.copyFile(this._resolveExisting(from), target);
+    return this._stored(to);
+  }
+
+  /**
+   * Move a file to another key (an existing file there is replaced)
+   * @param {string} from - File URL or key
+   * @param {string} to - Destination key
+   * @returns {Promise<Object>} Result for the moved file, same shape as upload()
+   */
+  async move(from, to) {
+    const target = this.resolveKey(to);
+    await fs.promises.mkdir(dirname(target), { recursive: true });
+    await fs.promises.rename(this._resolveExisting(from), target);
+    return this._stored(to);
+  }
+
+  async delete(url) {
+    try {
+      await fs.promises.unlink(this._resolveExisting(url));
+    } catch (err) {
+      // Deleting a missing file is a no-op, same as S3
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  async get(url) {
+    return fs.promises.readFile(this._resolveExisting(url));
+  }
+
+  async getStream(url) {
+    const filePath = this._resolveExisting(url);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  }
+
+  async exists(url) {
+    try {
+      const stats = await fs.promises.stat(this._resolveExisting(url));
+      return stats.isFile();
+    } catch {
+      return false;
+    }
+  }
+
+  async head(url) {
+    const key = this.keyFromUrl(url);
+    const stats = await fs.promises.stat(this.resolveKey(key));
+
+    return {
+      key,
+      size: stats.size,
+      type: mime.lookup(key) || 'application/octet-stream',
+      lastModified: stats.mtime,
+      metadata: {}
+    };
+  }
+
+  async list(prefix = '', options = {}) {
+    const { limit = 100, token } = options;
+
+    // Only walk the directory the prefix points into
+    const dir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const keys = (await this._walk(dir))
+      .filter(key => key.startsWith(prefix) && (!token || key > token))
+      .sort();
+    const pageKeys = keys.slice(0, limit);
+
+    const items = await Promise.all(pageKeys.map(async key => {
+      const stats = await fs.promises.stat(this.resolveKey(key));
+      return {
+        key,
+        size: stats.size,
+        lastModified: stats.mtime,
+        url: this.urlFor(key)
+      };
+    }));
+
+    // Token is the last key of the previous page
+    return {
+      items,
+      token: keys.length > limit ? pageKeys[pageKeys.length - 1] : null
+    };
+  }
+
+  async _walk(dir) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir ? this.resolveKey(dir) : this.root, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const keys = [];
+    for (const entry of entries) {
+      const key = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        keys.push(...await this._walk(key));
+      } else if (entry.isFile() && !PART_FILE.test(entry.name)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  async _stored(key) {
+    const { size, type } = await this.head(key);
+
+    return {
+      url: this.urlFor(key),
+      key,
+      name: key.split('/').pop(),
+      size,
+      type,
+      visibility: key.startsWith('private/') ? 'private' : 'public',
+      provider: 'local'
+    };
+  }
+
+  // Write through a temp file so readers never see a partial upload
+  async _writeStream(key, stream) {
+    const filePath = this.resolveKey(key);
+    const partPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.part`;
+    await fs.promises.mkdir(dirname(filePath), { recursive: true });
+
+    try {
+      await pipeline(stream, fs.createWriteStream(partPath));
+      await fs.promises.rename(partPath, filePath);
+    } catch (err) {
+      await fs.promises.rm(partPath, { force: true });
+      throw err;
+    }
+  }
+
+  /**
+   * Build the URL for a key
+   * @param {string} key - Storage key
+   * @returns {string|null} File URL, null for private files
+   */
+  urlFor(key) {
+    return key.startsWith('private/') ? null : `${this.baseUrl}/${key}`;
+  }
+
+  _sign(value) {
+    return crypto.createHmac('sha256', this.secret).update(value).digest('hex');
+  }
+
+  _verify(signature = '', value) {
+    const expected = this._sign(value);
+    return signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  _resolveExisting(url) {
+    const key = this.keyFromUrl(url);
+    if (!key) throw new Error('Could not extract key from URL');
+    return this.resolveKey(key);
+  }
+
+  /**
+   * Whether a URL was built from this provider's base URL
+   * @param {string} url - File URL
+   * @returns {boolean}
+   */
+  ownsUrl(url) {
+    return url.startsWith(`${this.baseUrl}/`);
+  }
+
+  /**
+   * Extract the storage key from a URL produced by upload()
+   * @param {string} url - File URL (or bare key)
+   * @returns {string} Storage key
+   */
+  keyFromUrl(url) {
+    if (url.startsWith(`${this.baseUrl}/`)) {
+      return decodeURIComponent(url.slice(this.baseUrl.length + 1));
+    }
+
+    if (/^https?:\/\//.test(url)) {
+      // Base URL may be relative ('/uploads') while the stored URL is absolute
+      const { pathname } = new URL(url);
+      const basePath = this.baseUrl.startsWith('/') ? this.baseUrl : new URL(this.baseUrl).pathname;
+      const path = pathname.startsWith(`${basePath}/`) ? pathname.slice(basePath.length + 1) : pathname.substring(1);
+      return decodeURIComponent(path);
+    }
+
+    // Treat anything else as a key
+    return url.replace(/^\/+/, '');
+  }
+
+  /**
+   * Resolve a key to an absolute path, refusing anything outside the root
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  resolveKey(key) {
+    const filePath = resolve(this.root, key);
+    if (!filePath.startsWith(this.root + sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+}
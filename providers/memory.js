@@ -0,0 +1,268 @@
+// In-memory provider - for tests, nothing leaves the process
+// providers/memory.js
+import { Readable } from 'stream';
+
+export default class MemoryProvider {
+  constructor(config = {}) {
+    this.baseUrl = (config.baseUrl || 'memory://storage').replace(/\/+$/, '');
+    this.files = new Map();
+    this.calls = { upload: [], delete: [] };
+    this.pendingUploads = new Map();
+  }
+
+  async upload(file, options = {}) {
+    const { originalname, buffer, mimetype, size } = file;
+    const folder = options.folder || 'uploads';
+    const visibility = options.visibility || 'public';
+
+    // Counter keeps keys unique even within the same millisecond
+    const timestamp = Date.now();
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const key = options.key || `${visibility === 'private' ? 'private/' : ''}${folder}/${timestamp}-${this.calls.upload.length}-${safeName}`;
+
+    this.calls.upload.push({ file, options });
+    this.files.set(key, {
+      buffer: Buffer.from(buffer),
+      name: originalname,
+      size: size ?? buffer.length,
+      type: mimetype,
+      metadata: options.metadata || {},
+      uploadedAt: new Date()
+    });
+
+    return {
+      url: this.urlFor(key),
+      key,
+      name: originalname,
+      size,
+      type: mimetype,
+      visibility,
+      provider: 'memory'
+    };
+  }
+
+  async uploadStream(stream, file, options = {}) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    const buffer = Buffer.concat(chunks);
+
+    return this.upload({ ...file, buffer, size: buffer.length }, options);
+  }
+
+  async createUploadUrl(file, options = {}) {
+    const { originalname, mimetype } = file;
+    const folder = options.folder || 'uploads';
+
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const key = options.key || `${options.visibility === 'private' ? 'private/' : ''}${folder}/${Date.now()}-${this.pendingUploads.size}-${safeName}`;
+
+    this.pendingUploads.set(key, { file, options });
+
+    return {
+      uploadUrl: `${this.baseUrl}/${key}`,
+      method: 'PUT',
+      headers: { 'Content-Type': mimetype },
+      key
+    };
+  }
+
+  /**
+   * Simulate the client sending a file to a URL from createUploadUrl()
+   * @param {string} uploadUrl - Upload URL or key
+   * @param {Buffer|string} content - File contents
+   * @param {string} contentType - Content type sent by the client
+   */
+  receiveUpload(uploadUrl, content, contentType) {
+    const key = this.keyFromUrl(uploadUrl);
+    const pending = this.pendingUploads.get(key);
+    if (!pending) throw new Error(`No pending upload for ${key}`);
+
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    this.pendingUploads.delete(key);
+    this.files.set(key, {
+      buffer,
+      name: pending.file.originalname,
+      size: buffer.length,
+      type: contentType || pending.file.mimetype,
+      metadata: pending.options.metadata || {},
+      uploadedAt: new Date()
+    });
+  }
+
+  async confirmUpload(key, file = {}) {
+    const { size, type } = await this.head(key);
+
+    return {
+      url: this.urlFor(key),
+      key,
+      name: file.originalname,
+      size,
+      type,
+      visibility: key.startsWith('private/') ? 'private' : 'public',
+      provider: 'memory'
+    };
+  }
+
+  async getSignedUrl(url, options = {}) {
+    const { expiresIn = 3600, disposition } = options;
+    const key = this.keyFromUrl(url);
+    this._find(key);
+
+    const params = new URLSearchParams({ expires: String(Date.now() + expiresIn * 1000) });
+    if (disposition) params.set('disposition', disposition);
+
+    return `${this.baseUrl}/${key}?${params}`;
+  }
+
+  async copy(from, to) {
+    const stored = this._find(from);
+    this.files.set(to, { ...stored, buffer: Buffer.from(stored.buffer), metadata: { ...stored.metadata } });
+    return this._stored(to);
+  }
+
+  async move(from, to) {
+    const result = await this.copy(from, to);
+    if (this.keyFromUrl(from) !== to) {
+      this.files.delete(this.keyFromUrl(from));
+    }
+    return result;
+  }
+
+  async delete(url) {
+    this.calls.delete.push(url);
+    this.files.delete(this.keyFromUrl(url));
+  }
+
+  async get(url) {
+    return Buffer.from(this._find(url).buffer);
+  }
+
+  async getStream(url) {
+    return Readable.from([this._find(url).buffer]);
+  }
+
+  async exists(url) {
+    return this.has(url);
+  }
+
+  async head(url) {
+    const stored = this._find(url);
+
+    return {
+      key: this.keyFromUrl(url),
+      size: stored.size,
+      type: stored.type,
+      lastModified: stored.uploadedAt,
+      metadata: { ...stored.metadata }
+    };
+  }
+
+  async list(prefix = '', options = {}) {
+    const { limit = 100, token } = options;
+
+    // Token is the last key of the previous page
+    const keys = this.keys(prefix)
+      .sort()
+      .filter(key => !token || key > token);
+    const pageKeys = keys.slice(0, limit);
+
+    return {
+      items: pageKeys.map(key => ({
+        key,
+        size: this.files.get(key).size,
+        lastModified: this.files.get(key).uploadedAt,
+        url: this.urlFor(key)
+      })),
+      token: keys.length > limit ? pageKeys[pageKeys.length - 1] : null
+    };
+  }
+
+  _stored(key) {
+    const stored = this.files.get(key);
+
+    return {
+      url: this.urlFor(key),
+      key,
+      name: stored.name,
+      size: stored.size,
+      type: stored.type,
+      visibility: key.startsWith('private/') ? 'private' : 'public',
+      provider: 'memory'
+    };
+  }
+
+  _find(url) {
+    const stored = this.getFile(url);
+    if (!stored) {
+      const err = new Error(`File not found: ${url}`);
+      err.status = 404;
+      throw err;
+    }
+    return stored;
+  }
+
+  /**
+   * Whether a URL was built from this store's base URL
+   * @param {string} url - File URL
+   * @returns {boolean}
+   */
+  ownsUrl(url) {
+    return url.startsWith(`${this.baseUrl}/`);
+  }
+
+  /**
+   * Extract the storage key from a URL produced by upload()
+   * @param {string} url - File URL (or bare key)
+   * @returns {string} Storage key
+   */
+  keyFromUrl(url) {
+    const key = url.startsWith(`${this.baseUrl}/`) ? url.slice(this.baseUrl.length + 1) : url;
+    return key.split('?')[0];
+  }
+
+  /**
+   * Build the URL for a key
+   * @param {string} key - Storage key
+   * @returns {string|null} File URL, null for private files
+   */
+  urlFor(key) {
+    return key.startsWith('private/') ? null : `${this.baseUrl}/${key}`;
+  }
+
+  /**
+   * List stored keys, optionally under a folder prefix
+   * @param {string} prefix - Key prefix (e.g. 'product/42')
+   * @returns {string[]} Stored keys
+   */
+  keys(prefix = '') {
+    return [...this.files.keys()].filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Retrieve a stored file by URL or key
+   * @param {string} url - File URL or key
+   * @returns {Object|null} Stored file ({ buffer, name, size, type, metadata, uploadedAt })
+   */
+  getFile(url) {
+    return this.files.get(this.keyFromUrl(url)) || null;
+  }
+
+  /**
+   * Check whether a file is stored for a URL or key
+   * @param {string} url - File URL or key
+   * @returns {boolean}
+   */
+  has(url) {
+    return this.files.has(this.keyFromUrl(url));
+  }
+
+  /**
+   * Clear stored files and recorded calls
+   */
+  reset() {
+    this.files.clear();
+    this.pendingUploads.clear();
+    this.calls.upload.length = 0;
+    this.calls.delete.length = 0;
+  }
+}
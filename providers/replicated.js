@@ -0,0 +1,422 @@
+// Replicated provider - stores every file on a primary provider and mirrors it to a secondary,
+// so uploads, reads and deletes keep working while one of them is down
+// providers/replicated.js
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { dirname, join } from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import * as providers from './index.js';
+import { ConfigError } from '../lib/errors.js';
+
+const SIDES = ['primary', 'secondary'];
+
+export default class ReplicatedProvider {
+  /**
+   * @param {Object} config - Storage config with the `replicated` section merged in:
+   *   primary, secondary: provider name (settings from its own section, e.g. config.s3) or { provider, ...settings }
+   *   mode: 'sync' to mirror before the upload resolves (default), 'async' to mirror from a background queue
+   *   failover: store on the secondary when the primary upload fails (default true)
+   *   index: JSON file remembering where each file's replica is (or STORAGE_REPLICA_INDEX),
+   *     or an object with async get(key), set(key, entry), delete(key) and entries()
+   */
+  constructor(config = {}) {
+    if (!config.primary || !config.secondary) {
+      throw new ConfigError('Replicated storage needs a primary and a secondary provider', { provider: 'replicated' });
+    }
+
+    this.sides = {
+      primary: createProvider(config, config.primary),
+      secondary: createProvider(config, config.secondary)
+    };
+    this.mode = config.mode || 'sync';
+    this.failover = config.failover !== false;
+    // Required: reconcile() only knows which replicas are missing from the index, it has to outlive the process
+    const index = config.index || process.env.STORAGE_REPLICA_INDEX;
+    if (!index) {
+      throw new ConfigError('Replicated storage needs an index, e.g. replicated.index: \'./data/replicas.json\'', { provider: 'replicated' });
+    }
+    this.index = typeof index === 'object' ? index : new ReplicaIndex(index);
+    this.queue = Promise.resolve();
+  }
+
+  async upload(file, options = {}) {
+    const { side, result } = await this._write(target => target.upload(file, options));
+    await this._replicate(side, result, file, options, () => Readable.from([file.buffer]));
+    return result;
+  }
+
+  async uploadStream(stream, file, options = {}) {
+    // Spooled to disk first: a failed primary upload can be retried on the secondary,
+    // and the mirror doesn't have to read the file back
+    const spool = join(os.tmpdir(), `semantq-replica-${crypto.randomBytes(8).toString('hex')}`);
+    try {
+      await pipeline(stream, fs.createWriteStream(spool));
+      const open = () => fs.createReadStream(spool);
+
+      const { side, result } = await this._write(target => writeStream(target, open(), file, options));
+      await this._replicate(side, result, file, options, open);
+      return result;
+    } finally {
+      await fs.promises.rm(spool, { force: true });
+    }
+  }
+
+  /**
+   * Direct uploads go to the primary; the file is mirrored once the upload is confirmed
+   */
+  async createUploadUrl(file, options = {}) {
+    return this._direct().createUploadUrl(file, options);
+  }
+
+  async confirmUpload(key, file = {}) {
+    const result = await this._direct().confirmUpload(key, file);
+    const { folder, visibility } = placement(result.key);
+    await this._replicate('primary', result, file, { folder, visibility }, () => this.sides.primary.getStream(result.key));
+    return result;
+  }
+
+  /**
+   * Copy a file, read from whichever side has it, to a key on the primary (the secondary on failover),
+   * and mirror the copy like an upload
+   */
+  async copy(from, to) {
+    const { type, metadata } = await this.head(from);
+    const { name, folder, visibility } = placement(to);
+    const stream = await this.getStream(from);
+    return this.uploadStream(stream, { originalname: name, mimetype: type }, { key: to, folder, visibility, metadata });
+  }
+
+  async move(from, to) {
+    const result = await this.copy(from, to);
+    await this.delete(from);
+    return result;
+  }
+
+  /**
+   * Delete a file and its replica
+   * If one side fails the file is still removed from the other, and reconcile() retries the rest
+   */
+  async delete(url) {
+    const { side, key, entry } = await this._locate(url);
+    const failures = [];
+
+    await this.sides[side].delete(url).catch(err => failures.push(err));
+    if (entry?.replica) {
+      await this.sides[otherSide(side)].delete(entry.replica).catch(err => failures.push(err));
+    }
+
+    if (failures.length === 0) {
+      await this.index.delete(key);
+      return;
+    }
+    if (failures.length === (entry?.replica ? 2 : 1)) {
+      throw failures[0];
+    }
+    await this.index.set(key, { ...entry, side, deleted: true });
+  }
+
+  async get(url) {
+    return this._read(url, (provider, ref) => provider.get(ref));
+  }
+
+  async getStream(url) {
+    return this._read(url, (provider, ref) => provider.getStream(ref));
+  }
+
+  async exists(url) {
+    return this._read(url, (provider, ref) => provider.exists(ref));
+  }
+
+  async head(url) {
+    return this._read(url, (provider, ref) => provider.head(ref));
+  }
+
+  async getSignedUrl(url, options = {}) {
+    return this._read(url, (provider, ref) => provider.getSignedUrl(ref, options));
+  }
+
+  /**
+   * List the primary's files, or the secondary's (with the replicas' keys) when the primary is down
+   */
+  async list(prefix = '', options = {}) {
+    const { side = 'primary', token } = options.token || {};
+
+    let page;
+    try {
+      page = await this.sides[side].list(prefix, { limit: options.limit, token });
+    } catch (err) {
+      if (side !== 'primary' || token !== undefined) throw err;
+      return this.list(prefix, { ...options, token: { side: 'secondary' } });
+    }
+
+    return {
+      items: page.items,
+      token: page.token != null ? { side, token: page.token } : null
+    };
+  }
+
+  ownsUrl(url) {
+    return SIDES.some(side => this.sides[side].ownsUrl?.(url));
+  }
+
+  keyFromUrl(url) {
+    const provider = this.sides[this._owner(url) || 'primary'];
+    return typeof provider.keyFromUrl === 'function' ? provider.keyFromUrl(url) : url;
+  }
+
+  /**
+   * Wait for the background queue (async mode), e.g. before shutting down
+   * Mirrors that failed stay in the index for reconcile()
+   */
+  async drain() {
+    await this.queue;
+  }
+
+  /**
+   * Bring both sides back in line: mirror files that have no replica yet (failed or queued mirrors,
+   * uploads that failed over), finish deletes that only went through on one side,
+   * and re-create replicas that went missing
+   * @param {Object} options - { dryRun, scan (also mirror primary files the index doesn't know, default true), prefix }
+   * @returns {Promise<Object>} { mirrored, deleted, failed: [{ key, error }], dryRun }
+   */
+  async reconcile(options = {}) {
+    const { dryRun = false, scan = true, prefix = '' } = options;
+    const report = { dryRun, mirrored: [], deleted: [], failed: [] };
+    const entries = await this.index.entries();
+
+    for (const [key, entry] of entries) {
+      try {
+        if (entry.deleted) {
+          if (!dryRun) await this._finishDelete(key, entry);
+          report.deleted.push(key);
+        } else if (!entry.replica || !await this.sides[otherSide(entry.side)].exists(entry.replica)) {
+          if (!dryRun) await this._mirror(key, entry);
+          report.mirrored.push(key);
+        }
+      } catch (err) {
+        report.failed.push({ key, error: err.message });
+      }
+    }
+
+    if (!scan) return report;
+
+    // Files stored before replication was set up (or behind the index's back)
+    const known = new Set((await this.index.entries()).flatMap(([key, entry]) => [
+      entry.side === 'primary' ? key : null,
+      entry.side === 'secondary' ? entry.replica : null
+    ]));
+    let token;
+    do {
+      const page = await this.sides.primary.list(prefix, { token });
+      token = page.token;
+
+      for (const item of page.items.filter(item => !known.has(item.key))) {
+        try {
+          if (!dryRun) await this._mirror(item.key, await this._untracked(item.key));
+          report.mirrored.push(item.key);
+        } catch (err) {
+          report.failed.push({ key: item.key, error: err.message });
+        }
+      }
+    } while (token != null);
+
+    return report;
+  }
+
+  // Store on the primary, or on the secondary when the primary fails and failover is on
+  async _write(store) {
+    try {
+      return { side: 'primary', result: await store(this.sides.primary) };
+    } catch (err) {
+      if (!this.failover) throw err;
+      return { side: 'secondary', result: await store(this.sides.secondary) };
+    }
+  }
+
+  async _replicate(side, result, file, options, open) {
+    const entry = {
+      side,
+      replica: null,
+      file: { originalname: file.originalname, mimetype: file.mimetype },
+      options: { folder: options.folder, visibility: options.visibility, metadata: options.metadata }
+    };
+    await this.index.set(result.key, entry);
+
+    // A failed-over upload waits for reconcile(), the primary just failed
+    if (side === 'secondary') return;
+
+    if (this.mode === 'async') {
+      this._enqueue(result.key);
+      return;
+    }
+
+    // The file is safe on the primary; a mirror that fails stays pending for reconcile()
+    await this._mirror(result.key, entry, open).catch(() => {});
+  }
+
+  async _mirror(key, entry, open = () => this.sides[entry.side].getStream(key)) {
+    const target = this.sides[otherSide(entry.side)];
+    const replica = await writeStream(target, await open(), entry.file, entry.options);
+
+    // Deleted while the mirror was in flight
+    const current = await this.index.get(key);
+    if (!current || current.deleted) {
+      await target.delete(replica.key).catch(() => {});
+      return;
+    }
+    await this.index.set(key, { ...entry, replica: replica.key });
+  }
+
+  _enqueue(key) {
+    this.queue = this.queue
+      .then(async () => {
+        const entry = await this.index.get(key);
+        if (entry && !entry.replica && !entry.deleted) {
+          await this._mirror(key, entry);
+        }
+      })
+      .catch(() => {});
+  }
+
+  async _finishDelete(key, entry) {
+    await this.sides[entry.side].delete(key);
+    if (entry.replica) {
+      await this.sides[otherSide(entry.side)].delete(entry.replica);
+    }
+    await this.index.delete(key);
+  }
+
+  // Index entry for a primary file uploaded without going through this provider
+  async _untracked(key) {
+    const { type } = await this.sides.primary.head(key);
+    const { name, folder, visibility } = placement(key);
+
+    const entry = {
+      side: 'primary',
+      replica: null,
+      file: { originalname: name, mimetype: type },
+      options: { folder, visibility }
+    };
+    await this.index.set(key, entry);
+    return entry;
+  }
+
+  // Read from the side that holds the file, falling back to its replica
+  async _read(url, read) {
+    const { side, entry } = await this._locate(url);
+
+    try {
+      return await read(this.sides[side], url);
+    } catch (err) {
+      if (!entry?.replica) throw err;
+      return read(this.sides[otherSide(side)], entry.replica);
+    }
+  }
+
+  async _locate(url) {
+    const key = this.keyFromUrl(url);
+    const entry = await this.index.get(key);
+    return { side: this._owner(url) || entry?.side || 'primary', key, entry };
+  }
+
+  _owner(url) {
+    return SIDES.find(side => this.sides[side].ownsUrl?.(url));
+  }
+
+  // The primary, when it can take direct uploads; there is no failover for a URL the client already has
+  _direct() {
+    const { primary } = this.sides;
+    if (typeof primary.createUploadUrl !== 'function' || typeof primary.confirmUpload !== 'function') {
+      throw new ConfigError('The replicated primary does not support direct uploads', { provider: 'replicated' });
+    }
+    return primary;
+  }
+}
+
+function otherSide(side) {
+  return side === 'primary' ? 'secondary' : 'primary';
+}
+
+// File name, folder and visibility of a key, to store a file (or its replica) in the same place
+function placement(key) {
+  const visibility = key.startsWith('private/') ? 'private' : 'public';
+  const path = visibility === 'private' ? key.slice('private/'.length) : key;
+  const slash = path.lastIndexOf('/');
+  return { name: path.slice(slash + 1), folder: slash > 0 ? path.slice(0, slash) : undefined, visibility };
+}
+
+function createProvider(config, spec) {
+  const { provider: name, ...settings } = typeof spec === 'string' ? { provider: spec } : spec;
+  const Provider = providers[name];
+
+  if (!Provider || name === 'replicated') {
+    throw new ConfigError(`Provider "${name}" can't be replicated. Available: ${Object.keys(providers).filter(p => p !== 'replicated').join(', ')}`, {
+      provider: name
+    });
+  }
+  return new Provider({ ...config, ...config[name], ...settings });
+}
+
+async function writeStream(provider, stream, file, options) {
+  if (typeof provider.uploadStream === 'function') {
+    return provider.uploadStream(stream, file, options);
+  }
+
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  const buffer = Buffer.concat(chunks);
+  return provider.upload({ ...file, buffer, size: buffer.length }, options);
+}
+
+/**
+ * Default replica index: one JSON file, kept in memory and rewritten after every change
+ */
+class ReplicaIndex {
+  constructor(path) {
+    this.path = path;
+    this.data = null;
+    this.writing = Promise.resolve();
+  }
+
+  async get(key) {
+    return (await this._load())[key] || null;
+  }
+
+  async set(key, entry) {
+    (await this._load())[key] = entry;
+    return this._save();
+  }
+
+  async delete(key) {
+    delete (await this._load())[key];
+    return this._save();
+  }
+
+  async entries() {
+    return Object.entries(await this._load());
+  }
+
+  async _load() {
+    if (!this.data) {
+      try {
+        this.data = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        this.data = {};
+      }
+    }
+    return this.data;
+  }
+
+  // Writes are chained so the latest state always lands last, through a temp file so a crash never leaves half of it
+  _save() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(dirname(this.path), { recursive: true });
+      await fs.promises.writeFile(`${this.path}.tmp`, JSON.stringify(this.data));
+      await fs.promises.rename(`${this.path}.tmp`, this.path);
+    });
+    return this.writing;
+  }
+}
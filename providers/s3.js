@@ -1,6 +1,19 @@
 //providers/s3.js
-import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import {
+  S3Client,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { Upload } from '@aws-sdk/lib-storage';
 
 export default class S3Provider {
   constructor(config = {}) {
@@ -14,59 +27,398 @@ export default class S3Provider {
     
     this.bucket = config.bucket || process.env.AWS_S3_BUCKET;
     this.cdnUrl = config.cdnUrl || process.env.AWS_CDN_URL;
+    
+    // Multipart settings for streamed uploads: at most queueSize * partSize bytes are buffered
+    this.partSize = config.partSize || 5 * 1024 * 1024;
+    this.queueSize = config.queueSize || 4;
   }
   
   async upload(file, options = {}) {
     const { originalname, buffer, mimetype, size } = file;
     const folder = options.folder || 'uploads';
+    const visibility = options.visibility || 'public';
     
-    // Generate unique filename
+    // Generate unique filename (private files live under private/, keep it out of any public bucket policy)
+    // unless the caller picked the key, e.g. a content-addressed one
     const timestamp = Date.now();
     const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-    const key = `${folder}/${timestamp}-${safeName}`;
+    const key = options.key || `${visibility === 'private' ? 'private/' : ''}${folder}/${timestamp}-${safeName}`;
     
     await this.s3.send(new PutObjectCommand({
       Bucket: this.bucket,
       Key: key,
       Body: buffer,
       ContentType: mimetype,
-      Metadata: options.metadata || {}
+      Metadata: stringMetadata(options.metadata)
     }));
     
-    // Generate URL (CDN if configured, otherwise S3 direct)
-    const url = this.cdnUrl 
-      ? `${this.cdnUrl}/${key}`
-      : `https://${this.bucket}.s3.amazonaws.com/${key}`;
-    
     return {
-      url,
+      url: this.urlFor(key),
       key,
       name: originalname,
       size,
       type: mimetype,
+      visibility,
+      provider: 's3'
+    };
+  }
+  
+  /**
+   * Stream a file to S3 with a multipart upload
+   * @param {Readable} stream - File contents
+   * @param {Object} file - { originalname, mimetype }
+   * @param {Object} options - Upload options
+   * @returns {Promise<Object>} Upload result
+   */
+  async uploadStream(stream, file, options = {}) {
+    const { originalname, mimetype } = file;
+    const folder = options.folder || 'uploads';
+    const visibility = options.visibility || 'public';
+    
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const key = options.key || `${visibility === 'private' ? 'private/' : ''}${folder}/${Date.now()}-${safeName}`;
+    
+    const upload = new Upload({
+      client: this.s3,
+      params: {
+        Bucket: this.bucket,
+        Key: key,
+        Body: stream,
+        ContentType: mimetype,
+        Metadata: stringMetadata(options.metadata)
+      },
+      partSize: this.partSize,
+      queueSize: this.queueSize
+    });
+    await upload.done();
+    
+    return {
+      url: this.urlFor(key),
+      key,
+      name: originalname,
+      type: mimetype,
+      visibility,
+      provider: 's3'
+    };
+  }
+  
+  /**
+   * Start a multipart upload for a file that arrives in pieces (resumable uploads)
+   * @param {Object} file - { originalname, mimetype }
+   * @param {Object} options - { folder, metadata, visibility }
+   * @returns {Promise<Object>} { key, uploadId }
+   */
+  async createMultipartUpload(file, options = {}) {
+    const { originalname, mimetype } = file;
+    const folder = options.folder || 'uploads';
+    
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const key = options.key || `${options.visibility === 'private' ? 'private/' : ''}${folder}/${Date.now()}-${safeName}`;
+    
+    const { UploadId } = await this.s3.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: mimetype,
+      Metadata: stringMetadata(options.metadata)
+    }));
+    
+    return { key, uploadId: UploadId };
+  }
+  
+  /**
+   * Upload one part of a multipart upload (every part but the last must be at least 5MB)
+   * @param {string} key - Object key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {number} partNumber - Part number, starting at 1
+   * @param {Readable|Buffer} body - Part contents
+   * @param {number} size - Part size in bytes
+   * @returns {Promise<Object>} { PartNumber, ETag }, pass these to completeMultipartUpload
+   */
+  async uploadPart(key, uploadId, partNumber, body, size) {
+    const { ETag } = await this.s3.send(new UploadPartCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body,
+      ContentLength: size
+    }));
+    
+    return { PartNumber: partNumber, ETag };
+  }
+  
+  /**
+   * Assemble the uploaded parts into the final object
+   * @param {string} key - Object key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {Object[]} parts - Results of uploadPart, in order
+   * @param {Object} file - { originalname, mimetype, size }
+   * @returns {Promise<Object>} Upload result
+   */
+  async completeMultipartUpload(key, uploadId, parts, file = {}) {
+    await this.s3.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: { Parts: parts }
+    }));
+    
+    return {
+      url: this.urlFor(key),
+      key,
+      name: file.originalname,
+      size: file.size,
+      type: file.mimetype,
+      visibility: key.startsWith('private/') ? 'private' : 'public',
+      provider: 's3'
+    };
+  }
+  
+  async abortMultipartUpload(key, uploadId) {
+    return this.s3.send(new AbortMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId
+    }));
+  }
+  
+  /**
+   * Create a presigned PUT URL so the browser can upload straight to the bucket
+   * @param {Object} file - { originalname, mimetype, size }
+   * @param {Object} options - { folder, metadata, visibility, expiresIn (seconds) }
+   * @returns {Promise<Object>} { uploadUrl, method, headers, key }
+   */
+  async createUploadUrl(file, options = {}) {
+    const { originalname, mimetype, size } = file;
+    const folder = options.folder || 'uploads';
+    
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const key = options.key || `${options.visibility === 'private' ? 'private/' : ''}${folder}/${Date.now()}-${safeName}`;
+    
+    const metadata = stringMetadata(options.metadata);
+    
+    const uploadUrl = await getSignedUrl(this.s3, new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: mimetype,
+      ContentLength: size,
+      Metadata: metadata
+    }), { expiresIn: options.expiresIn || 900 });
+    
+    // Signed headers the client has to send unchanged
+    const headers = { 'Content-Type': mimetype };
+    for (const [name, value] of Object.entries(metadata)) {
+      headers[`x-amz-meta-${name.toLowerCase()}`] = value;
+    }
+    
+    return { uploadUrl, method: 'PUT', headers, key };
+  }
+  
+  /**
+   * Look up an object uploaded through createUploadUrl
+   * @param {string} key - Object key
+   * @param {Object} file - { originalname } as declared when the URL was created
+   * @returns {Promise<Object>} Upload result
+   */
+  async confirmUpload(key, file = {}) {
+    const { size, type } = await this.head(key);
+    
+    return {
+      url: this.urlFor(key),
+      key,
+      name: file.originalname,
+      size,
+      type,
+      visibility: key.startsWith('private/') ? 'private' : 'public',
       provider: 's3'
     };
   }
   
   async delete(url) {
-    // Extract key from URL
+    return this.s3.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.keyFromUrl(url)
+    }));
+  }
+  
+  async get(url) {
+    const { Body } = await this.s3.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.keyFromUrl(url)
+    }));
+    
+    return Buffer.from(await Body.transformToByteArray());
+  }
+  
+  async getStream(url) {
+    const { Body } = await this.s3.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.keyFromUrl(url)
+    }));
+    
+    return Body;
+  }
+  
+  async exists(url) {
+    try {
+      await this.head(url);
+      return true;
+    } catch (err) {
+      if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      throw err;
+    }
+  }
+  
+  async head(url) {
+    const key = this.keyFromUrl(url);
+    const response = await this.s3.send(new HeadObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+    
+    return {
+      key,
+      size: response.ContentLength,
+      type: response.ContentType,
+      lastModified: response.LastModified,
+      metadata: response.Metadata || {}
+    };
+  }
+  
+  async list(prefix = '', options = {}) {
+    const { limit = 100, token } = options;
+    
+    const response = await this.s3.send(new ListObjectsV2Command({
+      Bucket: this.bucket,
+      Prefix: prefix,
+      MaxKeys: limit,
+      ContinuationToken: token
+    }));
+    
+    return {
+      items: (response.Contents || []).map(object => ({
+        key: object.Key,
+        size: object.Size,
+        lastModified: object.LastModified,
+        url: this.urlFor(object.Key)
+      })),
+      token: response.IsTruncated ? response.NextContinuationToken : null
+    };
+  }
+  
+  /**
+   * Copy an object to another key within the bucket (single request, objects up to 5GB)
+   * @param {string} from - File URL or key
+   * @param {string} to - Destination key (an existing object there is replaced)
+   * @returns {Promise<Object>} Result for the copy, same shape as upload()
+   */
+  async copy(from, to) {
+    const source = this.keyFromUrl(from);
+    
+    await this.s3.send(new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: to,
+      CopySource: `${this.bucket}/${source.split('/').map(encodeURIComponent).join('/')}`
+    }));
+    
+    const { size, type } = await this.head(to);
+    return {
+      url: this.urlFor(to),
+      key: to,
+      name: to.split('/').pop(),
+      size,
+      type,
+      visibility: to.startsWith('private/') ? 'private' : 'public',
+      provider: 's3'
+    };
+  }
+  
+  /**
+   * Move an object to another key (S3 has no rename: copy, then delete the original)
+   * @param {string} from - File URL or key
+   * @param {string} to - Destination key
+   * @returns {Promise<Object>} Result for the moved object, same shape as upload()
+   */
+  async move(from, to) {
+    const result = await this.copy(from, to);
+    if (this.keyFromUrl(from) !== to) {
+      await this.delete(from);
+    }
+    return result;
+  }
+  
+  /**
+   * Create a presigned, expiring GET URL
+   * @param {string} url - File URL or key
+   * @param {Object} options - { expiresIn (seconds), disposition }
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(url, options = {}) {
+    const { expiresIn = 3600, disposition } = options;
+    
+    return getSignedUrl(this.s3, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.keyFromUrl(url),
+      ResponseContentDisposition: disposition
+    }), { expiresIn });
+  }
+  
+  /**
+   * Build the public URL for a key (CDN if configured, otherwise S3 direct)
+   * @param {string} key - Object key
+   * @returns {string|null} File URL, null for private files
+   */
+  urlFor(key) {
+    if (key.startsWith('private/')) return null;
+    
+    return this.cdnUrl 
+      ? `${this.cdnUrl}/${key}`
+      : `https://${this.bucket}.s3.amazonaws.com/${key}`;
+  }
+  
+  /**
+   * Whether a URL points into this bucket, directly or through the CDN
+   * @param {string} url - File URL
+   * @returns {boolean}
+   */
+  ownsUrl(url) {
+    if (this.cdnUrl && url.startsWith(`${this.cdnUrl}/`)) return true;
+    if (!/^https?:\/\//.test(url)) return false;
+  
+    const { hostname } = new URL(url);
+    return hostname.startsWith(`${this.bucket}.s3.`) && hostname.endsWith('.amazonaws.com');
+  }
+  
+  /**
+   * Extract the object key from a URL produced by upload()
+   * @param {string} url - File URL (or bare key)
+   * @returns {string} Object key
+   */
+  keyFromUrl(url) {
     let key;
     
     if (url.includes('.s3.amazonaws.com/')) {
       key = url.split('.s3.amazonaws.com/')[1];
     } else if (this.cdnUrl && url.startsWith(this.cdnUrl)) {
       key = url.replace(`${this.cdnUrl}/`, '');
-    } else {
+    } else if (url.includes('://')) {
       // Try to parse from any URL
       const urlObj = new URL(url);
       key = urlObj.pathname.substring(1); // Remove leading slash
+    } else {
+      // Already a key
+      key = url;
     }
     
     if (!key) throw new Error('Could not extract key from URL');
     
-    return this.s3.send(new DeleteObjectCommand({
-      Bucket: this.bucket,
-      Key: key
-    }));
+    return decodeURIComponent(key);
   }
-}
\ No newline at end of file
+}
+
+// S3 metadata is a map of strings, context values such as { id: 42 } are not
+function stringMetadata(metadata) {
+  return Object.fromEntries(Object.entries(metadata || {}).map(([name, value]) => [name, String(value)]));
+}
@@ -0,0 +1,409 @@
+// Supabase Storage provider - talks to the Storage REST API directly
+// providers/supabase.js
+import { Readable } from 'stream';
+import { ConfigError } from '../lib/errors.js';
+
+export default class SupabaseProvider {
+  constructor(config = {}) {
+    this.url = (config.url || process.env.SUPABASE_URL || '').replace(/\/+$/, '');
+    this.key = config.serviceKey || config.key || process.env.SUPABASE_SERVICE_KEY;
+    this.bucket = config.bucket || process.env.SUPABASE_BUCKET;
+    this.privateBucket = config.privateBucket || process.env.SUPABASE_PRIVATE_BUCKET || this.bucket;
+    this.public = config.public !== false;
+    this.signedUrlExpiresIn = config.signedUrlExpiresIn || 3600;
+
+    if (!this.url || !this.key || !this.bucket) {
+      throw new ConfigError('Supabase storage not configured (url, serviceKey and bucket are required)', { provider: 'supabase' });
+    }
+  }
+
+  async upload(file, options = {}) {
+    const { originalname, buffer, mimetype, size } = file;
+    const folder = options.folder || 'uploads';
+    const visibility = options.visibility || 'public';
+
+    // Generate unique filename (private files go to the private bucket under private/)
+    const timestamp = Date.now();
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const key = options.key || `${visibility === 'private' ? 'private/' : ''}${folder}/${timestamp}-${safeName}`;
+    const bucket = options.bucket || this._bucketFor(key);
+
+    // A key chosen by the caller may already hold the same contents
+    const headers = {
+      'Content-Type': mimetype,
+      'x-upsert': options.key ? 'true' : 'false'
+    };
+    if (options.metadata && Object.keys(options.metadata).length > 0) {
+      headers['x-metadata'] = Buffer.from(JSON.stringify(options.metadata)).toString('base64');
+    }
+
+    await this._request('POST', `/object/${bucket}/${this._encodePath(key)}`, {
+      headers,
+      body: buffer
+    });
+
+    return {
+      url: await this._urlFor(key, bucket),
+      key,
+      bucket,
+      name: originalname,
+      size,
+      type: mimetype,
+      visibility,
+      provider: 'supabase'
+    };
+  }
+
+  /**
+   * Stream a file to Supabase Storage without buffering it
+   * @param {Readable} stream - File contents
+   * @param {Object} file - { originalname, mimetype }
+   * @param {Object} options - Upload options
+   * @returns {Promise<Object>} Upload result
+   */
+  async uploadStream(stream, file, options = {}) {
+    const { originalname, mimetype } = file;
+    const folder = options.folder || 'uploads';
+    const visibility = options.visibility || 'public';
+
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const key = options.key || `${visibility === 'private' ? 'private/' : ''}${folder}/${Date.now()}-${safeName}`;
+    const bucket = options.bucket || this._bucketFor(key);
+
+    const headers = {
+      'Content-Type': mimetype,
+      'x-upsert': options.key ? 'true' : 'false'
+    };
+    if (options.metadata && Object.keys(options.metadata).length > 0) {
+      headers['x-metadata'] = Buffer.from(JSON.stringify(options.metadata)).toString('base64');
+    }
+
+    await this._request('POST', `/object/${bucket}/${this._encodePath(key)}`, {
+      headers,
+      body: Readable.toWeb(stream)
+    });
+
+    return {
+      url: await this._urlFor(key, bucket),
+      key,
+      bucket,
+      name: originalname,
+      type: mimetype,
+      visibility,
+      provider: 'supabase'
+    };
+  }
+
+  /**
+   * Create a signed upload URL so the browser can upload straight to the bucket
+   * @param {Object} file - { originalname, mimetype, size }
+   * @param {Object} options - { folder, bucket }
+   * @returns {Promise<Object>} { uploadUrl, method, headers, key }
+   */
+  async createUploadUrl(file, options = {}) {
+    const { originalname, mimetype } = file;
+    const folder = options.folder || 'uploads';
+
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const key = options.key || `${options.visibility === 'private' ? 'private/' : ''}${folder}/${Date.now()}-${safeName}`;
+    const bucket = options.bucket || this._bucketFor(key);
+
+    // Signed upload URLs are valid for two hours on Supabase's side
+    const data = await this._request('POST', `/object/upload/sign/${bucket}/${this._encodePath(key)}`);
+
+    return {
+      uploadUrl: `${this.url}/storage/v1${data.url}`,
+      method: 'PUT',
+      headers: { 'Content-Type': mimetype },
+      key
+    };
+  }
+
+  async confirmUpload(key, file = {}) {
+    const { size, type } = await this.head(key);
+
+    return {
+      url: await this._urlFor(key, this._bucketFor(key)),
+      key,
+      bucket: this._bucketFor(key),
+      name: file.originalname,
+      size,
+      type,
+      visibility: key.startsWith('private/') ? 'private' : 'public',
+      provider: 'supabase'
+    };
+  }
+
+  /**
+   * Copy an object to another path (across buckets when the copy's visibility differs)
+   * @param {string} from - File URL or object path
+   * @param {string} to - Destination path
+   * @returns {Promise<Object>} Result for the copy, same shape as upload()
+   */
+  async copy(from, to) {
+    return this._transfer('copy', from, to);
+  }
+
+  /**
+   * Move an object to another path
+   * @param {string} from - File URL or object path
+   * @param {string} to - Destination path
+   * @returns {Promise<Object>} Result for the moved object, same shape as upload()
+   */
+  async move(from, to) {
+    return this._transfer('move', from, to);
+  }
+
+  async _transfer(action, from, to) {
+    const source = this._parseUrl(from);
+    const bucket = this._bucketFor(to);
+
+    await this._request('POST', `/object/${action}`, {
+      json: {
+        bucketId: source.bucket,
+        sourceKey: source.key,
+        destinationKey: to,
+        ...(bucket !== source.bucket ? { destinationBucket: bucket } : {})
+      }
+    });
+
+    const { size, type } = await this.head(to);
+    return {
+      url: await this._urlFor(to, bucket),
+      key: to,
+      bucket,
+      name: to.split('/').pop(),
+      size,
+      type,
+      visibility: to.startsWith('private/') ? 'private' : 'public',
+      provider: 'supabase'
+    };
+  }
+
+  async delete(url) {
+    const { bucket, key } = this._parseUrl(url);
+    if (!key) throw new Error('Could not extract key from URL');
+
+    return this._request('DELETE', `/object/${bucket}`, {
+      json: { prefixes: [key] }
+    });
+  }
+
+  async get(url) {
+    const response = await this._download(url);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async getStream(url) {
+    const response = await this._download(url);
+    return Readable.fromWeb(response.body);
+  }
+
+  async exists(url) {
+    const { bucket, key } = this._parseUrl(url);
+    const response = await this._fetch('HEAD', `/object/${bucket}/${this._encodePath(key)}`);
+
+    if (response.status === 404 || response.status === 400) return false;
+    if (!response.ok) {
+      const err = new Error(`Supabase HEAD failed (${response.status}): ${response.statusText}`);
+      err.status = response.status;
+      throw err;
+    }
+    return true;
+  }
+
+  async head(url) {
+    const { bucket, key } = this._parseUrl(url);
+    const info = await this._request('GET', `/object/info/${bucket}/${this._encodePath(key)}`);
+
+    return {
+      key,
+      size: info.size,
+      type: info.content_type,
+      lastModified: new Date(info.last_modified || info.created_at),
+      metadata: info.metadata || {}
+    };
+  }
+
+  async list(prefix = '', options = {}) {
+    const { limit = 100, token } = options;
+
+    // Storage lists one folder at a time, so walk the folder the prefix points into
+    const dir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const objects = (await this._walk(dir, this._bucketFor(prefix)))
+      .filter(object => object.key.startsWith(prefix) && (!token || object.key > token))
+      .sort((a, b) => (a.key < b.key ? -1 : 1));
+    const page = objects.slice(0, limit);
+
+    // Token is the last key of the previous page
+    return {
+      items: page.map(object => ({
+        key: object.key,
+        size: object.metadata?.size,
+        lastModified: new Date(object.updated_at || object.created_at),
+        url: this.public && !object.key.startsWith('private/') ? this.getPublicUrl(object.key) : null
+      })),
+      token: objects.length > limit ? page[page.length - 1].key : null
+    };
+  }
+
+  async _walk(dir, bucket) {
+    const objects = [];
+    const pageSize = 1000;
+
+    for (let offset = 0; ; offset += pageSize) {
+      const entries = await this._request('POST', `/object/list/${bucket}`, {
+        json: { prefix: dir, limit: pageSize, offset, sortBy: { column: 'name', order: 'asc' } }
+      });
+
+      for (const entry of entries) {
+        const key = dir ? `${dir}/${entry.name}` : entry.name;
+        // Folders come back as entries without an id
+        if (entry.id === null) {
+          objects.push(...await this._walk(key, bucket));
+        } else {
+          objects.push({ ...entry, key });
+        }
+      }
+
+      if (entries.length < pageSize) break;
+    }
+
+    return objects;
+  }
+
+  /**
+   * Public URL for an object (bucket must be public)
+   * @param {string} key - Object path within the bucket
+   * @param {string} bucket - Bucket name (defaults to configured bucket)
+   * @returns {string} Public URL
+   */
+  getPublicUrl(key, bucket = this.bucket) {
+    return `${this.url}/storage/v1/object/public/${bucket}/${this._encodePath(key)}`;
+  }
+
+  /**
+   * Create a time-limited signed URL for an object
+   * @param {string} urlOrKey - File URL or object path
+   * @param {Object} options - { expiresIn (seconds), disposition, bucket }
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(urlOrKey, options = {}) {
+    const parsed = this._parseUrl(urlOrKey);
+    const bucket = options.bucket || parsed.bucket;
+    const expiresIn = options.expiresIn || this.signedUrlExpiresIn;
+
+    const data = await this._request('POST', `/object/sign/${bucket}/${this._encodePath(parsed.key)}`, {
+      json: { expiresIn }
+    });
+
+    const signedPath = data.signedURL || data.signedUrl;
+    if (!signedPath) {
+      throw new Error('Supabase did not return a signed URL');
+    }
+
+    // Supabase only knows "download" (attachment, optionally with a filename)
+    let download = '';
+    if (options.disposition?.startsWith('attachment')) {
+      const filename = options.disposition.match(/filename="?([^";]+)"?/)?.[1] || '';
+      download = `&download=${encodeURIComponent(filename)}`;
+    }
+
+    return `${this.url}/storage/v1${signedPath}${download}`;
+  }
+
+  _bucketFor(key) {
+    return key.startsWith('private/') ? this.privateBucket : this.bucket;
+  }
+
+  async _urlFor(key, bucket) {
+    if (key.startsWith('private/')) return null;
+    return this.public ? this.getPublicUrl(key, bucket) : this.getSignedUrl(key, { bucket });
+  }
+
+  /**
+   * Whether a URL points at this project's storage
+   * @param {string} url - File URL
+   * @returns {boolean}
+   */
+  ownsUrl(url) {
+    return url.startsWith(`${this.url}/storage/v1/object/`);
+  }
+
+  /**
+   * Extract the object path from a URL produced by upload()
+   * @param {string} url - File URL (or bare path)
+   * @returns {string} Object path within its bucket
+   */
+  keyFromUrl(url) {
+    return this._parseUrl(url).key;
+  }
+
+  /**
+   * Split a Supabase object URL (public, signed or authenticated) into bucket and key
+   */
+  _parseUrl(urlOrKey) {
+    const match = urlOrKey.match(/\/storage\/v1\/object\/(?:public|sign|authenticated)\/([^/]+)\/([^?]+)/);
+    if (match) {
+      return { bucket: match[1], key: decodeURIComponent(match[2]) };
+    }
+
+    // Treat anything else as a key in the configured bucket
+    const key = urlOrKey.replace(/^\/+/, '');
+    return { bucket: this._bucketFor(key), key };
+  }
+
+  _encodePath(key) {
+    return key.split('/').map(encodeURIComponent).join('/');
+  }
+
+  async _download(url) {
+    const { bucket, key } = this._parseUrl(url);
+    const response = await this._fetch('GET', `/object/authenticated/${bucket}/${this._encodePath(key)}`);
+
+    if (!response.ok) {
+      // Missing objects can come back as 400 with a 404 statusCode in the body
+      const data = await response.json().catch(() => ({}));
+      const err = new Error(`Supabase download of ${key} failed (${response.status}): ${data.message || response.statusText}`);
+      err.status = Number(data.statusCode) || response.status;
+      throw err;
+    }
+    return response;
+  }
+
+  _fetch(method, path, { headers = {}, body, json } = {}) {
+    return fetch(`${this.url}/storage/v1${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${this.key}`,
+        apikey: this.key,
+        ...(json ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: json ? JSON.stringify(json) : body,
+      // Required by fetch for streamed request bodies
+      ...(body instanceof ReadableStream ? { duplex: 'half' } : {})
+    });
+  }
+
+  async _request(method, path, options = {}) {
+    const response = await this._fetch(method, path, options);
+
+    const text = await response.text();
+    let data = {};
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = { message: text };
+    }
+
+    if (!response.ok) {
+      const err = new Error(`Supabase ${method} ${path} failed (${response.status}): ${data.message || data.error || response.statusText}`);
+      // Storage reports missing objects as 400 with a 404 statusCode in the body
+      err.status = Number(data.statusCode) || response.status;
+      throw err;
+    }
+
+    return data;
+  }
+}
@@ -1,30 +1,39 @@
 // providers/uploadthing.js
-import { UTApi } from 'uploadthing/server';
+import { Readable } from 'stream';
+import { UTApi, UTFile } from 'uploadthing/server';
 
 export default class UploadThingProvider {
   constructor(config = {}) {
     this.utapi = new UTApi({
       token: config.token || process.env.UPLOADTHING_TOKEN,
     });
+    this.fileUrl = (config.fileUrl || 'https://utfs.io/f').replace(/\/+$/, '');
     this.config = config;
   }
   
   async upload(file, options = {}) {
     const { originalname, buffer, mimetype, size } = file;
     const folder = options.folder || 'uploads';
+    const visibility = options.visibility || 'public';
+    
+    // UploadThing keys are flat, so keep the folder path as the custom ID for listing
+    // (custom IDs are limited to 128 characters)
+    const safeName = originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const path = `${folder}/${Date.now()}-${safeName}`;
     
     // Convert buffer to File for UploadThing
-    const blob = new Blob([buffer], { type: mimetype });
-    const uploadFile = new File([blob], originalname, { 
+    const uploadFile = new UTFile([buffer], originalname, { 
       type: mimetype,
-      lastModified: Date.now()
+      lastModified: Date.now(),
+      customId: path.length <= 128 ? path : undefined
     });
     
     const response = await this.utapi.uploadFiles([uploadFile], {
       metadata: {
         folder,
         ...options.metadata
-      }
+      },
+      acl: visibility === 'private' ? 'private' : 'public-read'
     });
     
     if (!response.data?.[0]?.url) {
@@ -32,20 +41,143 @@ export default class UploadThingProvider {
     }
     
     return {
-      url: response.data[0].url,
+      url: visibility === 'private' ? null : response.data[0].url,
       key: response.data[0].key,
+      path: uploadFile.customId,
       name: originalname,
       size,
       type: mimetype,
+      visibility,
       provider: 'uploadthing'
     };
   }
   
+  async createUploadUrl() {
+    throw new Error('UploadThing does not support presigned uploads here; use its client SDK and file routes');
+  }
+  
   async delete(url) {
-    // Extract key from UploadThing URL
-    const key = url.split('/f/')[1];
-    if (!key) throw new Error('Invalid UploadThing URL');
+    return this.utapi.deleteFiles([this.keyFromUrl(url)]);
+  }
+  
+  async get(url) {
+    const response = await this._fetch(url);
+    return Buffer.from(await response.arrayBuffer());
+  }
+  
+  async getStream(url) {
+    const response = await this._fetch(url);
+    return Readable.fromWeb(response.body);
+  }
+  
+  async exists(url) {
+    const response = await fetch(this._fileUrl(url), { method: 'HEAD' });
+    return response.ok;
+  }
+  
+  async head(url) {
+    const response = await this._fetch(url, 'HEAD');
+    const lastModified = response.headers.get('last-modified');
+    
+    return {
+      key: this.keyFromUrl(url),
+      size: Number(response.headers.get('content-length')),
+      type: response.headers.get('content-type'),
+      lastModified: lastModified ? new Date(lastModified) : undefined,
+      // UploadThing does not return custom metadata on reads
+      metadata: {}
+    };
+  }
+  
+  async list(prefix = '', options = {}) {
+    const { limit = 100, token = 0 } = options;
+    const items = [];
+    let offset = token;
+    
+    // Token is the offset into UploadThing's (unfiltered) file list
+    while (true) {
+      const { files, hasMore } = await this.utapi.listFiles({ limit: 500, offset });
+      
+      let index = 0;
+      for (; index < files.length && items.length < limit; index++) {
+        const file = files[index];
+        
+        if (file.status === 'Uploaded' && file.customId?.startsWith(prefix)) {
+          items.push({
+            key: file.key,
+            path: file.customId,
+            // Sizes and dates are not part of UploadThing's file list
+            size: undefined,
+            lastModified: undefined,
+            url: `${this.fileUrl}/${file.key}`
+          });
+        }
+      }
+      offset += index;
+      
+      if (index < files.length) {
+        return { items, token: offset };
+      }
+      if (!hasMore || files.length === 0) {
+        return { items, token: null };
+      }
+      if (items.length === limit) {
+        return { items, token: offset };
+      }
+    }
+  }
+  
+  /**
+   * Create an expiring URL (content disposition is not supported by UploadThing)
+   * @param {string} url - File URL or key
+   * @param {Object} options - { expiresIn (seconds) }
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(url, options = {}) {
+    const { url: signedUrl } = await this.utapi.getSignedURL(this.keyFromUrl(url), {
+      expiresIn: options.expiresIn || 3600
+    });
     
-    return this.utapi.deleteFiles([key]);
+    return signedUrl;
+  }
+  
+  /**
+   * Whether a URL is an UploadThing file URL
+   * @param {string} url - File URL
+   * @returns {boolean}
+   */
+  ownsUrl(url) {
+    return url.startsWith(`${this.fileUrl}/`) || /^https:\/\/([^/]+\.)?(utfs\.io|ufs\.sh)\/f\//.test(url);
+  }
+  
+  /**
+   * Extract the file key from an UploadThing URL
+   * @param {string} url - File URL (or bare key)
+   * @returns {string} File key
+   */
+  keyFromUrl(url) {
+    const key = url.includes('/f/') ? url.split('/f/')[1] : url;
+    if (!key || key.includes('://')) throw new Error('Invalid UploadThing URL');
+    
+    return key;
+  }
+  
+  _fileUrl(url) {
+    return url.includes('://') ? url : `${this.fileUrl}/${this.keyFromUrl(url)}`;
+  }
+  
+  async _fetch(url, method = 'GET') {
+    let response = await fetch(this._fileUrl(url), { method });
+    
+    // Private files are only readable through a signed URL
+    if (response.status === 401 || response.status === 403) {
+      response = await fetch(await this.getSignedUrl(url, { expiresIn: 60 }), { method });
+    }
+    if (!response.ok) {
+      const err = new Error(`UploadThing ${method} ${url} failed (${response.status}): ${response.statusText}`);
+      err.status = response.status;
+      throw err;
+    }
+    return response;
   }
 }
\ No newline at end of file
@@ -0,0 +1,4 @@
+// Export all file registries
+export { default as memory } from './memory.js';
+export { default as json } from './json.js';
+export { default as sqlite } from './sqlite.js';
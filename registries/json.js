@@ -0,0 +1,75 @@
+// JSON file registry - keeps the records in memory and rewrites one file after every change
+// registries/json.js
+import fs from 'fs';
+import { dirname } from 'path';
+import MemoryRegistry from './memory.js';
+import { ConfigError } from '../lib/errors.js';
+
+export default class JsonFileRegistry extends MemoryRegistry {
+  /**
+   * @param {Object} config - { path } of the JSON file (or STORAGE_REGISTRY_FILE)
+   */
+  constructor(config = {}) {
+    super();
+    // Records outlive deploys, so where they are kept is never guessed from the working directory
+    this.path = config.path || process.env.STORAGE_REGISTRY_FILE;
+    if (!this.path) {
+      throw new ConfigError('The json registry needs a path, e.g. registry: { adapter: \'json\', path: \'./data/files.json\' }', {
+        registry: 'json'
+      });
+    }
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  async get(id) {
+    await this._load();
+    return super.get(id);
+  }
+
+  async put(record) {
+    await this._load();
+    await super.put(record);
+    await this._save();
+    return record;
+  }
+
+  async delete(id) {
+    await this._load();
+    const deleted = await super.delete(id);
+    if (deleted) await this._save();
+    return deleted;
+  }
+
+  async findOne(filter) {
+    await this._load();
+    return super.findOne(filter);
+  }
+
+  _load() {
+    this.loading ||= fs.promises.readFile(this.path, 'utf8').then(
+      content => {
+        for (const record of Object.values(JSON.parse(content))) {
+          this.records.set(record.id, record);
+        }
+      },
+      err => {
+        if (err.code === 'ENOENT') return;
+        // Try again on the next call instead of failing forever
+        this.loading = null;
+        throw err;
+      }
+    );
+    return this.loading;
+  }
+
+  // Chained so the latest state lands last; written to a temp file first so a crash never leaves half a file
+  _save() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(dirname(this.path), { recursive: true });
+      await fs.promises.writeFile(`${this.path}.tmp`, JSON.stringify(Object.fromEntries(this.records)));
+      await fs.promises.rename(`${this.path}.tmp`, this.path);
+    });
+    return this.writing;
+  }
+}
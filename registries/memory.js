@@ -0,0 +1,36 @@
+// In-memory file registry - records are gone after a restart, for tests and development
+// registries/memory.js
+
+export default class MemoryRegistry {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    return record ? { ...record } : null;
+  }
+
+  async put(record) {
+    this.records.set(record.id, { ...record });
+    return record;
+  }
+
+  async delete(id) {
+    return this.records.delete(id);
+  }
+
+  /**
+   * First record whose fields equal every value of the filter (a null value also matches a missing field)
+   * @param {Object} filter - e.g. { key, disk }
+   * @returns {Promise<Object|null>} Matching record
+   */
+  async findOne(filter) {
+    for (const record of this.records.values()) {
+      if (Object.entries(filter).every(([field, value]) => (record[field] ?? null) === (value ?? null))) {
+        return { ...record };
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,102 @@
+// SQLite file registry - one table, for apps that want the records in a database file
+// registries/sqlite.js
+import { ConfigError } from '../lib/errors.js';
+
+// Looked up on every upload and delete, so they get columns (and indexes) of their own
+const COLUMNS = ['key', 'disk', 'checksum'];
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+let Database = null;
+
+// better-sqlite3 is an optional dependency, only needed once this registry is configured
+async function loadDriver() {
+  if (!Database) {
+    try {
+      Database = (await import('better-sqlite3')).default;
+    } catch {
+      throw new ConfigError('The sqlite registry requires the "better-sqlite3" package. Install it with: npm install better-sqlite3');
+    }
+  }
+  return Database;
+}
+
+export default class SqliteRegistry {
+  /**
+   * @param {Object} config - { path } of the database file (or STORAGE_REGISTRY_DB), table (default storage_files)
+   */
+  constructor(config = {}) {
+    this.path = config.path || process.env.STORAGE_REGISTRY_DB;
+    this.table = config.table || 'storage_files';
+    this.db = null;
+
+    if (!this.path) {
+      throw new ConfigError('The sqlite registry needs a path, e.g. registry: { adapter: \'sqlite\', path: \'./data/files.db\' }', {
+        registry: 'sqlite'
+      });
+    }
+    if (!IDENTIFIER.test(this.table)) {
+      throw new ConfigError(`Invalid registry table name: ${this.table}`, { registry: 'sqlite' });
+    }
+  }
+
+  async get(id) {
+    const db = await this._open();
+    const row = db.prepare(`SELECT record FROM ${this.table} WHERE id = ?`).get(id);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  async put(record) {
+    const db = await this._open();
+    db.prepare(`
+      INSERT INTO ${this.table} (id, key, disk, checksum, record) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET key = excluded.key, disk = excluded.disk, checksum = excluded.checksum, record = excluded.record
+    `).run(record.id, record.key, record.disk, record.checksum ?? null, JSON.stringify(record));
+    return record;
+  }
+
+  async delete(id) {
+    const db = await this._open();
+    return db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(id).changes > 0;
+  }
+
+  /**
+   * First record whose fields equal every value of the filter
+   * @param {Object} filter - e.g. { key, disk }
+   * @returns {Promise<Object|null>} Matching record
+   */
+  async findOne(filter) {
+    const db = await this._open();
+    const fields = Object.keys(filter);
+    const invalid = fields.find(field => !IDENTIFIER.test(field));
+    if (invalid) {
+      throw new ConfigError(`Invalid registry field: ${invalid}`, { registry: 'sqlite' });
+    }
+
+    // Other fields are matched inside the stored JSON; IS also matches nulls
+    const where = fields.map(field => (COLUMNS.includes(field) ? `${field} IS ?` : `json_extract(record, '$.${field}') IS ?`));
+    const row = db.prepare(`SELECT record FROM ${this.table}${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''} LIMIT 1`)
+      .get(...fields.map(field => filter[field] ?? null));
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  async _open() {
+    if (!this.db) {
+      const Driver = await loadDriver();
+      const db = new Driver(this.path);
+      db.pragma('journal_mode = WAL');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS ${this.table} (
+          id TEXT PRIMARY KEY,
+          key TEXT NOT NULL,
+          disk TEXT NOT NULL,
+          checksum TEXT,
+          record TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS ${this.table}_key ON ${this.table} (key, disk);
+        CREATE INDEX IF NOT EXISTS ${this.table}_checksum ON ${this.table} (checksum);
+      `);
+      this.db = db;
+    }
+    return this.db;
+  }
+}
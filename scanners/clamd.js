@@ -0,0 +1,91 @@
+// ClamAV scanner - streams files to a clamd daemon over INSTREAM
+// scanners/clamd.js
+import net from 'net';
+import { Readable } from 'stream';
+
+export default class ClamdScanner {
+  constructor(config = {}) {
+    // A unix socket wins over host/port when both are set
+    this.socket = config.socket || process.env.CLAMD_SOCKET;
+    this.host = config.host || process.env.CLAMD_HOST || '127.0.0.1';
+    this.port = Number(config.port || process.env.CLAMD_PORT || 3310);
+    this.timeout = config.timeout || 60 * 1000;
+    // Must stay below clamd's StreamMaxLength
+    this.chunkSize = config.chunkSize || 64 * 1024;
+  }
+  
+  /**
+   * Scan file contents
+   * @param {Buffer|Readable} input - File contents
+   * @returns {Promise<Object>} { infected, viruses }
+   */
+  async scan(input) {
+    const stream = Buffer.isBuffer(input) ? Readable.from([input]) : input;
+    const reply = await this._command('zINSTREAM\0', async socket => {
+      for await (const data of stream) {
+        for (let offset = 0; offset < data.length; offset += this.chunkSize) {
+          const chunk = data.subarray(offset, offset + this.chunkSize);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          
+          // Stop early if clamd already answered (e.g. size limit exceeded)
+          if (socket.destroyed || socket.writableEnded) return;
+          if (!socket.write(Buffer.concat([length, chunk]))) {
+            await new Promise(resolve => {
+              socket.once('drain', resolve);
+              socket.once('close', resolve);
+            });
+          }
+        }
+      }
+      socket.end(Buffer.alloc(4));
+    });
+    
+    // Replies look like "stream: OK" or "stream: Eicar-Signature FOUND"
+    if (reply.endsWith('OK')) {
+      return { infected: false, viruses: [] };
+    }
+    
+    const found = reply.match(/^stream: (.+) FOUND$/);
+    if (found) {
+      return { infected: true, viruses: [found[1]] };
+    }
+    
+    throw new Error(`clamd scan failed: ${reply}`);
+  }
+  
+  /**
+   * Check that the daemon is reachable
+   * @returns {Promise<boolean>}
+   */
+  async ping() {
+    return (await this._command('zPING\0', socket => socket.end())) === 'PONG';
+  }
+  
+  _command(command, send) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socket
+        ? net.createConnection(this.socket)
+        : net.createConnection(this.port, this.host);
+      const chunks = [];
+      let settled = false;
+      
+      const finish = (err, reply) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (err) reject(err); else resolve(reply);
+      };
+      
+      socket.setTimeout(this.timeout, () => finish(new Error('clamd scan timed out')));
+      socket.on('error', err => finish(new Error(`clamd connection failed: ${err.message}`)));
+      socket.on('data', chunk => chunks.push(chunk));
+      socket.on('end', () => finish(null, Buffer.concat(chunks).toString().replace(/\0/g, '').trim()));
+      
+      socket.once('connect', () => {
+        socket.write(command);
+        Promise.resolve(send(socket)).catch(finish);
+      });
+    });
+  }
+}
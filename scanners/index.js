@@ -0,0 +1,2 @@
+// Export all scanners
+export { default as clamd } from './clamd.js';
@@ -14,55 +14,63 @@ export function createStorageIntegratedService(baseService, modelName, modelFile
   // Return enhanced service
   return {
     // Enhanced methods
+    // File changes run in a transaction: uploads are removed and deletes skipped if the database write fails
     async create(data, req = null) {
-      let fileUrls = {};
-      
-      if (req) {
-        fileUrls = await fileService.processFiles(req, { id: 'new' });
-      }
-      
-      // Merge files with data
-      const mergedData = { ...data, ...fileUrls };
-      
-      // Call base service
-      const result = await baseService.create(mergedData);
-      
-      // Update files with actual ID if needed
-      if (req && result.id && result.id !== 'new') {
-        // Re-process with actual ID (optional - for folder organization)
-        // You could move files from 'new' folder to actual ID folder here
-      }
-      
-      return result;
+      return fileService.withTransaction(async transaction => {
+        let fileUrls = {};
+        
+        if (req) {
+          fileUrls = await fileService.processFiles(req, { id: 'new' }, { transaction });
+        }
+        
+        // Merge files with data
+        const mergedData = { ...data, ...fileUrls };
+        
+        // Call base service
+        const result = await baseService.create(mergedData);
+        
+        // Files were uploaded before the record had an ID; move them to its folder
+        if (req && result.id && result.id !== 'new' && Object.keys(fileUrls).length > 0) {
+          const relocated = await fileService.relocateFiles(fileUrls, { id: 'new' }, { id: result.id }, { transaction });
+          await baseService.update(result.id, relocated);
+          return { ...result, ...relocated };
+        }
+        
+        return result;
+      });
     },
     
     async update(id, data, req = null) {
       // Get existing record for cleanup
       const existing = await baseService.getById(id);
       
-      let fileUrls = {};
-      
-      if (req) {
-        fileUrls = await fileService.processFiles(req, { id });
+      return fileService.withTransaction(async transaction => {
+        let fileUrls = {};
         
-        // Cleanup old files being replaced
-        await fileService.cleanupReplacedFiles(existing, fileUrls);
-      }
-      
-      // Merge updates
-      const mergedData = { ...data, ...fileUrls };
-      
-      return baseService.update(id, mergedData);
+        if (req) {
+          fileUrls = await fileService.processFiles(req, { id }, { transaction });
+          
+          // Old files being replaced are only deleted once the update went through
+          await fileService.cleanupReplacedFiles(existing, fileUrls, { transaction });
+        }
+        
+        // Merge updates
+        const mergedData = { ...data, ...fileUrls };
+        
+        return baseService.update(id, mergedData);
+      });
     },
     
     async delete(id) {
       const record = await baseService.getById(id);
       
-      // Delete associated files
-      await fileService.deleteFiles(record);
-      
-      // Delete from database
-      return baseService.delete(id);
+      return fileService.withTransaction(async transaction => {
+        // Delete associated files once the record is gone
+        await fileService.deleteFiles(record, { transaction });
+        
+        // Delete from database
+        return baseService.delete(id);
+      });
     },
     
     // Delegate other methods to base service
@@ -73,8 +81,10 @@ export function createStorageIntegratedService(baseService, modelName, modelFile
     
     // Expose file service methods
     getUploadMiddleware: () => fileService.getUploadMiddleware(),
-    processFiles: (req, context) => fileService.processFiles(req, context),
-    deleteFiles: (record) => fileService.deleteFiles(record),
+    processFiles: (req, context, options) => fileService.processFiles(req, context, options),
+    deleteFiles: (record, options) => fileService.deleteFiles(record, options),
+    relocateFiles: (record, fromContext, toContext, options) => fileService.relocateFiles(record, fromContext, toContext, options),
+    transaction: () => fileService.transaction(),
   };
 }
 
@@ -0,0 +1,41 @@
+// @semantql/storage/test/ModelFileService.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestStorage, createTestModelFileService, createMockFile, createMockRequest } from '../testing.js';
+
+test('direct uploads are named by the same nameTemplate as buffered ones', async () => {
+  const storage = createTestStorage();
+  const service = createTestModelFileService('Doc', {
+    nameTemplate: '{model}-{id}-{originalname|slug}{ext}',
+    fileFields: {
+      file: { maxFiles: 1 },
+      cover: { maxFiles: 1, nameTemplate: '{field}{ext}' }
+    }
+  }, storage);
+
+  const req = createMockRequest({ file: createMockFile({ name: 'A Note.txt' }), cover: createMockFile({ name: 'c.txt' }) });
+  const buffered = await service.processFiles(req, { id: 1 });
+
+  const file = await service.createUploadUrl({ field: 'file', filename: 'A Note.txt', contentType: 'text/plain', size: 4, context: { id: 1 } });
+  const cover = await service.createUploadUrl({ field: 'cover', filename: 'c.txt', contentType: 'text/plain', size: 4, context: { id: 1 } });
+
+  assert.equal(file.key, storage.keyFromUrl(buffered.file[0]));
+  assert.equal(cover.key, storage.keyFromUrl(buffered.cover[0]));
+  assert.equal(cover.key, 'doc/1/cover/cover.txt');
+});
+
+test('relocateFiles keeps the {date} and {uuid} folders a file was stored under', async () => {
+  for (const folderTemplate of ['{model}/{date:YYYY/MM}/{id}', '{model}/{id}/{uuid}']) {
+    const storage = createTestStorage();
+    const service = createTestModelFileService('Doc', { folderTemplate, fileFields: { file: { maxFiles: 1 } } }, storage);
+
+    const uploaded = await service.processFiles(createMockRequest({ file: createMockFile() }), { id: 'new' });
+    const before = storage.keyFromUrl(uploaded.file[0]);
+    const relocated = await service.relocateFiles(uploaded, { id: 'new' }, { id: 42 });
+    const after = storage.keyFromUrl(relocated.file[0]);
+
+    assert.equal(after, before.replace('/new', '/42'), folderTemplate);
+    assert.equal(await storage.exists(before), false);
+    assert.equal(await storage.exists(after), true);
+  }
+});
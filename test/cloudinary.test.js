@@ -0,0 +1,129 @@
+// @semantql/storage/test/cloudinary.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import StorageService from '../lib/StorageService.js';
+import { createMockFile } from '../testing.js';
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000', 'hex');
+
+// Upload, destroy and Admin API endpoints of one cloud, checking signatures like Cloudinary does
+async function startCloudinary(t) {
+  const assets = new Map();
+  const calls = [];
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const [, cloud, ...path] = new URL(req.url, 'http://localhost').pathname.split('/');
+    calls.push(`${req.method} ${path.join('/')}`);
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    if (cloud !== 'demo') return send(404, { error: { message: 'Unknown cloud' } });
+
+    if (path[0] === 'resources') {
+      if (req.headers.authorization !== `Basic ${Buffer.from('key:secret').toString('base64')}`) {
+        return send(401, { error: { message: 'Invalid credentials' } });
+      }
+      const [, resourceType, type, ...publicId] = path;
+      const asset = assets.get(publicId.join('/'));
+      if (!asset || asset.resource_type !== resourceType || asset.type !== type) return send(404, { error: { message: 'Resource not found' } });
+      return send(200, asset);
+    }
+
+    const form = await new Response(Buffer.concat(chunks), { headers: { 'Content-Type': req.headers['content-type'] } }).formData();
+    const params = Object.fromEntries([...form.entries()].filter(([name]) => !['file', 'api_key', 'signature'].includes(name)));
+    const signed = Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&');
+    if (form.get('signature') !== crypto.createHash('sha1').update(`${signed}secret`).digest('hex')) {
+      return send(401, { error: { message: 'Invalid Signature' } });
+    }
+
+    const [resourceType, action] = path;
+    if (action === 'upload') {
+      const file = form.get('file');
+      const publicId = `${params.folder}/${params.public_id}`;
+      const type = params.type || 'upload';
+      const format = resourceType === 'raw' ? undefined : file.type.split('/')[1];
+      const asset = {
+        public_id: publicId,
+        resource_type: resourceType,
+        type,
+        format,
+        bytes: file.size,
+        created_at: new Date().toISOString(),
+        secure_url: `https://res.cloudinary.com/demo/${resourceType}/${type}/v1/${publicId}${format ? `.${format}` : ''}`,
+        // Context is key=value pairs joined by |, with | and = escaped inside values
+        context: params.context ? {
+          custom: Object.fromEntries(params.context.split(/(?<!\\)\|/).map(pair => pair.split(/(?<!\\)=/).map(part => part.replace(/\\([|=])/g, '$1'))))
+        } : undefined
+      };
+      assets.set(publicId, asset);
+      return send(200, asset);
+    }
+    if (action === 'destroy') {
+      const asset = assets.get(params.public_id);
+      if (!asset || asset.resource_type !== resourceType) return send(200, { result: 'not found' });
+      assets.delete(params.public_id);
+      return send(200, { result: 'ok' });
+    }
+    send(404, { error: { message: 'Unknown endpoint' } });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const storage = new StorageService({
+    provider: 'cloudinary',
+    cloudinary: { cloudName: 'demo', apiKey: 'key', apiSecret: 'secret', apiUrl: `http://127.0.0.1:${server.address().port}` }
+  });
+  return { storage, assets, calls };
+}
+
+test('uploads are signed and stored by resource type', async t => {
+  const { storage, assets } = await startCloudinary(t);
+
+  const image = await storage.upload(createMockFile({ name: 'shoe.png', content: PNG, mimetype: 'image/png' }), {
+    folder: 'products',
+    metadata: { sku: 'A|1=2' }
+  });
+  assert.match(image.key, /^products\/\d+-shoe$/);
+  assert.equal(image.resourceType, 'image');
+  assert.equal(image.url, `https://res.cloudinary.com/demo/image/upload/v1/${image.key}.png`);
+  assert.equal(assets.get(image.key).context.custom.sku, 'A|1=2');
+
+  const doc = await storage.upload(createMockFile({ name: 'notes.txt' }), { folder: 'docs', visibility: 'private' });
+  assert.match(doc.key, /^private\/docs\/\d+-notes\.txt$/);
+  assert.equal(doc.url, null);
+  assert.equal(assets.get(doc.key).type, 'authenticated');
+
+  const head = await storage.head(image.url);
+  assert.equal(head.size, PNG.length);
+  assert.equal(head.type, 'image/png');
+  assert.equal(await storage.exists('products/missing'), false);
+});
+
+test('deletes find the resource type of a bare public ID', async t => {
+  const { storage, assets, calls } = await startCloudinary(t);
+  const doc = await storage.upload(createMockFile({ name: 'notes.txt' }), { folder: 'docs' });
+  const image = await storage.upload(createMockFile({ name: 'a.png', content: PNG, mimetype: 'image/png' }));
+
+  calls.length = 0;
+  await storage.delete(doc.key);
+  assert.deepEqual(calls, ['POST image/destroy', 'POST video/destroy', 'POST raw/destroy']);
+
+  calls.length = 0;
+  await storage.delete(image.url);
+  assert.deepEqual(calls, ['POST image/destroy']);
+  assert.equal(assets.size, 0);
+
+  await storage.delete(doc.key);
+});
+
+test('a wrong secret is refused by the upload API', async t => {
+  const { storage } = await startCloudinary(t);
+  storage.provider.apiSecret = 'wrong';
+  await assert.rejects(storage.upload(createMockFile()), { code: 'PROVIDER_ERROR', message: /Invalid Signature/ });
+});
@@ -0,0 +1,70 @@
+// @semantql/storage/test/copy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { createTestStorage, createTestModelFileService, createMockFile, createMockRequest } from '../testing.js';
+
+test('copies and moves keep the contents, and private/ keys make private files', async () => {
+  const storage = createTestStorage();
+  const stored = await storage.upload(createMockFile({ name: 'a.txt', content: 'hello' }), { folder: 'docs', name: 'a.txt' });
+  await storage.upload(createMockFile({ content: 'older' }), { folder: 'docs', name: 'b.txt' });
+
+  const copy = await storage.copy(stored.url, 'docs/b.txt');
+  assert.equal(copy.key, 'docs/b.txt');
+  assert.equal(String(await storage.get('docs/b.txt')), 'hello');
+
+  const moved = await storage.move(stored.url, 'private/archive/a.txt');
+  assert.equal(moved.url, null);
+  assert.equal(await storage.exists('docs/a.txt'), false);
+  assert.equal(String(await storage.get(moved.key)), 'hello');
+
+  await assert.rejects(storage.copy('docs/b.txt', '../outside.txt'), { status: 400 });
+  await assert.rejects(storage.move('docs/missing.txt', 'docs/c.txt'), { code: 'FILE_NOT_FOUND' });
+});
+
+test('files are streamed across disks, and moving removes the source', async t => {
+  const root = await fs.promises.mkdtemp(join(os.tmpdir(), 'semantq-copy-'));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+  const storage = createTestStorage({ disks: { archive: { provider: 'local', local: { root, baseUrl: '/archive' } } } });
+  const stored = await storage.upload(createMockFile({ name: 'a.txt', content: 'hello' }), { folder: 'docs', name: 'a.txt' });
+
+  const copy = await storage.copy(stored.url, 'docs/copy.txt', { disk: 'archive' });
+  assert.equal(copy.disk, 'archive');
+  assert.equal(await fs.promises.readFile(join(root, 'docs', 'copy.txt'), 'utf8'), 'hello');
+
+  const moved = await storage.move(stored.url, 'private/a.txt', { disk: 'archive' });
+  assert.equal(moved.url, null);
+  assert.equal(await fs.promises.readFile(join(root, 'private', 'a.txt'), 'utf8'), 'hello');
+  assert.equal(storage.provider.files.size, 0);
+});
+
+test('a moved file keeps its ID, a copy gets one of its own', async () => {
+  const storage = createTestStorage({ registry: 'memory' });
+  const stored = await storage.upload(createMockFile({ name: 'a.txt' }), { uploadedBy: 7, metadata: { sku: 'A1' } });
+
+  const copy = await storage.copy(stored.key, 'docs/copy.txt');
+  assert.notEqual(copy.id, stored.id);
+  assert.equal((await storage.getFile(copy.id)).uploadedBy, 7);
+
+  const moved = await storage.move(stored.key, 'docs/moved.txt');
+  assert.equal(moved.id, stored.id);
+  assert.equal((await storage.getFile(stored.id)).key, 'docs/moved.txt');
+});
+
+test('relocateFiles puts back the files already moved when a move fails', async () => {
+  const storage = createTestStorage();
+  const service = createTestModelFileService('Doc', { fileFields: { file: { maxFiles: 1 }, cover: { maxFiles: 1 } } }, storage);
+  const uploaded = await service.processFiles(createMockRequest({ file: createMockFile(), cover: createMockFile({ name: 'c.txt' }) }), { id: 'new' });
+  const before = [...storage.provider.files.keys()].sort();
+
+  const move = storage.provider.move;
+  storage.provider.move = async (from, to) => {
+    if (to.includes('/cover/')) throw new Error('provider is down');
+    return move.call(storage.provider, from, to);
+  };
+
+  await assert.rejects(service.relocateFiles(uploaded, { id: 'new' }, { id: 42 }), { code: 'PROVIDER_ERROR' });
+  assert.deepEqual([...storage.provider.files.keys()].sort(), before);
+});
@@ -0,0 +1,59 @@
+// @semantql/storage/test/dedupe.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { createTestStorage, createMockFile } from '../testing.js';
+
+const sha = 'cas/2c/2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824.txt';
+
+function createDedupeStorage() {
+  return createTestStorage({ registry: 'memory', dedupe: true });
+}
+
+function stream(storage, content, name = 'a.txt') {
+  return storage.uploadStream(Readable.from([Buffer.from(content)]), { originalname: name, mimetype: 'text/plain' });
+}
+
+test('the same contents are stored once and deleted with their last reference', async () => {
+  const storage = createDedupeStorage();
+
+  const first = await storage.upload(createMockFile({ name: 'a.txt', content: 'hello' }));
+  const second = await storage.upload(createMockFile({ name: 'b.txt', content: 'hello' }));
+  assert.equal(first.key, sha);
+  assert.equal(second.id, first.id);
+  assert.equal(second.deduplicated, true);
+  assert.equal((await storage.getFile(first.id)).references, 2);
+
+  await storage.delete(first.id);
+  assert.equal((await storage.getFile(first.id)).references, 1);
+  assert.equal(await storage.exists(sha), true);
+
+  await storage.delete(second.id);
+  assert.equal(await storage.getFile(first.id), null);
+  assert.equal(await storage.exists(sha), false);
+});
+
+test('streamed uploads share the content key with buffered ones', async () => {
+  const storage = createDedupeStorage();
+
+  const streamed = await stream(storage, 'hello');
+  assert.equal(streamed.key, sha);
+  assert.equal(streamed.size, 5);
+
+  const buffered = await storage.upload(createMockFile({ content: 'hello' }));
+  const again = await stream(storage, 'hello', 'c.txt');
+  assert.equal(buffered.id, streamed.id);
+  assert.equal(again.id, streamed.id);
+  assert.equal((await storage.getFile(streamed.id)).references, 3);
+  assert.deepEqual([...storage.provider.files.keys()], [sha]);
+});
+
+test('concurrent streams of the same contents end up as one file', async () => {
+  const storage = createDedupeStorage();
+
+  const results = await Promise.all([stream(storage, 'hello'), stream(storage, 'hello'), stream(storage, 'hello')]);
+  assert.equal(new Set(results.map(result => result.id)).size, 1);
+  assert.equal(results.filter(result => !result.deduplicated).length, 1);
+  assert.equal((await storage.getFile(results[0].id)).references, 3);
+  assert.deepEqual([...storage.provider.files.keys()], [sha]);
+});
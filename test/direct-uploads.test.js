@@ -0,0 +1,29 @@
+// @semantql/storage/test/direct-uploads.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestStorage } from '../testing.js';
+
+test('a direct upload is confirmed with the token it was issued with', async () => {
+  const storage = createTestStorage();
+  const { uploadUrl, token, expiresAt } = await storage.createUploadUrl({ filename: 'a.txt', contentType: 'text/plain', size: 5 });
+  storage.provider.receiveUpload(uploadUrl, 'hello', 'text/plain');
+
+  assert.ok(storage.readUploadToken(token).expiresAt > expiresAt.getTime());
+  const result = await storage.confirmUpload(token);
+  assert.equal(result.size, 5);
+});
+
+test('upload tokens are refused once tampered with or expired', async () => {
+  const storage = createTestStorage();
+  const details = { key: 'uploads/a.txt', filename: 'a.txt', contentType: 'text/plain', size: 5 };
+
+  const token = storage.createUploadToken(details);
+  const [payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...storage.readUploadToken(token), size: 5e9 })).toString('base64url');
+  assert.throws(() => storage.readUploadToken(`${forged}.${signature}`), { code: 'INVALID_UPLOAD_TOKEN', status: 400 });
+  assert.equal(storage.readUploadToken(`${payload}.${signature}`).key, 'uploads/a.txt');
+
+  const expired = storage.createUploadToken({ ...details, expiresIn: -1 });
+  assert.throws(() => storage.readUploadToken(expired), { code: 'UPLOAD_TOKEN_EXPIRED', status: 400 });
+  await assert.rejects(storage.confirmUpload(expired), { code: 'UPLOAD_TOKEN_EXPIRED' });
+});
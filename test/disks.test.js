@@ -0,0 +1,59 @@
+// @semantql/storage/test/disks.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestStorage, createTestModelFileService, createMockFile, createMockRequest } from '../testing.js';
+
+const createDiskStorage = (config = {}) => createTestStorage({
+  maxFileSize: 100,
+  disks: { media: { provider: 'memory', memory: { baseUrl: 'memory://media' }, maxFileSize: 1000 } },
+  ...config
+});
+
+test('uploads go to the disk they name, and URLs find their way back to it', async () => {
+  const storage = createDiskStorage();
+  const media = storage.disk('media');
+
+  const stored = await storage.upload(createMockFile({ name: 'a.txt', content: 'hello' }), { disk: 'media' });
+  assert.equal(stored.disk, 'media');
+  assert.match(stored.url, /^memory:\/\/media\//);
+  assert.equal(storage.provider.files.size, 0);
+
+  // The URL names its disk, a bare key has to
+  assert.equal(String(await storage.get(stored.url)), 'hello');
+  await assert.rejects(storage.get(stored.key), { code: 'FILE_NOT_FOUND' });
+  assert.equal(String(await storage.get(stored.key, { disk: 'media' })), 'hello');
+  assert.equal(String(await media.get(stored.key)), 'hello');
+
+  await storage.delete(stored.url);
+  assert.equal(media.provider.files.size, 0);
+});
+
+test('disks inherit the top-level settings and override their own', async () => {
+  const storage = createDiskStorage();
+  const large = createMockFile({ content: 'x'.repeat(500) });
+
+  await assert.rejects(storage.upload(large), { code: 'FILE_TOO_LARGE', maxSize: 100 });
+  assert.equal((await storage.upload(large, { disk: 'media' })).disk, 'media');
+  assert.equal(storage.disk('default'), storage);
+
+  assert.throws(() => storage.disk('videos'), { name: 'ConfigError', message: /Available: default, media/ });
+  assert.throws(() => createTestStorage({ disks: { default: { provider: 'memory' } } }), { name: 'ConfigError' });
+});
+
+test('model fields are stored on their disk, and cleaned up there when moved elsewhere', async () => {
+  const storage = createDiskStorage();
+  const media = storage.disk('media');
+  const fileFields = { photo: { maxFiles: 1, disk: 'media' }, manual: { maxFiles: 1, visibility: 'private' } };
+  const service = createTestModelFileService('Product', { fileFields }, storage);
+
+  const uploaded = await service.processFiles(createMockRequest({ photo: createMockFile(), manual: createMockFile({ name: 'm.txt' }) }), { id: 1 });
+  assert.equal(media.provider.files.size, 1);
+  assert.equal(storage.provider.files.size, 1);
+  assert.match(uploaded.photo[0], /^memory:\/\/media\/product\/1\/photo\//);
+
+  // The field has since moved to the default disk, its old files are still found
+  const moved = createTestModelFileService('Product', { fileFields: { ...fileFields, photo: { maxFiles: 1 } } }, storage);
+  await moved.deleteFiles(uploaded);
+  assert.equal(media.provider.files.size, 0);
+  assert.equal(storage.provider.files.size, 0);
+});
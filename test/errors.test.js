@@ -0,0 +1,102 @@
+// @semantql/storage/test/errors.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { createUploadMiddleware, errorHandler } from '../middleware.js';
+import { StorageError, FileTooLargeError, QuotaExceededError, ProviderError, fromMulterError } from '../lib/errors.js';
+import { createTestStorage } from '../testing.js';
+
+// What errorHandler sends for an error, or the error it passes on
+function handle(err, options) {
+  return new Promise(resolve => {
+    const res = {
+      headersSent: false,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); }
+    };
+    errorHandler(options)(err, {}, res, passed => resolve({ passed }));
+  });
+}
+
+test('errors carry their code, status, field and limits', () => {
+  const tooLarge = new FileTooLargeError({ field: 'photo', maxSize: 1024 * 1024, size: 2 * 1024 * 1024 });
+  assert.ok(tooLarge instanceof StorageError);
+  assert.equal(tooLarge.name, 'FileTooLargeError');
+  assert.deepEqual(tooLarge.toJSON(), {
+    error: 'File too large. Max size: 1MB',
+    code: 'FILE_TOO_LARGE',
+    field: 'photo',
+    maxSize: 1024 * 1024,
+    size: 2 * 1024 * 1024
+  });
+
+  const quota = new QuotaExceededError({ subject: 'tenantId', value: 'a', limit: 'maxFiles', allowed: 2, used: 2, requested: 1, remaining: { bytes: null, files: 0 } });
+  assert.equal(quota.message, 'Storage quota exceeded for tenantId a: 2 of 2 files used');
+  assert.equal(quota.status, 413);
+
+  const missing = new ProviderError('s3', 'get', Object.assign(new Error('gone'), { name: 'NoSuchKey' }));
+  assert.deepEqual([missing.code, missing.status, missing.cause.message], ['FILE_NOT_FOUND', 404, 'gone']);
+  const down = new ProviderError('s3', 'upload', new Error('socket hang up'));
+  assert.deepEqual([down.code, down.status, down.message], ['PROVIDER_ERROR', 502, 's3 upload failed: socket hang up']);
+});
+
+test('provider failures reach callers as ProviderError', async () => {
+  const storage = createTestStorage();
+  await assert.rejects(storage.get('docs/missing.txt'), { name: 'ProviderError', code: 'FILE_NOT_FOUND', status: 404 });
+});
+
+test('multer errors become storage errors with the limits involved', () => {
+  const multerError = (code, field) => Object.assign(new Error(code), { name: 'MulterError', code, field });
+  const limits = { maxFileSize: 1024, maxFiles: 3, fields: { photo: 2 } };
+
+  assert.deepEqual(fromMulterError(multerError('LIMIT_FILE_SIZE', 'photo'), limits).toJSON(), {
+    error: 'File too large. Max size: 1KB',
+    code: 'FILE_TOO_LARGE',
+    field: 'photo',
+    maxSize: 1024
+  });
+  assert.equal(fromMulterError(multerError('LIMIT_FILE_COUNT'), limits).maxCount, 3);
+  assert.deepEqual(fromMulterError(multerError('LIMIT_UNEXPECTED_FILE', 'photo'), limits).toJSON(), {
+    error: 'Too many files for photo. Max: 2',
+    code: 'TOO_MANY_FILES',
+    field: 'photo',
+    maxCount: 2
+  });
+  assert.equal(fromMulterError(multerError('LIMIT_UNEXPECTED_FILE', 'other'), limits).code, 'UNEXPECTED_FIELD');
+
+  const other = new Error('not from multer');
+  assert.equal(fromMulterError(other, limits), other);
+});
+
+test('the upload middleware hands on multer errors as storage errors', async () => {
+  const form = new FormData();
+  form.append('photo', new Blob(['x'.repeat(100)], { type: 'text/plain' }), 'a.txt');
+  const request = new Request('http://localhost/upload', { method: 'POST', body: form });
+  const req = Readable.from(Buffer.from(await request.arrayBuffer()));
+  req.headers = { 'content-type': request.headers.get('content-type'), 'transfer-encoding': 'chunked' };
+
+  const [upload] = createUploadMiddleware({ fields: ['photo'], maxFileSize: 10 });
+  const err = await new Promise(resolve => upload(req, {}, resolve));
+  assert.deepEqual(await handle(err), {
+    status: 413,
+    body: { error: 'File too large. Max size: 10 bytes', code: 'FILE_TOO_LARGE', field: 'photo', maxSize: 10 }
+  });
+});
+
+test('errorHandler answers storage errors and passes anything else on', async () => {
+  const seen = [];
+  const tooLarge = new FileTooLargeError({ field: 'photo', maxSize: 10 });
+  assert.deepEqual(await handle(tooLarge, { onError: err => seen.push(err) }), {
+    status: 413,
+    body: { error: 'File too large. Max size: 10 bytes', code: 'FILE_TOO_LARGE', field: 'photo', maxSize: 10 }
+  });
+  assert.deepEqual(seen, [tooLarge]);
+
+  // Provider messages can name buckets and hosts
+  const down = new ProviderError('s3', 'upload', new Error('bucket secret-bucket unreachable'));
+  assert.deepEqual(await handle(down), { status: 502, body: { error: 'Storage error', code: 'PROVIDER_ERROR' } });
+  assert.equal((await handle(down, { exposeServerErrors: true })).body.error, 's3 upload failed: bucket secret-bucket unreachable');
+
+  const other = new Error('boom');
+  assert.deepEqual(await handle(other), { passed: other });
+});
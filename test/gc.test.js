@@ -0,0 +1,78 @@
+// @semantql/storage/test/gc.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectGarbage } from '../lib/garbageCollector.js';
+import { createTestStorage, createTestModelFileService, createMockFile, createMockRequest } from '../testing.js';
+
+// Files written two days ago, past the default grace period
+function age(storage, ...keys) {
+  for (const key of keys) storage.provider.files.get(key).uploadedAt = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+}
+
+test('a dry run reports orphans without deleting them, a real run deletes only those', async () => {
+  const storage = createTestStorage();
+  const kept = await storage.upload(createMockFile({ name: 'kept.txt' }), { folder: 'docs' });
+  const orphan = await storage.upload(createMockFile({ name: 'orphan.txt', content: 'orphaned' }), { folder: 'docs' });
+  const hidden = await storage.upload(createMockFile({ name: 'hidden.txt' }), { folder: 'docs', visibility: 'private' });
+  const fresh = await storage.upload(createMockFile({ name: 'fresh.txt' }), { folder: 'docs' });
+  age(storage, kept.key, orphan.key, hidden.key);
+
+  const asked = [];
+  const findReferenced = async candidates => {
+    asked.push(...candidates.map(candidate => candidate.reference));
+    return [kept.url];
+  };
+
+  const report = await collectGarbage(storage, { findReferenced, batchSize: 2 });
+  assert.equal(report.dryRun, true);
+  assert.deepEqual([report.scanned, report.recent, report.referenced], [4, 1, 1]);
+  assert.deepEqual(report.orphans.map(candidate => candidate.key).sort(), [orphan.key, hidden.key].sort());
+  assert.equal(report.bytes, 'orphaned'.length + 'test'.length);
+  assert.deepEqual(report.deleted, []);
+  assert.equal(storage.provider.files.size, 4);
+  // Private files are referenced by key, public ones by URL
+  assert.deepEqual(asked.sort(), [kept.url, orphan.url, hidden.key].sort());
+
+  const run = await collectGarbage(storage, { findReferenced, dryRun: false });
+  assert.deepEqual(run.deleted.sort(), [orphan.key, hidden.key].sort());
+  assert.deepEqual([...storage.provider.files.keys()].sort(), [kept.key, fresh.key].sort());
+});
+
+test('orphans shared through dedupe are deleted by ID, whatever their reference count', async () => {
+  const storage = createTestStorage({ registry: 'memory', dedupe: true });
+  const first = await storage.upload(createMockFile({ name: 'a.txt', content: 'same' }));
+  await storage.upload(createMockFile({ name: 'b.txt', content: 'same' }));
+  age(storage, first.key);
+
+  const report = await collectGarbage(storage, { findReferenced: async () => [], dryRun: false });
+  assert.deepEqual(report.orphans.map(candidate => candidate.reference), [first.id]);
+  assert.deepEqual(report.deleted, [first.key]);
+  assert.equal(storage.provider.files.size, 0);
+  assert.equal(await storage.getFile(first.id), null);
+});
+
+test('a model only collects keys laid out for its own file fields', async () => {
+  const storage = createTestStorage();
+  const service = createTestModelFileService('Product', { fileFields: { photo: { maxFiles: 1 }, manual: { maxFiles: 1 } } }, storage);
+  const uploaded = await service.processFiles(createMockRequest({ photo: createMockFile(), manual: createMockFile({ name: 'm.txt' }) }), { id: 1 });
+  const other = await storage.upload(createMockFile(), { folder: 'product/1/invoice' });
+  const elsewhere = await storage.upload(createMockFile(), { folder: 'docs' });
+  age(storage, ...storage.provider.files.keys());
+
+  const candidates = [];
+  const report = await service.collectGarbage({
+    findReferenced: async page => {
+      candidates.push(...page);
+      return [uploaded.photo[0]];
+    }
+  });
+
+  assert.equal(report.scanned, 2);
+  assert.deepEqual(candidates.map(candidate => candidate.field).sort(), ['manual', 'photo']);
+  assert.deepEqual(report.orphans.map(candidate => candidate.url), uploaded.manual);
+  assert.ok(storage.provider.files.has(other.key) && storage.provider.files.has(elsewhere.key));
+});
+
+test('collectGarbage needs a findReferenced callback', async () => {
+  await assert.rejects(collectGarbage(createTestStorage(), {}), { name: 'ConfigError' });
+});
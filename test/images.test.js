@@ -0,0 +1,68 @@
+// @semantql/storage/test/images.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { createTestStorage, createTestModelFileService, createMockFile, createMockRequest } from '../testing.js';
+
+// A 400x300 JPEG that says where it was taken, stored rotated (EXIF orientation 6)
+const photo = () => sharp({ create: { width: 400, height: 300, channels: 3, background: '#c33' } })
+  .withMetadata({ orientation: 6, exif: { IFD0: { Make: 'Camera', Model: 'Phone' } } })
+  .jpeg()
+  .toBuffer();
+
+test('image fields store their variants next to the original', async () => {
+  const storage = createTestStorage();
+  const service = createTestModelFileService('Product', {
+    fileFields: {
+      photo: { maxFiles: 2, variants: { thumb: { width: 100, format: 'webp' }, square: { width: 50, height: 50 } } }
+    }
+  }, storage);
+
+  const req = createMockRequest({
+    photo: [
+      createMockFile({ name: 'shoe.jpg', content: await photo(), mimetype: 'image/jpeg' }),
+      createMockFile({ name: 'notes.txt' })
+    ]
+  });
+  const [image, text] = (await service.processFiles(req, { id: 1 })).photo;
+
+  assert.deepEqual(Object.keys(image), ['original', 'thumb', 'square']);
+  assert.match(image.thumb, /shoe-thumb\.webp$/);
+  assert.deepEqual(Object.keys(text), ['original']);
+
+  // Variants are turned upright: the 400x300 original is 300 wide once rotated
+  const thumb = await sharp(await storage.get(image.thumb)).metadata();
+  assert.equal(thumb.format, 'webp');
+  assert.equal(thumb.width, 100);
+  assert.equal(thumb.height, 133);
+  assert.equal(thumb.exif, undefined);
+  const square = await sharp(await storage.get(image.square)).metadata();
+  assert.deepEqual([square.format, square.width, square.height], ['jpeg', 50, 50]);
+
+  await service.deleteFiles({ photo: [image, text] });
+  assert.equal(storage.provider.files.size, 0);
+});
+
+test('stripMetadata drops EXIF from originals', async () => {
+  const storage = createTestStorage();
+  const service = createTestModelFileService('Product', { fileFields: { photo: { maxFiles: 1, stripMetadata: true } } }, storage);
+
+  const original = await photo();
+  assert.ok((await sharp(original).metadata()).exif);
+
+  const { photo: [url] } = await service.processFiles(createMockRequest({ photo: createMockFile({ name: 'shoe.jpg', content: original, mimetype: 'image/jpeg' }) }), { id: 1 });
+  const stored = await sharp(await storage.get(url)).metadata();
+  assert.equal(stored.exif, undefined);
+  assert.deepEqual([stored.width, stored.height], [300, 400]);
+});
+
+test('a variant that cannot be made takes the stored original with it', async () => {
+  const storage = createTestStorage();
+  const service = createTestModelFileService('Product', {
+    fileFields: { photo: { maxFiles: 1, variants: { thumb: { width: 100 }, print: { format: 'bmp' } } } }
+  }, storage);
+
+  const req = createMockRequest({ photo: createMockFile({ name: 'shoe.jpg', content: await photo(), mimetype: 'image/jpeg' }) });
+  await assert.rejects(service.processFiles(req, { id: 1 }), { name: 'ConfigError', message: /"bmp" for image variant "print"/ });
+  assert.equal(storage.provider.files.size, 0);
+});
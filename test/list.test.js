@@ -0,0 +1,64 @@
+// @semantql/storage/test/list.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import StorageService from '../lib/StorageService.js';
+import { createTestStorage, createMockFile } from '../testing.js';
+
+async function localStorage(t) {
+  const root = await fs.promises.mkdtemp(join(os.tmpdir(), 'semantq-list-'));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+  return new StorageService({ provider: 'local', local: { root } });
+}
+
+const KEYS = ['docs/a.txt', 'docs/b.txt', 'docs/c.txt', 'docs/2024/d.txt', 'docs2/e.txt', 'private/docs/f.txt'];
+
+async function fill(storage) {
+  for (const key of KEYS) {
+    const path = key.replace(/^private\//, '');
+    const slash = path.lastIndexOf('/');
+    await storage.upload(createMockFile({ content: key }), {
+      folder: path.slice(0, slash),
+      name: path.slice(slash + 1),
+      visibility: key.startsWith('private/') ? 'private' : 'public'
+    });
+  }
+}
+
+for (const [name, create] of [['memory', () => createTestStorage()], ['local', localStorage]]) {
+  test(`listing pages through a prefix in key order (${name})`, async t => {
+    const storage = await create(t);
+    await fill(storage);
+
+    const keys = [];
+    let cursor;
+    let pages = 0;
+    do {
+      const page = await storage.list('docs/', { limit: 2, cursor });
+      assert.ok(page.items.length <= 2);
+      keys.push(...page.items.map(item => item.key));
+      cursor = page.cursor;
+      pages++;
+    } while (cursor);
+
+    assert.deepEqual(keys, ['docs/2024/d.txt', 'docs/a.txt', 'docs/b.txt', 'docs/c.txt']);
+    assert.equal(pages, 2);
+
+    const { items } = await storage.list('private/');
+    assert.deepEqual(items.map(item => [item.key, item.url]), [['private/docs/f.txt', null]]);
+    assert.equal((await storage.list('docs/a')).items[0].size, 'docs/a.txt'.length);
+    assert.deepEqual((await storage.list('nothing/')).items, []);
+  });
+}
+
+test('cursors from another provider, or made up, are refused', async t => {
+  const memory = createTestStorage();
+  const local = await localStorage(t);
+  await fill(memory);
+
+  const { cursor } = await memory.list('docs/', { limit: 1 });
+  await assert.rejects(local.list('docs/', { cursor }), { code: 'INVALID_CURSOR', status: 400 });
+  await assert.rejects(memory.list('docs/', { cursor: 'not a cursor' }), { code: 'INVALID_CURSOR' });
+});
@@ -0,0 +1,62 @@
+// @semantql/storage/test/local.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import LocalProvider from '../providers/local.js';
+import StorageService from '../lib/StorageService.js';
+import { createMockFile } from '../testing.js';
+
+async function tempRoot(t) {
+  const root = await fs.promises.mkdtemp(join(os.tmpdir(), 'semantq-local-'));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+  return root;
+}
+
+test('files are written under the root and served from the base URL', async t => {
+  const root = await tempRoot(t);
+  const storage = new StorageService({ provider: 'local', local: { root, baseUrl: '/files' } });
+
+  const stored = await storage.upload(createMockFile({ name: 'my file.txt', content: 'hello' }), { folder: 'docs' });
+  assert.match(stored.key, /^docs\/\d+-my_file\.txt$/);
+  assert.equal(stored.url, `/files/${stored.key}`);
+  assert.equal(await fs.promises.readFile(join(root, stored.key), 'utf8'), 'hello');
+
+  const hidden = await storage.upload(createMockFile({ name: 'p.txt' }), { folder: 'docs', visibility: 'private' });
+  assert.match(hidden.key, /^private\/docs\//);
+  assert.equal(hidden.url, null);
+
+  await storage.delete(stored.url);
+  assert.equal(fs.existsSync(join(root, stored.key)), false);
+  await storage.delete(stored.url);
+});
+
+test('keys cannot reach outside the root', async t => {
+  const root = await tempRoot(t);
+  const provider = new LocalProvider({ root });
+
+  assert.throws(() => provider.resolveKey('../escape.txt'), /Invalid storage key/);
+  assert.throws(() => provider.resolveKey('docs/../../escape.txt'), /Invalid storage key/);
+  await assert.rejects(provider.upload(createMockFile(), { key: '../escape.txt' }), /Invalid storage key/);
+  await assert.rejects(provider.get('/uploads/../../etc/passwd'), /Invalid storage key/);
+  assert.equal(provider.resolveKey('docs/../a.txt'), join(root, 'a.txt'));
+});
+
+test('a failed stream leaves nothing behind', async t => {
+  const root = await tempRoot(t);
+  const provider = new LocalProvider({ root });
+  let sent = false;
+  const failing = new Readable({
+    read() {
+      if (sent) return this.destroy(new Error('connection reset'));
+      sent = true;
+      this.push('partial');
+    }
+  });
+
+  await assert.rejects(provider.uploadStream(failing, { originalname: 'a.txt', mimetype: 'text/plain' }, { key: 'docs/a.txt' }), /connection reset/);
+  assert.deepEqual(await fs.promises.readdir(join(root, 'docs')), []);
+  assert.deepEqual((await provider.list('')).items, []);
+});
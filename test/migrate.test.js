@@ -0,0 +1,82 @@
+// @semantql/storage/test/migrate.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import StorageService from '../lib/StorageService.js';
+import { migrateFiles, readMigrationMapping } from '../lib/migrate.js';
+import { createTestStorage, createMockFile } from '../testing.js';
+
+// Memory source, local target, and a mapping file next to the target's files
+async function createMigration(t) {
+  const dir = await fs.promises.mkdtemp(join(os.tmpdir(), 'semantq-migrate-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  const source = createTestStorage();
+  const target = new StorageService({ provider: 'local', local: { root: join(dir, 'files'), baseUrl: '/files' } });
+  return { source, target, mappingFile: join(dir, 'migration', 'mapping.jsonl') };
+}
+
+test('files are copied with their folder, visibility and contents, and mapped old to new', async t => {
+  const { source, target, mappingFile } = await createMigration(t);
+  const a = await source.upload(createMockFile({ name: 'a.txt', content: 'one' }), { folder: 'docs' });
+  const b = await source.upload(createMockFile({ name: 'a.txt', content: 'two' }), { folder: 'docs' });
+  const hidden = await source.upload(createMockFile({ name: 'h.txt', content: 'secret' }), { folder: 'docs', visibility: 'private' });
+
+  const report = await migrateFiles(source, target, { mappingFile });
+  assert.deepEqual(report, { migrated: 3, skipped: 0, failed: [] });
+
+  const mapping = Object.fromEntries((await readMigrationMapping(mappingFile)).map(entry => [entry.fromKey, entry]));
+  for (const [stored, content] of [[a, 'one'], [b, 'two'], [hidden, 'secret']]) {
+    const { from, to, toKey } = mapping[stored.key];
+    assert.equal(from, stored.url ?? null);
+    assert.equal(String(await target.get(toKey)), content);
+    assert.equal(to === null, stored.visibility === 'private');
+  }
+  // Same folder, same file name, a key of their own
+  assert.match(mapping[a.key].toKey, /^docs\/\d+-.*a\.txt$/);
+  assert.notEqual(mapping[a.key].toKey, mapping[b.key].toKey);
+  assert.match(mapping[hidden.key].toKey, /^private\/docs\/\d+-.*h\.txt$/);
+});
+
+test('a migration run again with its mapping file resumes where it stopped', async t => {
+  const { source, target, mappingFile } = await createMigration(t);
+  const stored = [];
+  for (const name of ['a.txt', 'b.txt', 'c.txt', 'd.txt']) {
+    stored.push(await source.upload(createMockFile({ name, content: name }), { folder: 'docs' }));
+  }
+
+  // The provider drops out on one file
+  const getStream = source.provider.getStream;
+  source.provider.getStream = async key => {
+    if (source.keyFromUrl(key) === stored[2].key) throw new Error('connection reset');
+    return getStream.call(source.provider, key);
+  };
+  const first = await migrateFiles(source, target, { mappingFile, concurrency: 2 });
+  assert.equal(first.migrated, 3);
+  assert.deepEqual(first.failed.map(failure => failure.key), [stored[2].key]);
+
+  // ...and the process died while writing the last line
+  await fs.promises.appendFile(mappingFile, '{"from":"memory://storage/docs/');
+
+  source.provider.getStream = getStream;
+  const copied = [];
+  const second = await migrateFiles(source, target, { mappingFile, onFile: mapping => copied.push(mapping.fromKey) });
+  assert.deepEqual(second, { migrated: 1, skipped: 3, failed: [] });
+  assert.deepEqual(copied, [stored[2].key]);
+
+  const mapping = await readMigrationMapping(mappingFile);
+  assert.deepEqual(mapping.map(entry => entry.fromKey).sort(), stored.map(file => file.key).sort());
+  assert.deepEqual(await migrateFiles(source, target, { mappingFile }), { migrated: 0, skipped: 4, failed: [] });
+});
+
+test('only keys under the prefix are migrated, and a mapping file is required', async t => {
+  const { source, target, mappingFile } = await createMigration(t);
+  await source.upload(createMockFile(), { folder: 'docs' });
+  await source.upload(createMockFile(), { folder: 'other' });
+
+  assert.equal((await migrateFiles(source, target, { mappingFile, prefix: 'docs/' })).migrated, 1);
+  assert.deepEqual((await target.list('')).items.map(item => item.key.split('/')[0]), ['docs']);
+  await assert.rejects(migrateFiles(source, target, {}), { name: 'ConfigError' });
+});
@@ -0,0 +1,135 @@
+// @semantql/storage/test/quotas.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { PassThrough } from 'stream';
+import { setImmediate } from 'timers/promises';
+import { createTestStorage, createMockFile } from '../testing.js';
+
+const quota = { userId: 7 };
+
+function createQuotaStorage(limits) {
+  return createTestStorage({ quotas: { policies: { userId: limits } } });
+}
+
+test('uploads are charged, refused past the limit and refunded on delete', async () => {
+  const storage = createQuotaStorage({ maxBytes: 10, maxFiles: 2 });
+
+  const first = await storage.upload(createMockFile({ content: '123456' }), { quota });
+  await assert.rejects(storage.upload(createMockFile({ content: '12345' }), { quota }), { code: 'QUOTA_EXCEEDED', status: 413 });
+  assert.equal(storage.provider.files.size, 1);
+
+  const usage = await storage.getQuotaUsage(quota);
+  assert.equal(usage.userId.used.bytes, 6);
+  assert.equal(usage.userId.remaining.files, 1);
+
+  await storage.delete(first.url);
+  assert.equal((await storage.getQuotaUsage(quota)).userId.used.bytes, 0);
+  await storage.upload(createMockFile({ content: '12345' }), { quota });
+});
+
+test('a failed batch gives its reservation back', async () => {
+  const storage = createQuotaStorage({ maxBytes: 10 });
+  storage.provider.upload = async () => { throw new Error('provider is down'); };
+
+  await assert.rejects(storage.upload([createMockFile({ content: '12345' }), createMockFile({ content: '12345' })], { quota }));
+  assert.deepEqual(storage.quotas.pending.get('userId:7').bytes, 0);
+});
+
+test('a stream holds the bytes it has sent until it is counted', async () => {
+  const storage = createQuotaStorage({ maxBytes: 10 });
+  const stream = new PassThrough();
+  const streaming = storage.uploadStream(stream, { originalname: 'a.txt', mimetype: 'text/plain' }, { quota });
+
+  stream.write('12345678');
+  await setImmediate();
+  await assert.rejects(storage.upload(createMockFile({ content: '12345' }), { quota }), { code: 'QUOTA_EXCEEDED' });
+
+  stream.end();
+  const stored = await streaming;
+  assert.equal(stored.size, 8);
+  assert.equal((await storage.getQuotaUsage(quota)).userId.used.bytes, 8);
+  assert.equal(storage.quotas.pending.get('userId:7').bytes, 0);
+});
+
+test('a stream is stopped once it goes past the quota', async () => {
+  const storage = createQuotaStorage({ maxBytes: 10 });
+  await storage.upload(createMockFile({ content: '123456' }), { quota });
+
+  const stream = new PassThrough();
+  const streaming = storage.uploadStream(stream, { originalname: 'a.txt', mimetype: 'text/plain' }, { quota });
+  stream.end('12345');
+  await assert.rejects(streaming, { code: 'QUOTA_EXCEEDED' });
+  assert.equal(storage.provider.files.size, 1);
+  assert.equal((await storage.getQuotaUsage(quota)).userId.used.bytes, 6);
+});
+
+test('category limits apply to their own files, and every policy in the context is checked', async () => {
+  const storage = createTestStorage({
+    quotas: {
+      policies: {
+        tenantId: { maxBytes: 20 },
+        userId: { maxFiles: 5, categories: { document: { maxFiles: 1 } } }
+      }
+    }
+  });
+  const context = { tenantId: 't1', userId: 7 };
+
+  await storage.upload(createMockFile({ name: 'a.pdf', content: '%PDF-1.7\n', mimetype: 'application/pdf' }), { quota: context });
+  await assert.rejects(storage.upload(createMockFile({ name: 'b.pdf', content: '%PDF-1.7\n', mimetype: 'application/pdf' }), { quota: context }), {
+    subject: 'userId',
+    category: 'document',
+    limit: 'maxFiles',
+    message: 'Storage quota exceeded for userId 7 (document files): 1 of 1 files used'
+  });
+  await storage.upload(createMockFile({ name: 'c.csv', content: '1234567890', mimetype: 'text/csv' }), { quota: context });
+
+  // The user has room left, the tenant doesn't
+  await assert.rejects(storage.upload(createMockFile({ content: '12345' }), { quota: { tenantId: 't1', userId: 8 } }), {
+    subject: 'tenantId',
+    remaining: { bytes: 1, files: null }
+  });
+
+  const usage = await storage.getQuotaUsage(context);
+  assert.equal(usage.tenantId.used.bytes, 19);
+  assert.equal(usage.userId.used.files, 2);
+  assert.equal(usage.userId.used.categories.document.files, 1);
+});
+
+test('limits can be looked up per value', async () => {
+  const plans = { free: 5, pro: 50 };
+  const storage = createTestStorage({
+    quotas: { policies: { tenantId: async tenantId => ({ maxBytes: plans[tenantId] }) } }
+  });
+
+  await assert.rejects(storage.upload(createMockFile({ content: '1234567890' }), { quota: { tenantId: 'free' } }), { allowed: 5 });
+  await storage.upload(createMockFile({ content: '1234567890' }), { quota: { tenantId: 'pro' } });
+});
+
+test('moves keep their charge, copies are charged again', async () => {
+  const storage = createQuotaStorage({ maxBytes: 10 });
+  const stored = await storage.upload(createMockFile({ content: '1234' }), { quota });
+
+  const moved = await storage.move(stored.url, 'docs/moved.txt');
+  assert.equal((await storage.getQuotaUsage(quota)).userId.used.bytes, 4);
+  await storage.copy(moved.key, 'docs/copy.txt');
+  assert.equal((await storage.getQuotaUsage(quota)).userId.used.bytes, 8);
+
+  await storage.delete(moved.key);
+  assert.equal((await storage.getQuotaUsage(quota)).userId.used.bytes, 4);
+});
+
+test('the json store keeps usage across restarts', async t => {
+  const dir = await fs.promises.mkdtemp(join(os.tmpdir(), 'semantq-quotas-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const quotas = { policies: { userId: { maxBytes: 10 } }, store: { adapter: 'json', path: join(dir, 'usage.json') } };
+
+  await createTestStorage({ quotas }).upload(createMockFile({ content: '123456' }), { quota });
+  const restarted = createTestStorage({ quotas });
+  assert.equal((await restarted.getQuotaUsage(quota)).userId.used.bytes, 6);
+  await assert.rejects(restarted.upload(createMockFile({ content: '12345' }), { quota }), { code: 'QUOTA_EXCEEDED' });
+
+  assert.throws(() => createTestStorage({ quotas: { ...quotas, store: { adapter: 'json' } } }), { name: 'ConfigError' });
+});
@@ -0,0 +1,54 @@
+// @semantql/storage/test/read.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { text } from 'stream/consumers';
+import StorageService from '../lib/StorageService.js';
+import { createTestStorage, createMockFile } from '../testing.js';
+
+async function localStorage(t) {
+  const root = await fs.promises.mkdtemp(join(os.tmpdir(), 'semantq-read-'));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+  return new StorageService({ provider: 'local', local: { root } });
+}
+
+for (const [name, create] of [['memory', () => createTestStorage()], ['local', localStorage]]) {
+  test(`files read back by URL or key (${name})`, async t => {
+    const storage = await create(t);
+    const stored = await storage.upload(createMockFile({ name: 'a.txt', content: 'hello' }), { metadata: { owner: '7' } });
+
+    for (const ref of [stored.url, stored.key]) {
+      assert.equal(String(await storage.get(ref)), 'hello');
+      assert.equal(await text(await storage.getStream(ref)), 'hello');
+      assert.equal(await storage.exists(ref), true);
+    }
+
+    const head = await storage.head(stored.url);
+    assert.equal(head.key, stored.key);
+    assert.equal(head.size, 5);
+    assert.equal(head.type, 'text/plain');
+    assert.ok(head.lastModified instanceof Date);
+  });
+
+  test(`missing files are a 404 (${name})`, async t => {
+    const storage = await create(t);
+
+    assert.equal(await storage.exists('uploads/missing.txt'), false);
+    for (const read of ['get', 'getStream', 'head']) {
+      await assert.rejects(storage[read]('uploads/missing.txt'), { name: 'ProviderError', code: 'FILE_NOT_FOUND', status: 404 }, read);
+    }
+  });
+}
+
+test('bare keys are read from the disk the options name, URLs from the disk that issued them', async () => {
+  const storage = createTestStorage({
+    disks: { archive: { provider: 'memory', memory: { baseUrl: 'memory://archive' } } }
+  });
+  const stored = await storage.upload(createMockFile({ content: 'archived' }), { disk: 'archive', folder: 'docs', name: 'a.txt' });
+
+  assert.equal(String(await storage.get(stored.url)), 'archived');
+  assert.equal(String(await storage.get('docs/a.txt', { disk: 'archive' })), 'archived');
+  assert.equal(await storage.exists('docs/a.txt'), false);
+});
@@ -0,0 +1,87 @@
+// @semantql/storage/test/registry.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import StorageService from '../lib/StorageService.js';
+import { createTestStorage, createMockFile } from '../testing.js';
+
+test('uploads are recorded under an ID with their details', async () => {
+  const storage = createTestStorage({ registry: 'memory' });
+  const stored = await storage.upload(createMockFile({ name: 'a.txt', content: 'hello' }), {
+    folder: 'docs',
+    field: 'manual',
+    uploadedBy: 7,
+    metadata: { sku: 'A1' }
+  });
+
+  assert.match(stored.id, /^file_[a-f0-9]{32}$/);
+  const file = await storage.getFile(stored.id);
+  assert.equal(file.key, stored.key);
+  assert.equal(file.url, stored.url);
+  assert.equal(file.disk, 'default');
+  assert.equal(file.name, 'a.txt');
+  assert.equal(file.size, 5);
+  assert.equal(file.field, 'manual');
+  assert.equal(file.uploadedBy, 7);
+  assert.deepEqual(file.metadata, { sku: 'A1' });
+  assert.equal(file.checksum, '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+  assert.equal(file.references, 1);
+
+  // Deleting by URL removes the record too
+  await storage.delete(stored.url);
+  assert.equal(await storage.getFile(stored.id), null);
+  assert.equal(storage.provider.files.size, 0);
+});
+
+test('files are reference counted and go with their last reference', async () => {
+  const storage = createTestStorage({ registry: 'memory' });
+  const { id, key } = await storage.upload(createMockFile());
+
+  assert.equal(await storage.retainFile(id), 2);
+  assert.equal(await storage.releaseFile(id), 1);
+  assert.equal(await storage.exists(key), true);
+  await storage.delete(id);
+  assert.equal(await storage.exists(key), false);
+
+  const shared = await storage.upload(createMockFile());
+  await storage.retainFile(shared.id);
+  await storage.deleteFile(shared.id);
+  assert.equal(await storage.getFile(shared.id), null);
+  assert.equal(await storage.exists(shared.key), false);
+});
+
+test('the json registry keeps its records across restarts', async t => {
+  const dir = await fs.promises.mkdtemp(join(os.tmpdir(), 'semantq-registry-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const registry = { adapter: 'json', path: join(dir, 'data', 'files.json') };
+
+  const storage = createTestStorage({ registry });
+  const stored = await storage.upload(createMockFile({ name: 'a.txt' }), { uploadedBy: 7 });
+  await storage.retainFile(stored.id);
+
+  const restarted = new StorageService({ provider: 'memory', registry });
+  const file = await restarted.getFile(stored.id);
+  assert.deepEqual([file.key, file.uploadedBy, file.references], [stored.key, 7, 2]);
+});
+
+test('registries that keep records on disk need a path, and custom registries are used as they are', async () => {
+  assert.throws(() => createTestStorage({ registry: 'json' }), { name: 'ConfigError', message: /needs a path/ });
+  assert.throws(() => createTestStorage({ registry: 'sqlite' }), { name: 'ConfigError', message: /needs a path/ });
+  assert.throws(() => createTestStorage({ registry: 'postgres' }), { name: 'ConfigError' });
+
+  const records = new Map();
+  const registry = {
+    get: async id => records.get(id) ?? null,
+    put: async record => records.set(record.id, record).get(record.id),
+    delete: async id => records.delete(id),
+    findOne: async filter => [...records.values()].find(record =>
+      Object.entries(filter).every(([field, value]) => (record[field] ?? null) === value)) ?? null
+  };
+  const storage = createTestStorage({ registry });
+  const stored = await storage.upload(createMockFile());
+  assert.equal(records.get(stored.id).key, stored.key);
+  await storage.delete(stored.key);
+  assert.equal(records.size, 0);
+});
@@ -0,0 +1,101 @@
+// @semantql/storage/test/replicated.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import StorageService from '../lib/StorageService.js';
+import { createMockFile } from '../testing.js';
+
+// Memory primary, local secondary; the index lives next to the secondary's files
+async function createReplicatedStorage(t, settings = {}) {
+  const dir = await fs.promises.mkdtemp(join(os.tmpdir(), 'semantq-replicated-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  const storage = new StorageService({
+    provider: 'replicated',
+    replicated: {
+      primary: 'memory',
+      secondary: { provider: 'local', root: join(dir, 'files'), baseUrl: '/replica' },
+      index: join(dir, 'replicas.json'),
+      ...settings
+    }
+  });
+  const { primary, secondary } = storage.provider.sides;
+  return { storage, primary, secondary };
+}
+
+test('uploads are mirrored, and reads fall back to the replica', async t => {
+  const { storage, primary, secondary } = await createReplicatedStorage(t);
+
+  const stored = await storage.upload(createMockFile({ name: 'a.txt', content: 'hello' }));
+  const entry = await storage.provider.index.get(stored.key);
+  assert.equal(entry.side, 'primary');
+  assert.equal(String(await secondary.get(entry.replica)), 'hello');
+
+  primary.files.delete(stored.key);
+  assert.equal(String(await storage.get(stored.url)), 'hello');
+
+  await storage.delete(stored.url);
+  assert.equal(await secondary.exists(entry.replica), false);
+  assert.equal(await storage.provider.index.get(stored.key), null);
+});
+
+test('uploads fail over to the secondary, and reconcile mirrors them back', async t => {
+  const { storage, primary } = await createReplicatedStorage(t);
+  const upload = primary.upload;
+  primary.upload = async () => { throw new Error('primary is down'); };
+
+  const stored = await storage.upload(createMockFile({ name: 'b.txt', content: 'failover' }));
+  assert.equal((await storage.provider.index.get(stored.key)).side, 'secondary');
+  assert.equal(String(await storage.get(stored.url)), 'failover');
+
+  primary.upload = upload;
+  const dryRun = await storage.reconcile({ dryRun: true, scan: false });
+  assert.deepEqual(dryRun.mirrored, [stored.key]);
+  assert.equal(primary.files.size, 0);
+
+  const report = await storage.reconcile({ scan: false });
+  assert.deepEqual(report.mirrored, [stored.key]);
+  assert.deepEqual(report.failed, []);
+  const { replica } = await storage.provider.index.get(stored.key);
+  assert.equal(String(await primary.get(replica)), 'failover');
+  assert.deepEqual((await storage.reconcile({ scan: false })).mirrored, []);
+});
+
+test('direct uploads go to the primary and are mirrored once confirmed', async t => {
+  const { storage, primary, secondary } = await createReplicatedStorage(t);
+
+  const { uploadUrl, token, key } = await storage.createUploadUrl({ filename: 'c.txt', contentType: 'text/plain', size: 6 });
+  primary.receiveUpload(uploadUrl, 'direct', 'text/plain');
+  const confirmed = await storage.confirmUpload(token);
+
+  assert.equal(confirmed.key, key);
+  const { replica } = await storage.provider.index.get(key);
+  assert.equal(String(await secondary.get(replica)), 'direct');
+});
+
+test('copies and moves keep their key and are mirrored', async t => {
+  const { storage, primary, secondary } = await createReplicatedStorage(t);
+  const stored = await storage.upload(createMockFile({ name: 'd.txt', content: 'copied' }));
+
+  const copy = await storage.copy(stored.url, 'docs/copy.txt');
+  assert.equal(copy.key, 'docs/copy.txt');
+  const moved = await storage.move(copy.url, 'archive/moved.txt');
+  assert.equal(moved.key, 'archive/moved.txt');
+
+  assert.equal(await primary.exists('docs/copy.txt'), false);
+  assert.equal(String(await primary.get('archive/moved.txt')), 'copied');
+  assert.equal(await storage.provider.index.get('docs/copy.txt'), null);
+  const { replica } = await storage.provider.index.get('archive/moved.txt');
+  assert.equal(String(await secondary.get(replica)), 'copied');
+});
+
+test('features that choose keys are refused when either side picks its own names', () => {
+  const config = { provider: 'replicated', replicated: { primary: 'memory', secondary: { provider: 'cloudinary' }, index: {} } };
+  assert.throws(() => new StorageService({ ...config, dedupe: true }), { name: 'ConfigError', message: /cloudinary/ });
+  assert.throws(() => new StorageService({ ...config, nameTemplate: '{uuid}{ext}' }), { name: 'ConfigError' });
+  assert.throws(() => new StorageService({ ...config, replicated: { ...config.replicated, secondary: 'uploadthing' }, tenancy: { root: 't/{tenantId}' } }), {
+    name: 'ConfigError'
+  });
+});
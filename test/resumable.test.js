@@ -0,0 +1,102 @@
+// @semantql/storage/test/resumable.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import http from 'http';
+import { join } from 'path';
+import { createResumableUploadHandler } from '../middleware.js';
+import { createTestStorage } from '../testing.js';
+
+// Serves the handler at /files with just enough of Express's req/res for it
+async function startTus(t, options = {}) {
+  const dir = await fs.promises.mkdtemp(join(os.tmpdir(), 'semantq-resumable-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const storage = createTestStorage();
+  const handler = createResumableUploadHandler({ storage, dir, ...options });
+
+  const server = http.createServer((req, res) => {
+    req.baseUrl = '/files';
+    req.path = new URL(req.url, 'http://localhost').pathname.slice('/files'.length);
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = data => { res.setHeader('Content-Type', 'application/json'); res.end(JSON.stringify(data)); };
+    handler(req, res, err => res.status(err ? 500 : 404).end());
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const tus = (path, init = {}) => fetch(`${url}${path}`, { ...init, headers: { 'Tus-Resumable': '1.0.0', ...init.headers } });
+  return { storage, tus };
+}
+
+const metadata = (fields) => Object.entries(fields).map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`).join(',');
+
+function patch(tus, location, offset, body) {
+  return tus(location, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) },
+    body
+  });
+}
+
+test('a file sent in chunks is resumed from the server offset and committed once complete', async t => {
+  const { storage, tus } = await startTus(t);
+
+  const created = await tus('/files', {
+    method: 'POST',
+    headers: { 'Upload-Length': '11', 'Upload-Metadata': metadata({ filename: 'a.txt', filetype: 'text/plain', field: 'manual' }) }
+  });
+  assert.equal(created.status, 201);
+  const location = created.headers.get('location');
+  assert.match(location, /^\/files\/[a-f0-9]{32}$/);
+
+  const first = await patch(tus, location, 0, 'hello');
+  assert.equal(first.status, 204);
+  assert.equal(first.headers.get('upload-offset'), '5');
+  assert.equal(first.headers.get('storage-upload-token'), null);
+
+  // The client lost track of the offset and asks the server where to carry on
+  const head = await tus(location, { method: 'HEAD' });
+  assert.equal(head.headers.get('upload-offset'), '5');
+  assert.equal(head.headers.get('upload-length'), '11');
+  assert.equal((await patch(tus, location, 0, 'hello')).status, 409);
+
+  const last = await patch(tus, location, 5, ' world');
+  assert.equal(last.status, 204);
+  assert.equal(last.headers.get('upload-offset'), '11');
+
+  const confirmed = await storage.confirmUpload(last.headers.get('storage-upload-token'));
+  assert.match(confirmed.key, /^uploads\/manual\//);
+  assert.equal(String(await storage.get(confirmed.key)), 'hello world');
+});
+
+test('chunks past the declared length are refused', async t => {
+  const { tus } = await startTus(t);
+  const created = await tus('/files', {
+    method: 'POST',
+    headers: { 'Upload-Length': '3', 'Upload-Metadata': metadata({ filename: 'a.txt' }) }
+  });
+
+  assert.equal((await patch(tus, created.headers.get('location'), 0, 'too long')).status, 413);
+});
+
+test('terminated uploads are gone, and requests without the protocol version are refused', async t => {
+  const { storage, tus } = await startTus(t);
+  const created = await tus('/files', {
+    method: 'POST',
+    headers: { 'Upload-Length': '10', 'Upload-Metadata': metadata({ filename: 'a.txt' }) }
+  });
+  const location = created.headers.get('location');
+  await patch(tus, location, 0, 'hello');
+
+  assert.equal((await tus(location, { method: 'DELETE' })).status, 204);
+  assert.equal((await tus(location, { method: 'HEAD' })).status, 404);
+  assert.equal((await patch(tus, location, 5, 'world')).status, 404);
+  assert.equal(storage.provider.files.size, 0);
+
+  const options = await fetch(created.url, { method: 'OPTIONS' });
+  assert.equal(options.status, 204);
+  assert.equal(options.headers.get('tus-extension'), 'creation,expiration,termination');
+  assert.equal((await fetch(created.url, { method: 'POST', headers: { 'Upload-Length': '1' } })).status, 412);
+});
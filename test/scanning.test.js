@@ -0,0 +1,100 @@
+// @semantql/storage/test/scanning.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { Readable } from 'stream';
+import ClamdScanner from '../scanners/clamd.js';
+import { createTestStorage, createMockFile } from '../testing.js';
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// A clamd that speaks PING and INSTREAM, and flags anything carrying the EICAR test string
+async function startClamd(t) {
+  const scans = [];
+  const server = net.createServer(socket => {
+    let data = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      data = Buffer.concat([data, chunk]);
+      if (data.toString('latin1').startsWith('zPING\0')) return socket.end('PONG\0');
+      if (!data.toString('latin1').startsWith('zINSTREAM\0')) return;
+
+      // Length-prefixed chunks, ended by a zero length
+      const chunks = [];
+      for (let offset = 'zINSTREAM\0'.length; offset + 4 <= data.length;) {
+        const length = data.readUInt32BE(offset);
+        if (length === 0) {
+          const content = Buffer.concat(chunks).toString('latin1');
+          scans.push(content);
+          return socket.end(content.includes(EICAR) ? 'stream: Eicar-Signature FOUND\0' : 'stream: OK\0');
+        }
+        if (offset + 4 + length > data.length) return;
+        chunks.push(data.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { port: server.address().port, scans };
+}
+
+test('the clamd scanner streams files over INSTREAM in chunks', async t => {
+  const { port, scans } = await startClamd(t);
+  const scanner = new ClamdScanner({ port, chunkSize: 16 });
+
+  assert.equal(await scanner.ping(), true);
+  assert.deepEqual(await scanner.scan(Buffer.from('hello world, this is clean')), { infected: false, viruses: [] });
+  assert.deepEqual(await scanner.scan(Readable.from([Buffer.from('a'), Buffer.from(EICAR)])), {
+    infected: true,
+    viruses: ['Eicar-Signature']
+  });
+  assert.deepEqual(scans, ['hello world, this is clean', `a${EICAR}`]);
+});
+
+test('infected uploads are refused and nothing is kept', async t => {
+  const { port } = await startClamd(t);
+  const storage = createTestStorage({ scanner: 'clamd', clamd: { port } });
+
+  const clean = await storage.upload(createMockFile({ name: 'a.txt', content: 'clean' }));
+  assert.equal(String(await storage.get(clean.key)), 'clean');
+
+  await assert.rejects(
+    storage.upload([createMockFile({ name: 'b.txt' }), createMockFile({ name: 'eicar.txt', content: EICAR })]),
+    { code: 'MALWARE_DETECTED', status: 422, filename: 'eicar.txt', viruses: ['Eicar-Signature'] }
+  );
+  assert.equal(storage.provider.calls.upload.length, 1);
+
+  await assert.rejects(
+    storage.uploadStream(Readable.from([Buffer.from(EICAR)]), { originalname: 'eicar.txt', mimetype: 'text/plain' }),
+    { code: 'MALWARE_DETECTED' }
+  );
+  assert.deepEqual([...storage.provider.files.keys()], [clean.key]);
+});
+
+test('quarantined uploads are promoted once clean and removed when infected', async t => {
+  const { port } = await startClamd(t);
+  const storage = createTestStorage({ scanner: 'clamd', clamd: { port }, quarantine: true });
+
+  const clean = await storage.upload(createMockFile({ name: 'a.txt', content: 'clean' }), { folder: 'docs' });
+  assert.match(clean.key, /^docs\//);
+  const streamed = await storage.uploadStream(Readable.from([Buffer.from('streamed')]), { originalname: 'b.txt', mimetype: 'text/plain' }, { folder: 'docs' });
+
+  await assert.rejects(storage.upload(createMockFile({ name: 'eicar.txt', content: EICAR })), { code: 'MALWARE_DETECTED' });
+  await assert.rejects(
+    storage.uploadStream(Readable.from([Buffer.from(EICAR)]), { originalname: 'eicar.txt', mimetype: 'text/plain' }),
+    { code: 'MALWARE_DETECTED' }
+  );
+
+  assert.deepEqual([...storage.provider.files.keys()].sort(), [clean.key, streamed.key].sort());
+});
+
+test('uploads fail when the scanner cannot be reached', async () => {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+
+  const storage = createTestStorage({ scanner: 'clamd', clamd: { port } });
+  await assert.rejects(storage.upload(createMockFile()), /clamd connection failed/);
+  assert.equal(storage.provider.files.size, 0);
+});
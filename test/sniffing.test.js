@@ -0,0 +1,64 @@
+// @semantql/storage/test/sniffing.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectMimeType, verifyFileType } from '../utils.js';
+import { createTestStorage, createMockFile } from '../testing.js';
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000', 'hex');
+const EXE = Buffer.from('MZ\x90\x00\x03\x00\x00\x00', 'latin1');
+const ZIP = Buffer.concat([Buffer.from('PK\x03\x04', 'latin1'), Buffer.alloc(26), Buffer.from('word/document.xml')]);
+
+test('types are detected from the leading bytes', () => {
+  assert.equal(detectMimeType(PNG), 'image/png');
+  assert.equal(detectMimeType(Buffer.from('%PDF-1.7\n')), 'application/pdf');
+  assert.equal(detectMimeType(ZIP), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+  assert.equal(detectMimeType(EXE), 'application/x-msdownload');
+  assert.equal(detectMimeType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')), 'image/svg+xml');
+  assert.equal(detectMimeType(Buffer.from('name,size\na,1\n')), 'text/plain');
+  assert.equal(detectMimeType(Buffer.from([0x00, 0x01, 0x02, 0x03])), null);
+});
+
+test('files whose contents contradict their type or extension are refused', () => {
+  const disguised = [
+    { originalname: 'photo.png', mimetype: 'image/png', buffer: EXE },
+    { originalname: 'photo.png', mimetype: 'application/octet-stream', buffer: EXE },
+    { originalname: 'report.pdf', mimetype: 'application/pdf', buffer: PNG },
+    { originalname: 'notes.txt', mimetype: 'text/plain', buffer: EXE },
+    { originalname: 'photo.jpg', mimetype: 'image/jpeg', buffer: Buffer.from([0x00, 0x01, 0x02, 0x03]) },
+    { originalname: 'image.svg', mimetype: 'image/png', buffer: Buffer.from('<svg onload="alert(1)"></svg>') }
+  ];
+  for (const file of disguised) {
+    assert.throws(() => verifyFileType(file), { code: 'INVALID_FILE_TYPE', status: 415 }, file.originalname);
+  }
+
+  assert.equal(verifyFileType({ originalname: 'photo.png', mimetype: 'image/png', buffer: PNG }), 'image/png');
+  assert.equal(verifyFileType({ originalname: 'data.csv', mimetype: 'text/csv', buffer: Buffer.from('a,b\n') }), 'text/plain');
+  assert.equal(verifyFileType({ originalname: 'report.docx', mimetype: 'application/zip', buffer: ZIP }), detectMimeType(ZIP));
+  assert.equal(verifyFileType({ originalname: 'setup.exe', mimetype: 'application/x-msdownload', buffer: EXE }), 'application/x-msdownload');
+});
+
+test('uploads are sniffed before they reach the provider', async () => {
+  const storage = createTestStorage();
+
+  await assert.rejects(
+    storage.upload(createMockFile({ name: 'photo.png', content: EXE, mimetype: 'image/png' })),
+    { code: 'INVALID_FILE_TYPE', detectedType: 'application/x-msdownload' }
+  );
+  assert.equal(storage.provider.calls.upload.length, 0);
+
+  // A generic declared type is checked against allow lists as what it really is
+  const stored = await storage.upload(createMockFile({ name: 'photo', content: PNG, mimetype: 'application/octet-stream' }), {
+    allowedCategories: ['image']
+  });
+  assert.equal(stored.detectedType, 'image/png');
+  await assert.rejects(
+    storage.upload(createMockFile({ name: 'doc', content: '%PDF-1.7\n', mimetype: 'application/octet-stream' }), { allowedCategories: ['image'] }),
+    { code: 'INVALID_FILE_TYPE' }
+  );
+});
+
+test('sniffing can be turned off', async () => {
+  const storage = createTestStorage({ sniff: false });
+  const stored = await storage.upload(createMockFile({ name: 'photo.png', content: EXE, mimetype: 'image/png' }));
+  assert.equal(stored.detectedType ?? null, null);
+});
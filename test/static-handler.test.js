@@ -0,0 +1,69 @@
+// @semantql/storage/test/static-handler.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { Writable } from 'stream';
+import LocalProvider from '../providers/local.js';
+import { createLocalStaticHandler } from '../middleware.js';
+
+// Runs the handler as if mounted at /uploads, and collects what it sends
+function serve(handler, url) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const res = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+    res.statusCode = 200;
+    res.headers = {};
+    res.status = code => { res.statusCode = code; return res; };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.on('finish', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+
+    const req = { method: 'GET', path: url.split('?')[0].slice('/uploads'.length), originalUrl: url, url };
+    handler(req, res, err => (err ? reject(err) : resolve({ status: 404 })));
+  });
+}
+
+test('private files are only served through signed URLs, whatever the path looks like', async t => {
+  const root = await fs.promises.mkdtemp(join(os.tmpdir(), 'semantq-static-'));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+  const options = { root, baseUrl: '/uploads', secret: 'test-secret' };
+  const provider = new LocalProvider(options);
+  const handler = createLocalStaticHandler(options);
+
+  await fs.promises.mkdir(join(root, 'private'), { recursive: true });
+  await fs.promises.mkdir(join(root, 'public'), { recursive: true });
+  await fs.promises.writeFile(join(root, 'private', 'f.txt'), 'secret');
+  await fs.promises.writeFile(join(root, 'public', 'f.txt'), 'hello');
+
+  assert.equal((await serve(handler, '/uploads/public/f.txt')).body, 'hello');
+
+  for (const url of [
+    '/uploads/private/f.txt',
+    '/uploads/./private/f.txt',
+    '/uploads/x/../private/f.txt',
+    '/uploads/%2e/private/f.txt',
+    '/uploads/public/%2e%2e/private/f.txt',
+    '/uploads//private/f.txt'
+  ]) {
+    assert.equal((await serve(handler, url)).status, 403, url);
+  }
+  assert.equal((await serve(handler, '/uploads/../outside.txt')).status, 403);
+
+  const signed = await provider.getSignedUrl('private/f.txt', { expiresIn: 60 });
+  const response = await serve(handler, signed);
+  assert.equal(response.status, 200);
+  assert.equal(response.body, 'secret');
+  assert.equal(response.headers['cache-control'], 'private, no-store');
+
+  const tampered = signed.replace(/signature=[^&]+/, 'signature=0000');
+  assert.equal((await serve(handler, tampered)).status, 403);
+
+  const expired = await provider.getSignedUrl('private/f.txt', { expiresIn: -1 });
+  assert.equal((await serve(handler, expired)).status, 403);
+});
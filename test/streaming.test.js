@@ -0,0 +1,75 @@
+// @semantql/storage/test/streaming.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { createStreamingUploadMiddleware } from '../middleware.js';
+import { createTestStorage } from '../testing.js';
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000', 'hex');
+
+// A multipart request as Node hands it to Express, built from a FormData
+async function multipartRequest(parts) {
+  const form = new FormData();
+  for (const [field, value, filename, type] of parts) {
+    if (filename) form.append(field, new Blob([value], { type }), filename);
+    else form.append(field, value);
+  }
+  const request = new Request('http://localhost/upload', { method: 'POST', body: form });
+  const req = Readable.from(Buffer.from(await request.arrayBuffer()));
+  req.headers = { 'content-type': request.headers.get('content-type') };
+  return req;
+}
+
+function run(middleware, req) {
+  return new Promise(resolve => middleware[0](req, {}, resolve));
+}
+
+test('file parts are streamed to storage as they arrive', async () => {
+  const storage = createTestStorage();
+  const middleware = createStreamingUploadMiddleware({ storage, fields: ['photo', 'manual'] });
+  const req = await multipartRequest([
+    ['title', 'Shoe'],
+    ['photo', PNG, 'shoe.png', 'image/png'],
+    ['manual', 'hello', 'manual.txt', 'text/plain']
+  ]);
+
+  assert.equal(await run(middleware, req), undefined);
+  assert.equal(req.body.title, 'Shoe');
+  assert.equal(req.storedFiles.photo[0].size, PNG.length);
+  assert.match(req.storedFiles.photo[0].key, /^uploads\/photo\//);
+  assert.equal(req.storedFiles.photo[0].detectedType, 'image/png');
+  assert.equal(String(await storage.get(req.storedFiles.manual[0].key)), 'hello');
+});
+
+test('a part over maxFileSize fails the request and nothing is kept', async () => {
+  const storage = createTestStorage();
+  const middleware = createStreamingUploadMiddleware({ storage, fields: ['small', 'big'], maxFileSize: 10 });
+  const req = await multipartRequest([
+    ['small', 'hello', 'a.txt', 'text/plain'],
+    ['big', 'x'.repeat(100), 'b.txt', 'text/plain']
+  ]);
+
+  const err = await run(middleware, req);
+  assert.equal(err.code, 'FILE_TOO_LARGE');
+  assert.equal(err.status, 413);
+  assert.equal(storage.provider.files.size, 0);
+});
+
+test('contents that do not match the declared type never reach the provider', async () => {
+  const storage = createTestStorage();
+  const middleware = createStreamingUploadMiddleware({ storage, fields: ['photo'] });
+  const req = await multipartRequest([['photo', 'MZ\x90\x00 not an image', 'shoe.png', 'image/png']]);
+
+  const err = await run(middleware, req);
+  assert.equal(err.status, 415);
+  assert.equal(storage.provider.calls.upload.length, 0);
+});
+
+test('unexpected fields are refused', async () => {
+  const storage = createTestStorage();
+  const middleware = createStreamingUploadMiddleware({ storage, fields: ['photo'] });
+  const req = await multipartRequest([['other', 'hello', 'a.txt', 'text/plain']]);
+
+  assert.equal((await run(middleware, req)).code, 'UNEXPECTED_FIELD');
+  assert.equal(storage.provider.files.size, 0);
+});
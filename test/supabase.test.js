@@ -0,0 +1,159 @@
+// @semantql/storage/test/supabase.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { Readable } from 'stream';
+import StorageService from '../lib/StorageService.js';
+import { createMockFile } from '../testing.js';
+
+// Just enough of the Storage REST API to run the provider against: objects live in a Map by bucket/path
+async function startSupabase(t) {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+    const path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.replace(/^\/storage\/v1\/object\//, ''));
+    requests.push({ method: req.method, path, headers: req.headers });
+
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    const missing = () => send(400, { statusCode: '404', error: 'not_found', message: 'Object not found' });
+
+    if (req.headers.authorization !== 'Bearer service-key') return send(401, { message: 'Invalid JWT' });
+
+    const [action, ...rest] = path.split('/');
+    const json = () => JSON.parse(body.toString() || '{}');
+
+    if (req.method === 'GET' && action === 'info') {
+      const object = objects.get(rest.join('/'));
+      if (!object) return missing();
+      return send(200, { size: object.body.length, content_type: object.type, created_at: object.created, metadata: object.metadata });
+    }
+    if (req.method === 'GET' && action === 'authenticated') {
+      const object = objects.get(rest.join('/'));
+      if (!object) return missing();
+      res.writeHead(200, { 'Content-Type': object.type });
+      return res.end(object.body);
+    }
+    if (req.method === 'POST' && action === 'sign') {
+      return send(200, { signedURL: `/object/sign/${rest.join('/')}?token=signed-${json().expiresIn}` });
+    }
+    if (req.method === 'POST' && action === 'list') {
+      const [bucket] = rest;
+      const { prefix, limit, offset } = json();
+      const entries = new Map();
+      for (const [id, object] of objects) {
+        if (!id.startsWith(`${bucket}/${prefix ? `${prefix}/` : ''}`)) continue;
+        const [name, ...below] = id.slice(bucket.length + 1 + (prefix ? prefix.length + 1 : 0)).split('/');
+        entries.set(name, below.length ? { name, id: null } : { name, id, created_at: object.created, metadata: { size: object.body.length } });
+      }
+      return send(200, [...entries.values()].sort((a, b) => (a.name < b.name ? -1 : 1)).slice(offset, offset + limit));
+    }
+    if (req.method === 'POST' && (action === 'copy' || action === 'move')) {
+      const { bucketId, sourceKey, destinationKey, destinationBucket = bucketId } = json();
+      const object = objects.get(`${bucketId}/${sourceKey}`);
+      if (!object) return missing();
+      objects.set(`${destinationBucket}/${destinationKey}`, { ...object });
+      if (action === 'move') objects.delete(`${bucketId}/${sourceKey}`);
+      return send(200, { message: 'Successfully copied' });
+    }
+    if (req.method === 'DELETE') {
+      const removed = json().prefixes.filter(key => objects.delete(`${action}/${key}`));
+      return send(200, removed.map(name => ({ name })));
+    }
+    if (req.method === 'HEAD') {
+      res.writeHead(objects.has(path) ? 200 : 400);
+      return res.end();
+    }
+    if (req.method === 'POST') {
+      if (objects.has(path) && req.headers['x-upsert'] !== 'true') {
+        return send(400, { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' });
+      }
+      const metadata = req.headers['x-metadata'] ? JSON.parse(Buffer.from(req.headers['x-metadata'], 'base64').toString()) : {};
+      objects.set(path, { body, type: req.headers['content-type'], metadata, created: new Date().toISOString() });
+      return send(200, { Key: path });
+    }
+    send(404, { message: 'Unknown route' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const storage = new StorageService({
+    provider: 'supabase',
+    supabase: { url, serviceKey: 'service-key', bucket: 'files', privateBucket: 'vault' }
+  });
+  return { storage, objects, requests, url };
+}
+
+test('uploads land in the public or private bucket and read back', async t => {
+  const { storage, objects, url } = await startSupabase(t);
+
+  const stored = await storage.upload(createMockFile({ name: 'a.txt', content: 'hello' }), { folder: 'docs', metadata: { owner: 7 } });
+  assert.match(stored.url, new RegExp(`^${url}/storage/v1/object/public/files/docs/\\d+-a\\.txt$`));
+  assert.deepEqual(objects.get(`files/${stored.key}`).metadata, { owner: 7 });
+
+  const hidden = await storage.uploadStream(Readable.from([Buffer.from('secret')]), { originalname: 'b.txt', mimetype: 'text/plain' }, {
+    folder: 'docs',
+    visibility: 'private'
+  });
+  assert.equal(hidden.url, null);
+  assert.ok(objects.has(`vault/${hidden.key}`));
+
+  assert.equal(String(await storage.get(stored.url)), 'hello');
+  assert.equal(String(await storage.get(hidden.key)), 'secret');
+  const head = await storage.head(stored.url);
+  assert.equal(head.size, 5);
+  assert.equal(head.type, 'text/plain');
+  assert.equal(await storage.exists(stored.url), true);
+  assert.equal(await storage.exists('docs/missing.txt'), false);
+  await assert.rejects(storage.get('docs/missing.txt'), { status: 404 });
+
+  const signed = await storage.getSignedUrl(hidden.key, { expiresIn: 60, disposition: 'attachment; filename="b.txt"' });
+  assert.equal(signed, `${url}/storage/v1/object/sign/vault/${hidden.key}?token=signed-60&download=b.txt`);
+});
+
+test('listing walks nested folders a page at a time', async t => {
+  const { storage } = await startSupabase(t);
+  for (const key of ['docs/a.txt', 'docs/b.txt', 'docs/2024/c.txt', 'other/d.txt']) {
+    const slash = key.lastIndexOf('/');
+    await storage.upload(createMockFile(), { folder: key.slice(0, slash), name: key.slice(slash + 1) });
+  }
+
+  const first = await storage.list('docs/', { limit: 2 });
+  assert.deepEqual(first.items.map(item => item.key), ['docs/2024/c.txt', 'docs/a.txt']);
+  const second = await storage.list('docs/', { limit: 2, cursor: first.cursor });
+  assert.deepEqual(second.items.map(item => item.key), ['docs/b.txt']);
+  assert.equal(second.cursor, null);
+});
+
+test('copies cross buckets when the visibility changes, moves and deletes remove the source', async t => {
+  const { storage, objects } = await startSupabase(t);
+  const stored = await storage.upload(createMockFile({ name: 'a.txt', content: 'hello' }), { folder: 'docs', name: 'a.txt' });
+
+  const copy = await storage.copy(stored.url, 'private/archive/a.txt');
+  assert.equal(copy.bucket, 'vault');
+  assert.equal(String(objects.get('vault/private/archive/a.txt').body), 'hello');
+
+  const moved = await storage.move(stored.url, 'docs/b.txt');
+  assert.equal(moved.key, 'docs/b.txt');
+  assert.equal(objects.has('files/docs/a.txt'), false);
+
+  await storage.delete(moved.url);
+  assert.deepEqual([...objects.keys()], ['vault/private/archive/a.txt']);
+});
+
+test('uploads to a chosen key replace the object already there', async t => {
+  const { storage, requests } = await startSupabase(t);
+
+  await storage.upload(createMockFile({ content: 'one' }), { folder: 'docs', name: 'a.txt' });
+  await storage.upload(createMockFile({ content: 'two' }), { folder: 'docs', name: 'a.txt' });
+  assert.equal(String(await storage.get('docs/a.txt')), 'two');
+  assert.ok(requests.filter(request => request.method === 'POST' && request.path === 'files/docs/a.txt').every(request => request.headers['x-upsert'] === 'true'));
+});
@@ -0,0 +1,79 @@
+// @semantql/storage/test/templates.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { renderTemplate, validateTemplate } from '../lib/templates.js';
+import { createTestStorage, createTestModelFileService, createMockFile, createMockRequest } from '../testing.js';
+
+const file = { originalname: 'Crème Brûlée!.JPG', buffer: Buffer.from('test') };
+const date = new Date(Date.UTC(2024, 2, 5, 9, 7, 3));
+
+test('tokens, filters and context values render into a path', () => {
+  assert.equal(renderTemplate('{model}/{date:YYYY/MM}/{id}', { model: 'post', id: 42, date }, 'folder'), 'post/2024/03/42');
+  assert.equal(renderTemplate('{date:YYYY-MM-DD_HH.mm.ss}', { date }, 'folder'), '2024-03-05_09.07.03');
+  assert.equal(renderTemplate('{hash:8}-{originalname|slug}{ext}', { file }), '9f86d081-creme-brulee.jpg');
+  assert.equal(renderTemplate('{field|upper}-{originalname|lower}', { field: 'cover', file }), 'COVER-crème brûlée!');
+  assert.match(renderTemplate('{uuid}{ext}', { file }), /^[0-9a-f-]{36}\.jpg$/);
+  assert.equal(renderTemplate(({ id, file: { originalname } }) => `files/${id}-${originalname.length}`, { id: 7, file }), 'files/7-17');
+});
+
+test('templates are checked up front', () => {
+  const refused = [
+    ['{nope:1}', 'name'],
+    ['{originalname|camel}', 'name'],
+    ['{date:YYYY//MM}', 'folder'],
+    ['{date:Q}', 'folder'],
+    ['{hash:0}', 'name'],
+    ['{hash}', 'folder'],
+    ['{originalname}', 'folder'],
+    ['{field}', 'root'],
+    ['{model', 'folder'],
+    ['model}', 'folder']
+  ];
+  for (const [template, scope] of refused) {
+    assert.throws(() => validateTemplate(template, scope), { name: 'ConfigError' }, template);
+  }
+  validateTemplate('{model}/{date:YYYY/MM}/{id}', 'folder');
+  validateTemplate('tenants/{tenantId|lower}', 'root');
+
+  assert.throws(() => createTestStorage({ nameTemplate: '{originalname|camel}' }), { name: 'ConfigError' });
+  assert.throws(() => createTestStorage({ tenancy: { root: 'tenants/{date}' } }), { name: 'ConfigError' });
+  assert.throws(() => createTestModelFileService('Doc', { folderTemplate: '{model}/{ext}' }), { name: 'ConfigError' });
+});
+
+test('values that would leave their folder are refused when the path is rendered', () => {
+  for (const id of ['..', 'a/b', '', 'a\\b']) {
+    assert.throws(() => renderTemplate('{model}/{id}', { model: 'post', id }, 'folder'), { code: 'INVALID_PATH', status: 400 }, id);
+  }
+  assert.throws(() => renderTemplate('{model}/{id}', { model: 'post' }, 'folder'), { code: 'MISSING_TEMPLATE_VALUE', variable: 'id' });
+  assert.throws(() => renderTemplate(() => '../escape', {}, 'folder'), { code: 'INVALID_PATH' });
+  assert.throws(() => renderTemplate(() => 'a//b', {}, 'folder'), { code: 'INVALID_PATH' });
+});
+
+test('storage and model templates name uploaded files', async () => {
+  const storage = createTestStorage({ nameTemplate: '{hash:8}{ext}' });
+  const stored = await storage.upload(createMockFile({ name: 'A.TXT' }), { folder: 'docs' });
+  assert.equal(stored.key, 'docs/9f86d081.txt');
+  const named = await storage.upload(createMockFile({ name: 'r.txt' }), { folder: 'reports', name: '{date:YYYY}-{originalname|upper}{ext}' });
+  assert.equal(named.key, `reports/${new Date().getUTCFullYear()}-R.txt`);
+
+  // Streams have no contents up front to hash
+  await assert.rejects(
+    storage.uploadStream(Readable.from([Buffer.from('test')]), { originalname: 'a.txt', mimetype: 'text/plain' }),
+    { name: 'ConfigError', message: /\{hash\} needs the file contents/ }
+  );
+
+  const service = createTestModelFileService('Post', {
+    folderTemplate: '{model}/{slug}',
+    nameTemplate: '{field}-{originalname|slug}{ext}',
+    fileFields: { cover: { maxFiles: 1 }, attachments: { maxFiles: 2, nameTemplate: '{hash:4}{ext}' } }
+  }, storage);
+  const result = await service.processFiles(createMockRequest({
+    cover: createMockFile({ name: 'My Photo.txt' }),
+    attachments: createMockFile({ name: 'x.txt' })
+  }), { slug: 'hello' });
+
+  assert.equal(storage.keyFromUrl(result.cover[0]), 'post/hello/cover/cover-my-photo.txt');
+  assert.equal(storage.keyFromUrl(result.attachments[0]), 'post/hello/attachments/9f86.txt');
+  await assert.rejects(service.processFiles(createMockRequest({ cover: createMockFile() }), {}), { code: 'MISSING_TEMPLATE_VALUE' });
+});
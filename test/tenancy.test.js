@@ -0,0 +1,51 @@
+// @semantql/storage/test/tenancy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import StorageService from '../lib/StorageService.js';
+import { createTestStorage, createMockFile } from '../testing.js';
+
+const A = { tenantId: 'a' };
+const B = { tenantId: 'b' };
+
+test('uploads cannot climb out of the tenant root through the folder', async t => {
+  const root = await fs.promises.mkdtemp(join(os.tmpdir(), 'semantq-tenancy-'));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+  const storage = new StorageService({ provider: 'local', local: { root }, tenancy: { root: 'tenants/{tenantId}' } });
+
+  for (const folder of ['../b/docs', 'docs/../../b', './docs', '/docs', 'docs//x']) {
+    await assert.rejects(storage.upload(createMockFile({ name: 'a.txt' }), { folder, tenant: A }), { code: 'INVALID_PATH', status: 400 });
+  }
+  await assert.rejects(
+    storage.uploadStream(Readable.from([Buffer.from('hi')]), { originalname: 'a.txt', mimetype: 'text/plain' }, { folder: '../b', tenant: A }),
+    { code: 'INVALID_PATH' }
+  );
+  await assert.rejects(
+    storage.createUploadUrl({ filename: 'a.txt', contentType: 'text/plain', size: 2, folder: '../b', tenant: A }),
+    { code: 'INVALID_PATH' }
+  );
+  assert.equal(fs.existsSync(join(root, 'tenants', 'b')), false);
+
+  const stored = await storage.upload(createMockFile({ name: 'a.txt' }), { folder: 'docs', tenant: A });
+  assert.match(stored.key, /^tenants\/a\/docs\//);
+});
+
+test("a tenant cannot read, delete, list or copy another tenant's files", async () => {
+  const storage = createTestStorage({ registry: 'memory', tenancy: { root: 'tenants/{tenantId}' } });
+  const mine = await storage.upload(createMockFile({ name: 'a.txt' }), { tenant: A });
+  const theirs = await storage.upload(createMockFile({ name: 'b.txt' }), { tenant: B });
+
+  assert.equal(String(await storage.get(mine.key, { tenant: A })), 'test');
+  await assert.rejects(storage.get(theirs.key, { tenant: A }), { code: 'OUTSIDE_TENANT', status: 403 });
+  await assert.rejects(storage.delete(theirs.id, { tenant: A }), { code: 'OUTSIDE_TENANT' });
+  await assert.rejects(storage.list('tenants/b/', { tenant: A }), { code: 'OUTSIDE_TENANT' });
+  await assert.rejects(storage.copy(mine.key, 'tenants/b/stolen.txt', { tenant: A }), { code: 'OUTSIDE_TENANT' });
+  assert.throws(() => storage.assertAccessible(theirs.url, { tenant: A }), { code: 'OUTSIDE_TENANT' });
+
+  const { items } = await storage.list('', { tenant: A });
+  assert.deepEqual(items.map(item => item.key), [mine.key]);
+  assert.equal(await storage.exists(theirs.key), true);
+});
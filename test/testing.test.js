@@ -0,0 +1,42 @@
+// @semantql/storage/test/testing.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createTestStorage,
+  createTestModelFileService,
+  createMockFile,
+  createMockRequest,
+  MemoryProvider
+} from '@semantq/storage/testing';
+
+test('the harness runs a model service end to end in memory', async () => {
+  const storage = createTestStorage();
+  assert.ok(storage.provider instanceof MemoryProvider);
+
+  const service = createTestModelFileService('Product', {
+    fileFields: { manual: { maxFiles: 1, allowedCategories: ['document'] } }
+  }, storage);
+  const req = createMockRequest({ manual: createMockFile({ name: 'a.txt', content: 'hello' }) }, { title: 'Shoe' });
+  assert.equal(req.uploadedFiles.manual[0].fieldname, 'manual');
+  assert.equal(req.body.title, 'Shoe');
+
+  const urls = await service.processFiles(req, { id: 1 });
+  const key = storage.keyFromUrl(urls.manual[0]);
+  assert.match(key, /^product\/1\/manual\//);
+  assert.equal(String(await storage.get(key)), 'hello');
+  assert.equal(storage.provider.calls.upload.length, 1);
+
+  await service.deleteFiles({ manual: urls.manual[0] });
+  assert.deepEqual(storage.provider.calls.delete, [urls.manual[0]]);
+  assert.equal(storage.provider.files.size, 0);
+});
+
+test('mock files default to a small text file and take buffers as they are', () => {
+  const file = createMockFile();
+  assert.equal(file.originalname, 'file.txt');
+  assert.equal(file.mimetype, 'text/plain');
+  assert.equal(file.size, 4);
+
+  const buffer = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+  assert.equal(createMockFile({ content: buffer }).buffer, buffer);
+});
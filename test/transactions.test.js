@@ -0,0 +1,86 @@
+// @semantql/storage/test/transactions.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { createTestStorage, createTestModelFileService, createMockFile, createMockRequest } from '../testing.js';
+
+test('a rolled back transaction removes its uploads and keeps what it was to delete', async () => {
+  const storage = createTestStorage();
+  const old = await storage.upload(createMockFile({ name: 'old.txt' }));
+
+  const transaction = storage.transaction();
+  const [a, b] = await transaction.upload([createMockFile({ name: 'a.txt' }), createMockFile({ name: 'b.txt' })]);
+  const streamed = await transaction.uploadStream(Readable.from([Buffer.from('streamed')]), { originalname: 'c.txt', mimetype: 'text/plain' });
+  const copy = await transaction.copy(old.key, 'docs/copy.txt');
+  transaction.delete(old.url);
+
+  assert.deepEqual(transaction.keys, [a.key, b.key, streamed.key, copy.key]);
+  const { removed } = await transaction.rollback();
+  assert.deepEqual(removed.sort(), [a.key, b.key, streamed.key, copy.key].sort());
+  assert.deepEqual([...storage.provider.files.keys()], [old.key]);
+
+  assert.deepEqual(await transaction.rollback(), { removed: [] });
+  await assert.rejects(transaction.upload(createMockFile()), { code: 'TRANSACTION_CLOSED' });
+  await assert.rejects(transaction.commit(), { code: 'TRANSACTION_CLOSED' });
+});
+
+test('committing keeps the uploads and carries out the deletes', async () => {
+  const storage = createTestStorage();
+  const old = await storage.upload(createMockFile({ name: 'old.txt' }));
+
+  const transaction = storage.transaction();
+  const added = await transaction.upload(createMockFile({ name: 'new.txt' }));
+  transaction.delete(old.url);
+
+  assert.deepEqual(await transaction.commit(), { uploaded: [added.key], deleted: [old.url], failed: [] });
+  assert.deepEqual([...storage.provider.files.keys()], [added.key]);
+  assert.throws(() => transaction.delete(added.key), { code: 'TRANSACTION_CLOSED' });
+});
+
+test('withTransaction rolls back when the work after the uploads fails', async () => {
+  const storage = createTestStorage();
+
+  await assert.rejects(storage.withTransaction(async transaction => {
+    await transaction.upload(createMockFile());
+    throw new Error('database write failed');
+  }), /database write failed/);
+  assert.equal(storage.provider.files.size, 0);
+
+  const stored = await storage.withTransaction(transaction => transaction.upload(createMockFile()));
+  assert.equal(await storage.exists(stored.key), true);
+});
+
+test('a rollback that cannot remove everything names the files left behind', async () => {
+  const storage = createTestStorage();
+  const transaction = storage.transaction();
+  const [kept, removed] = await transaction.upload([createMockFile({ name: 'a.txt' }), createMockFile({ name: 'b.txt' })]);
+
+  const remove = storage.provider.delete;
+  storage.provider.delete = async key => {
+    if (key === kept.key) throw new Error('provider is down');
+    return remove.call(storage.provider, key);
+  };
+
+  await assert.rejects(transaction.rollback(), { code: 'ROLLBACK_INCOMPLETE', keys: [kept.key] });
+  assert.equal(await storage.exists(removed.key), false);
+});
+
+test('processFiles hands its files to the caller\'s transaction', async () => {
+  const storage = createTestStorage();
+  const service = createTestModelFileService('Doc', { fileFields: { file: { maxFiles: 1 }, cover: { maxFiles: 1 } } }, storage);
+
+  // A failing field takes the files of the other fields with it
+  const bad = createMockRequest({ file: createMockFile(), cover: createMockFile({ name: 'c.png', content: 'not a png', mimetype: 'image/png' }) });
+  await assert.rejects(service.processFiles(bad, { id: 1 }), { code: 'INVALID_FILE_TYPE' });
+  assert.equal(storage.provider.files.size, 0);
+
+  const transaction = await service.transaction();
+  const old = await service.processFiles(createMockRequest({ file: createMockFile({ name: 'old.txt' }) }), { id: 1 });
+  const replaced = await service.processFiles(createMockRequest({ file: createMockFile({ name: 'new.txt' }) }), { id: 1 }, { transaction });
+  await service.cleanupReplacedFiles(old, replaced, { transaction });
+  assert.equal(storage.provider.files.size, 2);
+
+  // The record failed to save: the old file is still there, the new one is gone
+  await transaction.rollback();
+  assert.deepEqual([...storage.provider.files.keys()], [storage.keyFromUrl(old.file[0])]);
+});
@@ -0,0 +1,69 @@
+// @semantq/storage/testing.js
+// Helpers for testing code built on StorageService / ModelFileService offline
+import StorageService from './lib/StorageService.js';
+import { ModelFileService } from './lib/ModelFileService.js';
+import MemoryProvider from './providers/memory.js';
+
+/**
+ * Create a StorageService backed by the in-memory provider
+ * @param {Object} config - Extra storage config (e.g. maxFileSize)
+ * @returns {StorageService} Storage instance; `storage.provider` is the MemoryProvider
+ */
+export function createTestStorage(config = {}) {
+  return new StorageService({ ...config, provider: 'memory' });
+}
+
+/**
+ * Create a ModelFileService wired to in-memory storage
+ * @param {string} modelName - Name of the model (e.g., 'Product')
+ * @param {Object} modelFileConfig - Model-specific file configuration
+ * @param {StorageService} storage - Storage to use (defaults to a fresh test storage)
+ * @returns {ModelFileService}
+ */
+export function createTestModelFileService(modelName, modelFileConfig = {}, storage = createTestStorage()) {
+  return new ModelFileService(modelName, { ...modelFileConfig, storage });
+}
+
+/**
+ * Build a multer-style file object
+ * @param {Object} options - { name, content, mimetype }
+ * @returns {Object} File with originalname, buffer, mimetype and size
+ */
+export function createMockFile({ name = 'file.txt', content = 'test', mimetype = 'text/plain' } = {}) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+  return {
+    fieldname: 'file',
+    originalname: name,
+    mimetype,
+    buffer,
+    size: buffer.length
+  };
+}
+
+/**
+ * Build a request object as produced by createUploadMiddleware
+ * @param {Object} files - Files by field name, e.g. { mainImage: [file] }
+ * @param {Object} body - Request body
+ * @returns {Object} Request with uploadedFiles, files and body
+ */
+export function createMockRequest(files = {}, body = {}) {
+  const uploadedFiles = {};
+
+  for (const [fieldName, fieldFiles] of Object.entries(files)) {
+    uploadedFiles[fieldName] = (Array.isArray(fieldFiles) ? fieldFiles : [fieldFiles])
+      .map(file => ({ ...file, fieldname: fieldName }));
+  }
+
+  return { uploadedFiles, files: uploadedFiles, body };
+}
+
+export { MemoryProvider };
+
+export default {
+  createTestStorage,
+  createTestModelFileService,
+  createMockFile,
+  createMockRequest,
+  MemoryProvider
+};
@@ -0,0 +1,3 @@
+// Export all quota usage stores
+export { default as memory } from './memory.js';
+export { default as json } from './json.js';
@@ -0,0 +1,74 @@
+// JSON file usage store - keeps usage in memory and rewrites one file after every change
+// usage/json.js
+import fs from 'fs';
+import { dirname } from 'path';
+import MemoryUsageStore from './memory.js';
+import { ConfigError } from '../lib/errors.js';
+
+export default class JsonFileUsageStore extends MemoryUsageStore {
+  /**
+   * @param {Object} config - { path } of the JSON file (or STORAGE_USAGE_FILE)
+   */
+  constructor(config = {}) {
+    super();
+    // No default: a file in whatever directory the process happens to start in is easily lost on deploy
+    this.path = config.path || process.env.STORAGE_USAGE_FILE;
+    if (!this.path) {
+      throw new ConfigError('The json usage store needs a path, e.g. quotas.store: { adapter: \'json\', path: \'./data/usage.json\' }', {
+        store: 'json'
+      });
+    }
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  async get(subject) {
+    await this._load();
+    return super.get(subject);
+  }
+
+  async charge(charge) {
+    await this._load();
+    await super.charge(charge);
+    await this._save();
+    return charge;
+  }
+
+  async refund(disk, key) {
+    await this._load();
+    const charge = await super.refund(disk, key);
+    if (charge) await this._save();
+    return charge;
+  }
+
+  async find(disk, key) {
+    await this._load();
+    return super.find(disk, key);
+  }
+
+  _load() {
+    this.loading ||= fs.promises.readFile(this.path, 'utf8').then(
+      content => {
+        const { usage = {}, charges = {} } = JSON.parse(content);
+        this.usage = new Map(Object.entries(usage));
+        this.charges = new Map(Object.entries(charges));
+      },
+      err => {
+        if (err.code === 'ENOENT') return;
+        this.loading = null;
+        throw err;
+      }
+    );
+    return this.loading;
+  }
+
+  _save() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const data = { usage: Object.fromEntries(this.usage), charges: Object.fromEntries(this.charges) };
+      await fs.promises.mkdir(dirname(this.path), { recursive: true });
+      await fs.promises.writeFile(`${this.path}.tmp`, JSON.stringify(data));
+      await fs.promises.rename(`${this.path}.tmp`, this.path);
+    });
+    return this.writing;
+  }
+}
@@ -0,0 +1,65 @@
+// In-memory usage store - quota usage starts from zero after a restart, for tests and development
+// usage/memory.js
+
+export default class MemoryUsageStore {
+  constructor() {
+    // Totals by subject ('tenantId:42'), and what each stored file was charged for, by `${disk}:${key}`
+    this.usage = new Map();
+    this.charges = new Map();
+  }
+
+  /**
+   * Usage of one subject
+   * @param {string} subject - e.g. 'tenantId:42'
+   * @returns {Promise<Object>} { bytes, files, categories: { [category]: { bytes, files } } }
+   */
+  async get(subject) {
+    const usage = this.usage.get(subject);
+    return usage ? structuredClone(usage) : { bytes: 0, files: 0, categories: {} };
+  }
+
+  /**
+   * Count a stored file against its subjects; charging a key again replaces its earlier charge
+   * @param {Object} charge - { disk, key, subjects, size, category }
+   */
+  async charge(charge) {
+    await this.refund(charge.disk, charge.key);
+    this.charges.set(chargeId(charge.disk, charge.key), charge);
+    this._apply(charge, 1);
+    return charge;
+  }
+
+  /**
+   * Give back what a deleted file was charged for
+   * @returns {Promise<Object|null>} The charge, null if the file wasn't charged
+   */
+  async refund(disk, key) {
+    const charge = this.charges.get(chargeId(disk, key));
+    if (!charge) return null;
+
+    this.charges.delete(chargeId(disk, key));
+    this._apply(charge, -1);
+    return charge;
+  }
+
+  async find(disk, key) {
+    return this.charges.get(chargeId(disk, key)) || null;
+  }
+
+  _apply({ subjects, size = 0, category }, sign) {
+    for (const subject of subjects) {
+      const usage = this.usage.get(subject) || { bytes: 0, files: 0, categories: {} };
+      const counted = (usage.categories[category] ||= { bytes: 0, files: 0 });
+
+      usage.bytes += sign * size;
+      usage.files += sign;
+      counted.bytes += sign * size;
+      counted.files += sign;
+      this.usage.set(subject, usage);
+    }
+  }
+}
+
+function chargeId(disk, key) {
+  return `${disk}:${key}`;
+}
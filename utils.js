@@ -1,4 +1,8 @@
 // utils.js - Enhanced with category support
+import mime from 'mime-types';
+import { FileTooLargeError, InvalidFileTypeError } from './lib/errors.js';
+import { renderTemplate } from './lib/templates.js';
+
 export const MIME_CATEGORIES = {
   image: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/svg+xml', 'image/bmp', 'image/tiff'],
   audio: ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/midi', 'audio/x-wav', 'audio/x-m4a'],
@@ -50,6 +54,13 @@ export function getMimeTypesForCategory(category) {
   return MIME_CATEGORIES[category] || [];
 }
 
+/**
+ * Get the category a MIME type belongs to ('other' if none)
+ */
+export function getCategoryForMimeType(mimetype) {
+  return Object.keys(MIME_CATEGORIES).find(category => MIME_CATEGORIES[category].includes(mimetype)) || 'other';
+}
+
 /**
  * Expand categories to MIME types
  */
@@ -83,8 +94,314 @@ export function expandCategories(categories = []) {
   return Array.from(mimeTypes);
 }
 
+/**
+ * Define file fields for a model, filling in defaults
+ */
+export function defineFileFields(fields = {}) {
+  const defined = {};
+  
+  for (const [fieldName, config] of Object.entries(fields)) {
+    defined[fieldName] = { maxCount: 1, ...config };
+  }
+  
+  return defined;
+}
+
+/**
+ * Generate a folder path from a template such as '{model}/{date:YYYY/MM}/{id}' (see lib/templates.js)
+ * Values often come straight from a request, so each one must stay a single folder name:
+ * a slug of '../../other-tenant' is refused rather than allowed to climb out of its folder
+ */
+export function generateFolderPath(template, context = {}) {
+  return renderTemplate(template, context, 'folder');
+}
+
+/**
+ * Parse a human readable size ('5MB', '500kb', 1024) into bytes
+ */
+export function parseSize(size) {
+  if (typeof size === 'number') return size;
+  
+  const match = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size: ${size}`);
+  }
+  
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Number of leading bytes detectMimeType looks at
+ */
+export const SNIFF_BYTES = 4100;
+
+const ZIP_TYPES = [
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'application/vnd.oasis.opendocument.presentation'
+];
+
+// Legacy Office files are OLE compound documents
+const CFB_TYPES = [
+  'application/x-cfb',
+  'application/msword',
+  'application/vnd.ms-excel',
+  'application/vnd.ms-powerpoint'
+];
+
+const EXECUTABLE_TYPES = ['application/x-msdownload', 'application/x-executable', 'application/x-mach-binary'];
+
+// Types that share a container and can't always be told apart by their leading bytes
+const CONTENT_FAMILIES = [
+  ['image/jpeg', 'image/jpg', 'image/pjpeg'],
+  ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+  ['audio/ogg', 'video/ogg', 'application/ogg'],
+  ['video/mp4', 'audio/mp4', 'audio/x-m4a', 'video/x-m4v', 'video/quicktime', 'video/3gpp'],
+  ['video/webm', 'audio/webm', 'video/x-matroska'],
+  ['audio/midi', 'audio/x-midi'],
+  ['application/x-rar-compressed', 'application/vnd.rar', 'application/x-rar'],
+  ['application/x-msdownload', 'application/x-msdos-program', 'application/vnd.microsoft.portable-executable'],
+  ['application/javascript', 'text/javascript']
+];
+
+// Declared types that say nothing about the content
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// Types whose signature we know, so a file claiming one of them has to carry it
+const SNIFFABLE_TYPES = new Set([
+  ...Object.values(MIME_CATEGORIES).flat(),
+  ...CONTENT_FAMILIES.flat(),
+  ...ZIP_TYPES,
+  ...CFB_TYPES,
+  ...EXECUTABLE_TYPES
+]);
+
+function startsWith(buffer, bytes, offset = 0) {
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.toString('latin1', start, end);
+}
+
+// Plain text has no control characters besides tab, newlines, form feed and escape
+function isText(buffer) {
+  return !buffer.some(byte => byte < 0x09 || (byte > 0x0d && byte < 0x20 && byte !== 0x1b));
+}
+
+function isTextType(type) {
+  return type.startsWith('text/') ||
+    ['application/json', 'application/xml', 'application/javascript', 'application/x-sh', 'application/sql'].includes(type) ||
+    (!type.startsWith('image/') && (type.endsWith('+json') || type.endsWith('+xml')));
+}
+
+/**
+ * Detect a file's real MIME type from its leading bytes
+ * Knows every type in MIME_CATEGORIES, plus executables so they can be refused
+ * Text formats (code, CSV, HTML...) are all reported as text/plain, SVG and RTF excepted
+ * @param {Buffer} buffer - File contents (the first SNIFF_BYTES are enough)
+ * @returns {string|null} Detected MIME type, null if not recognised
+ */
+export function detectMimeType(buffer) {
+  if (!buffer || buffer.length === 0) return null;
+  
+  const head = buffer.subarray(0, SNIFF_BYTES);
+  
+  // Images
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (ascii(head, 0, 6) === 'GIF87a' || ascii(head, 0, 6) === 'GIF89a') return 'image/gif';
+  if (startsWith(head, [0x49, 0x49, 0x2a, 0x00]) || startsWith(head, [0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+  if (ascii(head, 0, 2) === 'BM' && head.length >= 18 && [12, 40, 52, 56, 108, 124].includes(head.readUInt32LE(14))) {
+    return 'image/bmp';
+  }
+  if (startsWith(head, [0x00, 0x00, 0x01, 0x00])) return 'image/x-icon';
+  
+  // RIFF containers
+  if (ascii(head, 0, 4) === 'RIFF') {
+    const format = ascii(head, 8, 12);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+    if (format === 'AVI ') return 'video/x-msvideo';
+  }
+  
+  // ISO base media (MP4, M4A, QuickTime, HEIC...)
+  if (ascii(head, 4, 8) === 'ftyp') {
+    const brand = ascii(head, 8, 12);
+    if (['M4A ', 'M4B ', 'M4P '].includes(brand)) return 'audio/x-m4a';
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand.startsWith('3g')) return 'video/3gpp';
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+    if (brand === 'avif') return 'image/avif';
+    return 'video/mp4';
+  }
+  if (['moov', 'mdat', 'wide', 'free', 'pnot'].includes(ascii(head, 4, 8))) return 'video/quicktime';
+  
+  // Matroska and WebM share EBML, the doctype tells them apart
+  if (startsWith(head, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return ascii(head, 0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska';
+  }
+  
+  // Audio
+  if (ascii(head, 0, 4) === 'OggS') return ascii(head, 0, 64).includes('theora') ? 'video/ogg' : 'audio/ogg';
+  if (ascii(head, 0, 4) === 'MThd') return 'audio/midi';
+  if (ascii(head, 0, 4) === 'fLaC') return 'audio/flac';
+  if (ascii(head, 0, 3) === 'ID3') return 'audio/mpeg';
+  if (head[0] === 0xff && (head[1] & 0xe0) === 0xe0) {
+    // MPEG frame sync: layer 0 is what AAC (ADTS) uses
+    return (head[1] & 0x06) === 0 ? 'audio/aac' : 'audio/mpeg';
+  }
+  
+  // Documents
+  if (ascii(head, 0, 5) === '%PDF-') return 'application/pdf';
+  if (ascii(head, 0, 5) === '{\\rtf') return 'application/rtf';
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    // Stream names are stored as UTF-16
+    if (head.includes(Buffer.from('WordDocument', 'utf16le'))) return 'application/msword';
+    if (head.includes(Buffer.from('Workbook', 'utf16le')) || head.includes(Buffer.from('Book', 'utf16le'))) {
+      return 'application/vnd.ms-excel';
+    }
+    if (head.includes(Buffer.from('PowerPoint Document', 'utf16le'))) return 'application/vnd.ms-powerpoint';
+    return 'application/x-cfb';
+  }
+  
+  // Archives (ZIP covers OOXML and OpenDocument)
+  if (startsWith(head, [0x50, 0x4b]) && [0x0304, 0x0506, 0x0708].includes(head.readUInt16BE(2))) {
+    // OpenDocument stores its type uncompressed in the first entry, 'mimetype'
+    if (ascii(head, 30, 38) === 'mimetype') {
+      const type = ascii(head, 38, 38 + 64).match(/^application\/vnd\.oasis\.opendocument\.[a-z]+/);
+      if (type) return type[0];
+    }
+    const names = ascii(head, 0, head.length);
+    if (names.includes('word/')) return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    if (names.includes('xl/')) return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    if (names.includes('ppt/')) return 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+    return 'application/zip';
+  }
+  if (ascii(head, 0, 6) === 'Rar!\x1a\x07') return 'application/x-rar-compressed';
+  if (startsWith(head, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return 'application/x-7z-compressed';
+  if (startsWith(head, [0x1f, 0x8b])) return 'application/gzip';
+  if (ascii(head, 0, 3) === 'BZh') return 'application/x-bzip2';
+  if (startsWith(head, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00])) return 'application/x-xz';
+  if (ascii(head, 257, 262) === 'ustar') return 'application/x-tar';
+  
+  // Executables
+  if (ascii(head, 0, 2) === 'MZ') return 'application/x-msdownload';
+  if (ascii(head, 0, 4) === '\x7fELF') return 'application/x-executable';
+  if ([0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe].includes(head.length >= 4 ? head.readUInt32BE(0) : 0)) {
+    return 'application/x-mach-binary';
+  }
+  
+  // Text, with SVG told apart since it is an image that can carry scripts
+  if (isText(head)) {
+    return /<svg[\s>]/i.test(ascii(head, 0, head.length)) ? 'image/svg+xml' : 'text/plain';
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether a declared type is consistent with a detected one
+ * @param {string} detected - Type from detectMimeType
+ * @param {string} declared - Declared MIME type
+ * @returns {boolean}
+ */
+export function matchesDetectedType(detected, declared) {
+  if (detected === declared) return true;
+  
+  // Text formats can't be told apart, SVG and RTF are text as well
+  if (['text/plain', 'image/svg+xml', 'application/rtf'].includes(detected) && isTextType(declared)) return true;
+  if (detected === 'application/rtf' && declared === 'text/rtf') return true;
+  
+  // Containers match every type built on them, and a specific type matches its container
+  if (detected === 'application/zip') return ZIP_TYPES.includes(declared);
+  if (ZIP_TYPES.includes(detected)) return ['application/zip', 'application/x-zip-compressed'].includes(declared);
+  if (detected === 'application/x-cfb') return CFB_TYPES.includes(declared);
+  if (CFB_TYPES.includes(detected)) return declared === 'application/x-cfb';
+  
+  return CONTENT_FAMILIES.some(family => family.includes(detected) && family.includes(declared));
+}
+
+/**
+ * Check a file's contents against its declared type and extension
+ * Files claiming a type we know the signature of must carry that signature,
+ * and executables are only accepted when declared as such
+ * @param {Object} file - { originalname, mimetype, buffer }
+ * @returns {string|null} Detected MIME type, null if there was nothing to sniff or it wasn't recognised
+ */
+export function verifyFileType(file) {
+  if (!file.buffer || file.buffer.length === 0) return null;
+  
+  const detected = detectMimeType(file.buffer);
+  const field = file.fieldname || file.field;
+  const declared = (file.mimetype || '').toLowerCase();
+  const extensionType = (file.originalname && mime.lookup(file.originalname)) || '';
+  const extension = extensionType ? file.originalname.split('.').pop() : '';
+  
+  const mustMatch = type => !GENERIC_TYPES.includes(type) &&
+    (SNIFFABLE_TYPES.has(type) || EXECUTABLE_TYPES.includes(detected));
+  
+  if (!detected) {
+    if (SNIFFABLE_TYPES.has(declared) || SNIFFABLE_TYPES.has(extensionType)) {
+      throw new InvalidFileTypeError({
+        field,
+        type: declared,
+        message: `File content does not look like ${SNIFFABLE_TYPES.has(declared) ? declared : `a .${extension} file`}`
+      });
+    }
+    return null;
+  }
+  
+  if (mustMatch(declared) && !matchesDetectedType(detected, declared)) {
+    throw new InvalidFileTypeError({
+      field,
+      type: declared,
+      detectedType: detected,
+      message: `File content is ${detected}, not the declared ${declared}`
+    });
+  }
+  if (mustMatch(extensionType) && !matchesDetectedType(detected, extensionType)) {
+    throw new InvalidFileTypeError({
+      field,
+      type: declared,
+      detectedType: detected,
+      message: `File content is ${detected}, which does not match the .${extension} extension`
+    });
+  }
+  // Executables get through only when declared as what they are
+  if (EXECUTABLE_TYPES.includes(detected) && !matchesDetectedType(detected, declared)) {
+    throw new InvalidFileTypeError({
+      field,
+      type: declared,
+      detectedType: detected,
+      message: `File content is ${detected}, not the declared ${declared || 'type'}`
+    });
+  }
+  
+  return detected;
+}
+
+/**
+ * Type to check allow/deny lists against: the declared type, or the detected one when nothing useful was declared
+ * @param {Object} file - { mimetype }
+ * @param {string|null} detected - Type from verifyFileType
+ * @returns {string} MIME type
+ */
+export function effectiveMimeType(file, detected) {
+  const declared = (file.mimetype || '').toLowerCase();
+  return GENERIC_TYPES.includes(declared) && detected ? detected : file.mimetype;
+}
+
 /**
  * Enhanced file validation with category support
+ * When file.buffer is present its contents are sniffed too (constraints.sniff: false skips that)
+ * Throws FileTooLargeError or InvalidFileTypeError, tagged with constraints.field (or the file's own field name)
  */
 export function validateFile(file, constraints = {}) {
   const { 
@@ -95,11 +412,21 @@ export function validateFile(file, constraints = {}) {
     disallowedCategories = [] 
   } = constraints;
   
+  // Check the content against the declared type, then validate the type we trust
+  const detectedType = constraints.sniff === false ? null : verifyFileType(file);
+  const mimetype = effectiveMimeType(file, detectedType);
+  const field = constraints.field || file.fieldname || file.field;
+  
   // Size validation
   if (maxSize) {
     const maxBytes = parseSize(maxSize);
     if (file.size > maxBytes) {
-      throw new Error(`File exceeds maximum size of ${maxSize}`);
+      throw new FileTooLargeError({
+        field,
+        maxSize: maxBytes,
+        size: file.size,
+        message: `File exceeds maximum size of ${maxSize}`
+      });
     }
   }
   
@@ -123,13 +450,13 @@ export function validateFile(file, constraints = {}) {
       if (type === '*/*') return true;
       if (type.endsWith('/*')) {
         const category = type.split('/')[0];
-        return file.mimetype.startsWith(`${category}/`);
+        return mimetype.startsWith(`${category}/`);
       }
-      return file.mimetype === type;
+      return mimetype === type;
     });
     
     if (isDisallowed) {
-      throw new Error(`File type ${file.mimetype} is not allowed`);
+      throw new InvalidFileTypeError({ field, type: mimetype, detectedType });
     }
   }
   
@@ -137,11 +464,16 @@ export function validateFile(file, constraints = {}) {
   if (disallowedCategories.length > 0) {
     const disallowedCategoryTypes = expandCategories(disallowedCategories);
     const isInDisallowedCategory = disallowedCategoryTypes.some(type => 
-      file.mimetype === type
+      mimetype === type
     );
     
     if (isInDisallowedCategory) {
-      throw new Error(`File type ${file.mimetype} is in disallowed category`);
+      throw new InvalidFileTypeError({
+        field,
+        type: mimetype,
+        detectedType,
+        message: `File type ${mimetype} is in disallowed category`
+      });
     }
   }
   
@@ -151,13 +483,19 @@ export function validateFile(file, constraints = {}) {
       if (type === '*/*') return true;
       if (type.endsWith('/*')) {
         const category = type.split('/')[0];
-        return file.mimetype.startsWith(`${category}/`);
+        return mimetype.startsWith(`${category}/`);
       }
-      return file.mimetype === type;
+      return mimetype === type;
     });
     
     if (!isAllowed) {
-      throw new Error(`File type ${file.mimetype} not allowed. Allowed: ${allowedMimeTypes.join(', ')}`);
+      throw new InvalidFileTypeError({
+        field,
+        type: mimetype,
+        allowedTypes: allowedMimeTypes,
+        detectedType,
+        message: `File type ${mimetype} not allowed. Allowed: ${allowedMimeTypes.join(', ')}`
+      });
     }
   }
   